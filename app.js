@@ -8,6 +8,16 @@ const userRoutes = require('./routes/userRoutes');
 const passportPostRoutes = require('./routes/passportRoutes');
 const dashboardRoutes = require('./routes/dashboardRoutes');
 const userDashboardRoutes = require('./routes/userDashboardRoutes');
+const linkDomainRoutes = require('./routes/linkDomainRoutes');
+const agentRoutes = require('./routes/agentRoutes');
+const countryRoutes = require('./routes/countryRoutes');
+const passportFormatRoutes = require('./routes/passportFormatRoutes');
+const savedSearchRoutes = require('./routes/savedSearchRoutes');
+const tagRoutes = require('./routes/tagRoutes');
+const { getPolicy } = require('./utils/passportPolicy');
+
+// Fail at startup rather than on every request when PASSPORT_POLICY is misconfigured
+getPolicy();
 
 
 const cors = require('cors')
@@ -15,7 +25,8 @@ const cors = require('cors')
 
 
 
-app.use(cors())
+// Let browser clients read the ETag used for If-Match
+app.use(cors({ exposedHeaders: ['ETag'] }))
 app.use(express.json())
 app.use(express.urlencoded({ extended: true }))
 
@@ -29,6 +40,12 @@ app.use('/api/users', userRoutes);
 app.use('/api/passport-posts', passportPostRoutes);
 app.use('/api/dashboard', dashboardRoutes);
 app.use('/api/user-dashboard', userDashboardRoutes); 
+app.use('/api/link-domains', linkDomainRoutes);
+app.use('/api/agents', agentRoutes);
+app.use('/api/countries', countryRoutes);
+app.use('/api/passport-formats', passportFormatRoutes);
+app.use('/api/saved-searches', savedSearchRoutes);
+app.use('/api/tags', tagRoutes);
 
 
 app.get('/', (req, res) => {
@@ -0,0 +1,259 @@
+const mongoose = require('mongoose');
+const Agent = require('../models/agentSchema');
+const PassportPost = require('../models/passportSchema');
+const asyncHandler = require('../middleware/async');
+const ErrorResponse = require('../utils/errorResponse');
+const { containsRegex, parsePagination, buildPagination } = require('../utils/passportQuery');
+
+// Longest referral chain walked when listing an agent's upline
+const MAX_UPLINE_DEPTH = 20;
+
+// Helper function to check a new parent exists and would not create a referral loop
+// Returns an ErrorResponse when the parent is not acceptable
+const checkParent = async (parentId, agentId) => {
+  if (!mongoose.Types.ObjectId.isValid(parentId)) {
+    return new ErrorResponse(`Parent agent not found with id ${parentId}`, 400);
+  }
+
+  let current = await Agent.findById(parentId).select('parent');
+  if (!current) {
+    return new ErrorResponse(`Parent agent not found with id ${parentId}`, 400);
+  }
+
+  // Walk up from the new parent; meeting the agent itself means a loop
+  for (let depth = 0; current && agentId && depth < MAX_UPLINE_DEPTH; depth++) {
+    if (current._id.toString() === agentId.toString()) {
+      return new ErrorResponse('An agent cannot be referred by itself or by its own downline', 400);
+    }
+    current = current.parent ? await Agent.findById(current.parent).select('parent') : null;
+  }
+
+  return null;
+};
+
+// Helper function to check no other agent has the same name (ignoring case and spacing)
+const checkNameFree = async (name, agentId) => {
+  const existing = await Agent.findOne({ nameKey: Agent.toNameKey(name) }).select('name');
+
+  if (existing && (!agentId || existing._id.toString() !== agentId.toString())) {
+    return new ErrorResponse(`Agent ${existing.name} already exists`, 400);
+  }
+  return null;
+};
+
+// Helper function to count passport entries that reference an agent
+const countAgentPassports = async (agentId) => {
+  const [result] = await PassportPost.aggregate([
+    { $match: { 'passports.agentChain': agentId } },
+    { $unwind: '$passports' },
+    { $match: { 'passports.agentChain': agentId } },
+    { $count: 'total' }
+  ]);
+  return result ? result.total : 0;
+};
+
+// @desc    Get agents
+// @route   GET /api/v1/agents
+// @query   q, region, parent, page, limit
+// @access  Private
+exports.getAgents = asyncHandler(async (req, res, next) => {
+  const { page, limit, skip } = parsePagination(req.query);
+  const query = {};
+
+  if (req.query.q) {
+    query.name = containsRegex(req.query.q);
+  }
+
+  if (req.query.region) {
+    query.region = containsRegex(req.query.region);
+  }
+
+  if (req.query.parent) {
+    if (req.query.parent !== 'none' && !mongoose.Types.ObjectId.isValid(req.query.parent)) {
+      return next(new ErrorResponse('parent must be a valid id or "none"', 400));
+    }
+    query.parent = req.query.parent === 'none' ? null : req.query.parent;
+  }
+
+  const [total, agents] = await Promise.all([
+    Agent.countDocuments(query),
+    Agent.find(query)
+      .sort('nameKey')
+      .skip(skip)
+      .limit(limit)
+      .populate({
+        path: 'parent',
+        select: 'name region'
+      })
+  ]);
+
+  res.status(200).json({
+    success: true,
+    count: agents.length,
+    total,
+    pagination: buildPagination(req, { page, limit, total }),
+    data: agents
+  });
+});
+
+// @desc    Get a single agent with its upline, direct referrals and passport count
+// @route   GET /api/v1/agents/:id
+// @access  Private
+exports.getAgent = asyncHandler(async (req, res, next) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return next(new ErrorResponse(`Agent not found with id ${req.params.id}`, 404));
+  }
+
+  const agent = await Agent.findById(req.params.id).populate({
+    path: 'createdBy',
+    select: 'fullName email'
+  });
+
+  if (!agent) {
+    return next(new ErrorResponse(`Agent not found with id ${req.params.id}`, 404));
+  }
+
+  // Referring agents from the direct parent upwards
+  const upline = [];
+  let parentId = agent.parent;
+  while (parentId && upline.length < MAX_UPLINE_DEPTH) {
+    const parent = await Agent.findById(parentId).select('name region phone parent');
+    if (!parent) break;
+    upline.push(parent);
+    parentId = parent.parent;
+  }
+
+  const [referrals, passportCount] = await Promise.all([
+    Agent.find({ parent: agent._id }).select('name region phone').sort('nameKey'),
+    countAgentPassports(agent._id)
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      ...agent.toObject(),
+      upline,
+      referrals,
+      passportCount
+    }
+  });
+});
+
+// @desc    Create an agent
+// @route   POST /api/v1/agents
+// @body    name, phone, parent, region
+// @access  Private
+exports.createAgent = asyncHandler(async (req, res, next) => {
+  const { name, phone, parent, region } = req.body;
+
+  const nameError = await checkNameFree(name);
+  if (nameError) {
+    return next(nameError);
+  }
+
+  if (parent) {
+    const error = await checkParent(parent);
+    if (error) {
+      return next(error);
+    }
+  }
+
+  const agent = await Agent.create({
+    name,
+    phone,
+    parent: parent || null,
+    region,
+    createdBy: req.user.id
+  });
+
+  res.status(201).json({
+    success: true,
+    data: agent
+  });
+});
+
+// @desc    Update an agent
+// @route   PUT /api/v1/agents/:id
+// @body    name, phone, parent, region
+// @access  Private (creator or admin)
+exports.updateAgent = asyncHandler(async (req, res, next) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return next(new ErrorResponse(`Agent not found with id ${req.params.id}`, 404));
+  }
+
+  const agent = await Agent.findById(req.params.id);
+
+  if (!agent) {
+    return next(new ErrorResponse(`Agent not found with id ${req.params.id}`, 404));
+  }
+
+  // Make sure user created the agent or is admin
+  if ((!agent.createdBy || agent.createdBy.toString() !== req.user.id) && req.user.role !== 'admin') {
+    return next(new ErrorResponse('Not authorized to update this agent', 403));
+  }
+
+  if (req.body.name !== undefined) {
+    const nameError = await checkNameFree(req.body.name, agent._id);
+    if (nameError) {
+      return next(nameError);
+    }
+  }
+
+  if (req.body.parent) {
+    const error = await checkParent(req.body.parent, agent._id);
+    if (error) {
+      return next(error);
+    }
+  }
+
+  ['name', 'phone', 'region'].forEach(field => {
+    if (req.body[field] !== undefined) {
+      agent[field] = req.body[field];
+    }
+  });
+
+  if (req.body.parent !== undefined) {
+    agent.parent = req.body.parent || null;
+  }
+
+  await agent.save();
+
+  res.status(200).json({
+    success: true,
+    data: agent
+  });
+});
+
+// @desc    Delete an agent that no passport or agent refers to
+// @route   DELETE /api/v1/agents/:id
+// @access  Private/Admin
+exports.deleteAgent = asyncHandler(async (req, res, next) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return next(new ErrorResponse(`Agent not found with id ${req.params.id}`, 404));
+  }
+
+  const agent = await Agent.findById(req.params.id);
+
+  if (!agent) {
+    return next(new ErrorResponse(`Agent not found with id ${req.params.id}`, 404));
+  }
+
+  const [passportCount, referralCount] = await Promise.all([
+    countAgentPassports(agent._id),
+    Agent.countDocuments({ parent: agent._id })
+  ]);
+
+  if (passportCount > 0 || referralCount > 0) {
+    return next(new ErrorResponse(
+      `Agent ${agent.name} is still used by ${passportCount} passport(s) and ${referralCount} agent(s)`,
+      400
+    ));
+  }
+
+  await agent.deleteOne();
+
+  res.status(200).json({
+    success: true,
+    message: `Agent ${agent.name} deleted successfully`
+  });
+});
@@ -0,0 +1,174 @@
+const crypto = require('crypto');
+const path = require('path');
+const mongoose = require('mongoose');
+const PassportPost = require('../models/passportSchema');
+const Attachment = require('../models/attachmentSchema');
+const asyncHandler = require('../middleware/async');
+const ErrorResponse = require('../utils/errorResponse');
+const { getStorage } = require('../services/storage');
+const { authorizeAction } = require('../utils/passportPolicy');
+
+// Helper function to find the post holding a passport and check the user may act on it
+// Adding or removing attachments counts as updating the passport
+// Returns the post, or an ErrorResponse when the passport is missing or not allowed
+const findAccessiblePassport = async (passportId, user, action) => {
+  if (!mongoose.Types.ObjectId.isValid(passportId)) {
+    return new ErrorResponse(`Passport not found with id ${passportId}`, 404);
+  }
+
+  const post = await PassportPost.findOne({ 'passports._id': passportId }).select('createdBy');
+
+  if (!post) {
+    return new ErrorResponse(`Passport not found with id ${passportId}`, 404);
+  }
+
+  return authorizeAction(user, action, post.createdBy, 'passport') || post;
+};
+
+// Check the user may add attachments to the passport before the upload middleware reads the
+// file, so a request that is refused anyway is not buffered in memory first
+// Keeps the post on req.passportPost for uploadPassportAttachment
+exports.checkAttachmentUpload = asyncHandler(async (req, res, next) => {
+  const post = await findAccessiblePassport(req.params.passportId, req.user, 'update');
+  if (post instanceof ErrorResponse) {
+    return next(post);
+  }
+
+  req.passportPost = post;
+  next();
+});
+
+// @desc    Upload an attachment (scan, receipt) for a passport
+// @route   POST /api/v1/passport-posts/passport/:passportId/attachments
+// @body    file (multipart), kind, description
+// @access  Private (runs after checkAttachmentUpload)
+exports.uploadPassportAttachment = asyncHandler(async (req, res, next) => {
+  const post = req.passportPost;
+
+  if (!req.file) {
+    return next(new ErrorResponse('Please upload a file in the "file" field', 400));
+  }
+
+  const storage = getStorage();
+  const extension = path.extname(req.file.originalname).toLowerCase();
+  const storageKey = `${req.params.passportId}/${crypto.randomUUID()}${extension}`;
+
+  await storage.save(storageKey, req.file.buffer, { mimeType: req.file.mimetype });
+
+  let attachment;
+  try {
+    attachment = await Attachment.create({
+      passportId: req.params.passportId,
+      postId: post._id,
+      kind: req.body.kind,
+      description: req.body.description,
+      originalName: req.file.originalname,
+      mimeType: req.file.mimetype,
+      size: req.file.size,
+      storage: storage.name,
+      storageKey,
+      uploadedBy: req.user.id
+    });
+  } catch (error) {
+    // Do not leave an orphaned file behind when the metadata is invalid
+    await storage.remove(storageKey);
+    throw error;
+  }
+
+  attachment.storageKey = undefined;
+
+  res.status(201).json({
+    success: true,
+    data: attachment
+  });
+});
+
+// @desc    List attachments of a passport
+// @route   GET /api/v1/passport-posts/passport/:passportId/attachments
+// @access  Private
+exports.getPassportAttachments = asyncHandler(async (req, res, next) => {
+  const post = await findAccessiblePassport(req.params.passportId, req.user, 'read');
+  if (post instanceof ErrorResponse) {
+    return next(post);
+  }
+
+  const attachments = await Attachment.find({ passportId: req.params.passportId })
+    .sort('-createdAt')
+    .populate({
+      path: 'uploadedBy',
+      select: 'fullName email'
+    });
+
+  res.status(200).json({
+    success: true,
+    count: attachments.length,
+    data: attachments
+  });
+});
+
+// @desc    Download an attachment of a passport
+// @route   GET /api/v1/passport-posts/passport/:passportId/attachments/:attachmentId
+// @access  Private
+exports.downloadPassportAttachment = asyncHandler(async (req, res, next) => {
+  const post = await findAccessiblePassport(req.params.passportId, req.user, 'read');
+  if (post instanceof ErrorResponse) {
+    return next(post);
+  }
+
+  const attachment = await Attachment.findOne({
+    _id: req.params.attachmentId,
+    passportId: req.params.passportId
+  }).select('+storageKey');
+
+  if (!attachment) {
+    return next(new ErrorResponse(`Attachment not found with id ${req.params.attachmentId}`, 404));
+  }
+
+  const stream = getStorage(attachment.storage).createReadStream(attachment.storageKey);
+
+  stream.on('error', (error) => {
+    console.error('Error reading attachment:', error);
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    next(new ErrorResponse('Attachment file is not available', 404));
+  });
+
+  stream.once('open', () => {
+    res.setHeader('Content-Type', attachment.mimeType);
+    res.setHeader('Content-Length', attachment.size);
+    res.setHeader(
+      'Content-Disposition',
+      `${req.query.inline === 'true' ? 'inline' : 'attachment'}; filename*=UTF-8''${encodeURIComponent(attachment.originalName)}`
+    );
+  });
+
+  stream.pipe(res);
+});
+
+// @desc    Delete an attachment of a passport
+// @route   DELETE /api/v1/passport-posts/passport/:passportId/attachments/:attachmentId
+// @access  Private
+exports.deletePassportAttachment = asyncHandler(async (req, res, next) => {
+  const post = await findAccessiblePassport(req.params.passportId, req.user, 'update');
+  if (post instanceof ErrorResponse) {
+    return next(post);
+  }
+
+  const attachment = await Attachment.findOne({
+    _id: req.params.attachmentId,
+    passportId: req.params.passportId
+  }).select('+storageKey');
+
+  if (!attachment) {
+    return next(new ErrorResponse(`Attachment not found with id ${req.params.attachmentId}`, 404));
+  }
+
+  await getStorage(attachment.storage).remove(attachment.storageKey);
+  await attachment.deleteOne();
+
+  res.status(200).json({
+    success: true,
+    message: 'Attachment deleted successfully'
+  });
+});
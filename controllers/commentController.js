@@ -0,0 +1,281 @@
+const mongoose = require('mongoose');
+const PassportPost = require('../models/passportSchema');
+const PassportComment = require('../models/passportCommentSchema');
+const User = require('../models/userSchema');
+const asyncHandler = require('../middleware/async');
+const ErrorResponse = require('../utils/errorResponse');
+const { can, authorizeAction } = require('../utils/passportPolicy');
+const { parsePagination, buildPagination } = require('../utils/passportQuery');
+
+// "@" followed by a user's email, e.g. "@ravi@example.com please check the link"
+const MENTION_PATTERN = /(?:^|[^\w.+-])@([\w.+-]+@[\w-]+(?:\.[\w-]+)+)/g;
+
+const COMMENT_POPULATE = [
+  { path: 'author', select: 'fullName email' },
+  { path: 'mentions', select: 'fullName email' }
+];
+
+// Helper function to find the post holding a passport and check the user may read it
+// Comments follow the visibility of the passport: whoever may see it may read and add comments
+// Returns the post, or an ErrorResponse when the passport is missing or not allowed
+const findReadablePassport = async (passportId, user) => {
+  if (!mongoose.Types.ObjectId.isValid(passportId)) {
+    return new ErrorResponse(`Passport not found with id ${passportId}`, 404);
+  }
+
+  const post = await PassportPost.findByPassportId(passportId).select('createdBy');
+
+  if (!post) {
+    return new ErrorResponse(`Passport not found with id ${passportId}`, 404);
+  }
+
+  return authorizeAction(user, 'read', post.createdBy, 'passport') || post;
+};
+
+// Helper function to find a comment of a passport
+const findComment = async (passportId, commentId) => {
+  if (!mongoose.Types.ObjectId.isValid(commentId)) {
+    return null;
+  }
+  return PassportComment.findOne({ _id: commentId, passportId });
+};
+
+// Helper function to check the comment text
+const checkBody = (body) => {
+  if (typeof body !== 'string' || !body.trim()) {
+    return new ErrorResponse('Comment text is required', 400);
+  }
+  return null;
+};
+
+// Helper function to find the users a comment mentions, by "@email" in the text or by id
+// Users who may not see the passport are left out and reported as warnings
+// Returns an ErrorResponse when mentionIds is not a list of ids
+const resolveMentions = async (text, mentionIds, post) => {
+  if (mentionIds !== undefined && (!Array.isArray(mentionIds) || !mentionIds.every(id => mongoose.Types.ObjectId.isValid(id)))) {
+    return new ErrorResponse('mentions must be an array of user IDs', 400);
+  }
+
+  const typed = [...text.matchAll(MENTION_PATTERN)].map(match => match[1]);
+  const emails = [...new Set(typed.map(email => email.toLowerCase()))];
+  const ids = [...new Set((mentionIds || []).map(String))];
+
+  if (emails.length === 0 && ids.length === 0) {
+    return { mentions: [], warnings: [] };
+  }
+
+  const users = await User.find({
+    $or: [{ email: { $in: [...new Set([...typed, ...emails])] } }, { _id: { $in: ids } }]
+  }).select('fullName email role');
+
+  const warnings = [];
+  const foundEmails = new Set(users.map(user => user.email.toLowerCase()));
+  const foundIds = new Set(users.map(user => user._id.toString()));
+
+  emails.filter(email => !foundEmails.has(email)).forEach(email => {
+    warnings.push({ mention: `@${email}`, message: 'User not found' });
+  });
+  ids.filter(id => !foundIds.has(id)).forEach(id => {
+    warnings.push({ mention: id, message: 'User not found' });
+  });
+
+  const mentions = [];
+  users.forEach(user => {
+    if (can(user, 'read', post.createdBy)) {
+      mentions.push(user._id);
+    } else {
+      warnings.push({ mention: `@${user.email}`, message: `${user.fullName} cannot see this passport` });
+    }
+  });
+
+  return { mentions, warnings };
+};
+
+// @desc    Get the comment thread of a passport, oldest first
+// @route   GET /api/v1/passport-posts/passport/:passportId/comments
+// @query   page, limit
+// @access  Private
+exports.getPassportComments = asyncHandler(async (req, res, next) => {
+  const post = await findReadablePassport(req.params.passportId, req.user);
+  if (post instanceof ErrorResponse) {
+    return next(post);
+  }
+
+  const { page, limit, skip } = parsePagination(req.query);
+  const filter = { passportId: req.params.passportId };
+
+  const [total, comments] = await Promise.all([
+    PassportComment.countDocuments(filter),
+    PassportComment.find(filter)
+      .sort({ createdAt: 1, _id: 1 })
+      .skip(skip)
+      .limit(limit)
+      .populate(COMMENT_POPULATE)
+  ]);
+
+  res.status(200).json({
+    success: true,
+    count: comments.length,
+    total,
+    pagination: buildPagination(req, { page, limit, total }),
+    data: comments
+  });
+});
+
+// @desc    Add a comment to a passport
+// @route   POST /api/v1/passport-posts/passport/:passportId/comments
+// @body    body (text; "@email" mentions a user), mentions (user ids, optional)
+// @access  Private
+exports.addPassportComment = asyncHandler(async (req, res, next) => {
+  const post = await findReadablePassport(req.params.passportId, req.user);
+  if (post instanceof ErrorResponse) {
+    return next(post);
+  }
+
+  const bodyError = checkBody(req.body.body);
+  if (bodyError) {
+    return next(bodyError);
+  }
+
+  const mentionCheck = await resolveMentions(req.body.body, req.body.mentions, post);
+  if (mentionCheck instanceof ErrorResponse) {
+    return next(mentionCheck);
+  }
+
+  const comment = await PassportComment.create({
+    passportId: req.params.passportId,
+    body: req.body.body,
+    author: req.user.id,
+    mentions: mentionCheck.mentions
+  });
+
+  await comment.populate(COMMENT_POPULATE);
+
+  res.status(201).json({
+    success: true,
+    data: comment,
+    mentionWarnings: mentionCheck.warnings.length > 0 ? mentionCheck.warnings : undefined
+  });
+});
+
+// @desc    Edit one's own comment
+// @route   PUT /api/v1/passport-posts/passport/:passportId/comments/:commentId
+// @body    body, mentions (user ids, optional)
+// @access  Private (author)
+exports.updatePassportComment = asyncHandler(async (req, res, next) => {
+  const post = await findReadablePassport(req.params.passportId, req.user);
+  if (post instanceof ErrorResponse) {
+    return next(post);
+  }
+
+  const comment = await findComment(req.params.passportId, req.params.commentId);
+
+  if (!comment) {
+    return next(new ErrorResponse(`Comment not found with id ${req.params.commentId}`, 404));
+  }
+
+  if (comment.author.toString() !== req.user.id) {
+    return next(new ErrorResponse('Only the author can edit this comment', 403));
+  }
+
+  const bodyError = checkBody(req.body.body);
+  if (bodyError) {
+    return next(bodyError);
+  }
+
+  const mentionCheck = await resolveMentions(req.body.body, req.body.mentions, post);
+  if (mentionCheck instanceof ErrorResponse) {
+    return next(mentionCheck);
+  }
+
+  comment.body = req.body.body;
+  comment.mentions = mentionCheck.mentions;
+  comment.editedAt = new Date();
+  await comment.save();
+
+  await comment.populate(COMMENT_POPULATE);
+
+  res.status(200).json({
+    success: true,
+    data: comment,
+    mentionWarnings: mentionCheck.warnings.length > 0 ? mentionCheck.warnings : undefined
+  });
+});
+
+// @desc    Delete a comment
+// @route   DELETE /api/v1/passport-posts/passport/:passportId/comments/:commentId
+// @access  Private (author, or the delete scope of PASSPORT_POLICY)
+exports.deletePassportComment = asyncHandler(async (req, res, next) => {
+  const post = await findReadablePassport(req.params.passportId, req.user);
+  if (post instanceof ErrorResponse) {
+    return next(post);
+  }
+
+  const comment = await findComment(req.params.passportId, req.params.commentId);
+
+  if (!comment) {
+    return next(new ErrorResponse(`Comment not found with id ${req.params.commentId}`, 404));
+  }
+
+  // Comments follow the delete rule of posts, with the author as the owner
+  const denied = authorizeAction(req.user, 'delete', comment.author, 'comment');
+  if (denied) {
+    return next(denied);
+  }
+
+  await comment.deleteOne();
+
+  res.status(200).json({
+    success: true,
+    message: 'Comment deleted successfully'
+  });
+});
+
+// @desc    Get the comments that mention the user, newest first
+// @route   GET /api/v1/passport-posts/comments/mentions
+// @query   page, limit
+// @access  Private
+exports.getMyMentions = asyncHandler(async (req, res, next) => {
+  const { page, limit, skip } = parsePagination(req.query);
+  const filter = { mentions: req.user.id };
+
+  const [total, comments] = await Promise.all([
+    PassportComment.countDocuments(filter),
+    PassportComment.find(filter)
+      .sort({ createdAt: -1, _id: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate(COMMENT_POPULATE)
+      .lean()
+  ]);
+
+  // Add the passport number, and hide comments on passports the user can no longer see
+  const passportIds = [...new Set(comments.map(comment => comment.passportId.toString()))];
+  const posts = passportIds.length > 0
+    ? await PassportPost.find({ 'passports._id': { $in: passportIds } })
+      .select('createdBy passports._id passports.passportNumber')
+      .lean()
+    : [];
+
+  const passportsById = new Map();
+  posts.forEach(post => {
+    post.passports.forEach(passport => passportsById.set(passport._id.toString(), { post, passport }));
+  });
+
+  const data = comments.map(comment => {
+    const entry = passportsById.get(comment.passportId.toString());
+    const visible = entry && can(req.user, 'read', entry.post.createdBy);
+
+    return visible
+      ? { ...comment, postId: entry.post._id, passportNumber: entry.passport.passportNumber }
+      : { _id: comment._id, passportId: comment.passportId, createdAt: comment.createdAt, unavailable: true };
+  });
+
+  res.status(200).json({
+    success: true,
+    count: data.length,
+    total,
+    pagination: buildPagination(req, { page, limit, total }),
+    data
+  });
+});
@@ -0,0 +1,33 @@
+const asyncHandler = require('../middleware/async');
+const ErrorResponse = require('../utils/errorResponse');
+const { findCountry, searchCountries } = require('../utils/countries');
+
+// @desc    Get countries for dropdowns, optionally filtered by name, alias or code
+// @route   GET /api/v1/countries
+// @query   q
+// @access  Private
+exports.getCountries = asyncHandler(async (req, res, next) => {
+  const countries = searchCountries(req.query.q);
+
+  res.status(200).json({
+    success: true,
+    count: countries.length,
+    data: countries
+  });
+});
+
+// @desc    Resolve a code, name or alias to its country
+// @route   GET /api/v1/countries/:value
+// @access  Private
+exports.getCountry = asyncHandler(async (req, res, next) => {
+  const country = findCountry(req.params.value);
+
+  if (!country) {
+    return next(new ErrorResponse(`Country not found for ${req.params.value}`, 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: country
+  });
+});
@@ -2,9 +2,19 @@ const User = require('../models/userSchema');
 const PassportPost = require('../models/passportSchema');
 const asyncHandler = require('../middleware/async');
 const ErrorResponse = require('../utils/errorResponse');
+const { buildStatusMatch } = require('../utils/passportStatus');
+const { resolveTimeZone, zonedDayRange, zonedMonthRange } = require('../utils/timezone');
+const {
+  countPassportEntries,
+  countEntriesByDay,
+  countEntriesByMonth,
+  countEntriesByCountry,
+  countEntriesByTag
+} = require('../utils/dashboardStats');
 
 // @desc    Get dashboard statistics
 // @route   GET /api/v1/dashboard/stats
+// @query   status, tz (IANA time zone of "today", default BUSINESS_TIMEZONE)
 // @access  Private/Admin
 exports.getDashboardStats = asyncHandler(async (req, res, next) => {
   // Only allow admin to access dashboard
@@ -12,43 +22,35 @@ exports.getDashboardStats = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('Not authorized to access this route', 403));
   }
 
+  // Optional ?status= filter on passport processing status
+  const statusMatch = buildStatusMatch(req.query);
+  const timeZone = resolveTimeZone(req.query);
+
   // Get total number of regular users
   const totalUsers = await User.countDocuments({ role: 'user' });
 
   // Get total number of passport posts
-  const totalPosts = await PassportPost.countDocuments();
-
-  // Get current date in UTC for consistent date filtering
-  const today = new Date();
-  const startOfDay = new Date(Date.UTC(
-    today.getUTCFullYear(),
-    today.getUTCMonth(),
-    today.getUTCDate(),
-    0, 0, 0
-  ));
-  const endOfDay = new Date(Date.UTC(
-    today.getUTCFullYear(),
-    today.getUTCMonth(),
-    today.getUTCDate(),
-    23, 59, 59, 999
-  ));
-
-  // Get posts created today
-  const todayPosts = await PassportPost.countDocuments({
-    postDate: {
-      $gte: startOfDay,
-      $lte: endOfDay
+  const totalPosts = await PassportPost.countDocuments(statusMatch);
+
+  // Today and the last 7 days in the business time zone
+  const today = zonedDayRange(new Date(), timeZone);
+  const lastWeek = zonedDayRange(new Date(), timeZone, -7);
+
+  // Get passports posted today
+  const todayPosts = await countPassportEntries({
+    ...statusMatch,
+    'passports.postDate': {
+      $gte: today.start,
+      $lt: today.end
     }
   });
 
-  // Get recent posts (last 7 days)
-  const lastWeekStart = new Date(startOfDay);
-  lastWeekStart.setUTCDate(lastWeekStart.getUTCDate() - 7);
-  
-  const recentPosts = await PassportPost.countDocuments({
-    postDate: {
-      $gte: lastWeekStart,
-      $lte: endOfDay
+  // Get recent passports (last 7 days)
+  const recentPosts = await countPassportEntries({
+    ...statusMatch,
+    'passports.postDate': {
+      $gte: lastWeek.start,
+      $lt: today.end
     }
   });
 
@@ -61,7 +63,8 @@ exports.getDashboardStats = asyncHandler(async (req, res, next) => {
       todayPosts,
       recentPosts,
       dateInfo: {
-        today: today.toISOString().split('T')[0]
+        today: today.date,
+        timeZone
       }
     }
   });
@@ -69,6 +72,7 @@ exports.getDashboardStats = asyncHandler(async (req, res, next) => {
 
 // @desc    Get graph data for daily passport posts
 // @route   GET /api/v1/dashboard/graph/daily
+// @query   days (default 30, today included), status, tz
 // @access  Private/Admin
 exports.getDailyPostsGraph = asyncHandler(async (req, res, next) => {
   // Only allow admin to access dashboard
@@ -76,94 +80,20 @@ exports.getDailyPostsGraph = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('Not authorized to access this route', 403));
   }
 
+  // Optional ?status= filter on passport processing status
+  const statusMatch = buildStatusMatch(req.query);
+  const timeZone = resolveTimeZone(req.query);
+
   // Get query parameters or set defaults
   const days = parseInt(req.query.days) || 30; // Default to last 30 days
-  
-  // Calculate start and end dates
-  const endDate = new Date();
-  endDate.setUTCHours(23, 59, 59, 999);
-  
-  const startDate = new Date();
-  startDate.setUTCDate(startDate.getUTCDate() - days);
-  startDate.setUTCHours(0, 0, 0, 0);
-
-  // Use MongoDB aggregation to get posts by day
-  const dailyPosts = await PassportPost.aggregate([
-    // Match documents within the date range
-    {
-      $match: {
-        postDate: {
-          $gte: startDate,
-          $lte: endDate
-        }
-      }
-    },
-    // Group documents by date
-    {
-      $group: {
-        _id: {
-          year: { $year: "$postDate" },
-          month: { $month: "$postDate" },
-          day: { $dayOfMonth: "$postDate" }
-        },
-        count: { $sum: 1 }
-      }
-    },
-    // Project the data into a more usable format
-    {
-      $project: {
-        _id: 0,
-        date: {
-          $dateToString: {
-            format: "%Y-%m-%d",
-            date: {
-              $dateFromParts: {
-                year: "$_id.year",
-                month: "$_id.month",
-                day: "$_id.day"
-              }
-            }
-          }
-        },
-        count: 1
-      }
-    },
-    // Sort by date
-    {
-      $sort: { date: 1 }
-    }
-  ]);
-
-  // Generate a complete date range with zeros for missing dates
-  const graphData = [];
-  const dateMap = {};
-
-  // Map the results by date for easier access
-  dailyPosts.forEach(item => {
-    dateMap[item.date] = item.count;
-  });
 
-  // Create a complete date range
-  for (let i = 0; i < days; i++) {
-    const currentDate = new Date(startDate);
-    currentDate.setUTCDate(currentDate.getUTCDate() + i);
-    
-    const dateString = currentDate.toISOString().split('T')[0];
-    
-    graphData.push({
-      date: dateString,
-      count: dateMap[dateString] || 0
-    });
-  }
+  // Passports per day of the business time zone, with zeros for days without any
+  const { range, data: graphData } = await countEntriesByDay(statusMatch, { days, timeZone });
 
   res.status(200).json({
     success: true,
     data: {
-      range: {
-        start: startDate.toISOString().split('T')[0],
-        end: endDate.toISOString().split('T')[0],
-        days
-      },
+      range,
       graphData
     }
   });
@@ -178,28 +108,11 @@ exports.getCountryDistributionGraph = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('Not authorized to access this route', 403));
   }
 
-  // Use MongoDB aggregation to get posts by country
-  const countryData = await PassportPost.aggregate([
-    {
-      $group: {
-        _id: "$issuedCountry",
-        count: { $sum: 1 }
-      }
-    },
-    {
-      $project: {
-        _id: 0,
-        country: "$_id",
-        count: 1
-      }
-    },
-    {
-      $sort: { count: -1 }
-    },
-    {
-      $limit: 10 // Limit to top 10 countries
-    }
-  ]);
+  // Optional ?status= filter on passport processing status
+  const statusMatch = buildStatusMatch(req.query);
+
+  // Top 10 countries of the passport entries
+  const countryData = await countEntriesByCountry(statusMatch, 10);
 
   res.status(200).json({
     success: true,
@@ -208,8 +121,32 @@ exports.getCountryDistributionGraph = asyncHandler(async (req, res, next) => {
   });
 });
 
+// @desc    Get passport counts per tag
+// @route   GET /api/v1/dashboard/graph/tags
+// @query   status
+// @access  Private/Admin
+exports.getTagCountsGraph = asyncHandler(async (req, res, next) => {
+  // Only allow admin to access dashboard
+  if (req.user.role !== 'admin') {
+    return next(new ErrorResponse('Not authorized to access this route', 403));
+  }
+
+  // Optional ?status= filter on passport processing status
+  const statusMatch = buildStatusMatch(req.query);
+
+  // Every tag with the number of passports carrying it
+  const tagData = await countEntriesByTag(statusMatch);
+
+  res.status(200).json({
+    success: true,
+    count: tagData.length,
+    data: tagData
+  });
+});
+
 // @desc    Get user registration trend
 // @route   GET /api/v1/dashboard/graph/users
+// @query   months (default 12, the current month included), tz
 // @access  Private/Admin
 exports.getUserRegistrationTrend = asyncHandler(async (req, res, next) => {
   // Only allow admin to access dashboard
@@ -217,54 +154,31 @@ exports.getUserRegistrationTrend = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('Not authorized to access this route', 403));
   }
 
+  const timeZone = resolveTimeZone(req.query);
+
   // Get query parameters or set defaults
   const months = parseInt(req.query.months) || 12; // Default to last 12 months
-  
-  // Calculate start and end dates
-  const endDate = new Date();
-  const startDate = new Date();
-  startDate.setMonth(startDate.getMonth() - months);
-  
-  // Use MongoDB aggregation to get user registrations by month
+
+  // Calculate the first and current month in the business time zone
+  const firstMonth = zonedMonthRange(new Date(), timeZone, -(months - 1));
+  const currentMonth = zonedMonthRange(new Date(), timeZone);
+
+  // Use MongoDB aggregation to get user registrations by local month
   const userRegistrations = await User.aggregate([
     {
       $match: {
         role: 'user',
         createdAt: {
-          $gte: startDate,
-          $lte: endDate
+          $gte: firstMonth.start,
+          $lt: currentMonth.end
         }
       }
     },
     {
       $group: {
-        _id: {
-          year: { $year: "$createdAt" },
-          month: { $month: "$createdAt" }
-        },
+        _id: { $dateToString: { format: "%Y-%m", date: "$createdAt", timezone: timeZone } },
         count: { $sum: 1 }
       }
-    },
-    {
-      $project: {
-        _id: 0,
-        date: {
-          $dateToString: {
-            format: "%Y-%m",
-            date: {
-              $dateFromParts: {
-                year: "$_id.year",
-                month: "$_id.month",
-                day: 1
-              }
-            }
-          }
-        },
-        count: 1
-      }
-    },
-    {
-      $sort: { date: 1 }
     }
   ]);
 
@@ -274,19 +188,16 @@ exports.getUserRegistrationTrend = asyncHandler(async (req, res, next) => {
 
   // Map the results by month for easier access
   userRegistrations.forEach(item => {
-    monthMap[item.date] = item.count;
+    monthMap[item._id] = item.count;
   });
 
   // Create a complete month range
-  for (let i = 0; i < months; i++) {
-    const currentDate = new Date(startDate);
-    currentDate.setMonth(currentDate.getMonth() + i);
-    
-    const monthString = currentDate.toISOString().substring(0, 7); // YYYY-MM format
-    
+  for (let i = months - 1; i >= 0; i--) {
+    const { month } = zonedMonthRange(new Date(), timeZone, -i);
+
     graphData.push({
-      month: monthString,
-      count: monthMap[monthString] || 0
+      month,
+      count: monthMap[month] || 0
     });
   }
 
@@ -294,9 +205,10 @@ exports.getUserRegistrationTrend = asyncHandler(async (req, res, next) => {
     success: true,
     data: {
       range: {
-        start: startDate.toISOString().substring(0, 7),
-        end: endDate.toISOString().substring(0, 7),
-        months
+        start: firstMonth.month,
+        end: currentMonth.month,
+        months,
+        timeZone
       },
       graphData
     }
@@ -305,6 +217,7 @@ exports.getUserRegistrationTrend = asyncHandler(async (req, res, next) => {
 
 // @desc    Get comprehensive dashboard data
 // @route   GET /api/v1/dashboard/all
+// @query   status, tz
 // @access  Private/Admin
 exports.getAllDashboardData = asyncHandler(async (req, res, next) => {
   // Only allow admin to access dashboard
@@ -312,79 +225,34 @@ exports.getAllDashboardData = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('Not authorized to access this route', 403));
   }
 
+  // Optional ?status= filter on passport processing status
+  const statusMatch = buildStatusMatch(req.query);
+  const timeZone = resolveTimeZone(req.query);
+
   // Get total number of regular users
   const totalUsers = await User.countDocuments({ role: 'user' });
 
   // Get total number of passport posts
-  const totalPosts = await PassportPost.countDocuments();
-
-  // Get current date in UTC for consistent date filtering
-  const today = new Date();
-  const startOfDay = new Date(Date.UTC(
-    today.getUTCFullYear(),
-    today.getUTCMonth(),
-    today.getUTCDate(),
-    0, 0, 0
-  ));
-  const endOfDay = new Date(Date.UTC(
-    today.getUTCFullYear(),
-    today.getUTCMonth(),
-    today.getUTCDate(),
-    23, 59, 59, 999
-  ));
-
-  // Get posts created today
-  const todayPosts = await PassportPost.countDocuments({
-    postDate: {
-      $gte: startOfDay,
-      $lte: endOfDay
+  const totalPosts = await PassportPost.countDocuments(statusMatch);
+
+  // Get passports posted today in the business time zone
+  const today = zonedDayRange(new Date(), timeZone);
+  const todayPosts = await countPassportEntries({
+    ...statusMatch,
+    'passports.postDate': {
+      $gte: today.start,
+      $lt: today.end
     }
   });
 
   // Get 7-day data for graph
-  const last7Days = [];
-  for (let i = 6; i >= 0; i--) {
-    const currentDate = new Date(startOfDay);
-    currentDate.setUTCDate(currentDate.getUTCDate() - i);
-    
-    const nextDate = new Date(currentDate);
-    nextDate.setUTCDate(nextDate.getUTCDate() + 1);
-    
-    const count = await PassportPost.countDocuments({
-      postDate: {
-        $gte: currentDate,
-        $lt: nextDate
-      }
-    });
-    
-    last7Days.push({
-      date: currentDate.toISOString().split('T')[0],
-      count
-    });
-  }
+  const { data: last7Days } = await countEntriesByDay(statusMatch, { days: 7, timeZone });
 
-  // Get country distribution
-  const countryData = await PassportPost.aggregate([
-    {
-      $group: {
-        _id: "$issuedCountry",
-        count: { $sum: 1 }
-      }
-    },
-    {
-      $project: {
-        _id: 0,
-        country: "$_id",
-        count: 1
-      }
-    },
-    {
-      $sort: { count: -1 }
-    },
-    {
-      $limit: 5 // Limit to top 5 countries
-    }
-  ]);
+  // Get country distribution (top 5 countries)
+  const countryData = await countEntriesByCountry(statusMatch, 5);
+
+  // Get passport counts per tag
+  const tagData = await countEntriesByTag(statusMatch);
 
   // Recent users (last 5)
   const recentUsers = await User.find({ role: 'user' })
@@ -393,8 +261,8 @@ exports.getAllDashboardData = asyncHandler(async (req, res, next) => {
     .select('fullName email createdAt');
 
   // Recent passport posts (last 5)
-  const recentPosts = await PassportPost.find()
-    .sort('-postDate')
+  const recentPosts = await PassportPost.find(statusMatch)
+    .sort('-passports.postDate')
     .limit(5)
     .populate({
       path: 'createdBy',
@@ -418,10 +286,16 @@ exports.getAllDashboardData = asyncHandler(async (req, res, next) => {
         labels: countryData.map(item => item.country),
         data: countryData.map(item => item.count)
       },
+      tagChart: {
+        labels: tagData.map(item => item.name),
+        colors: tagData.map(item => item.color),
+        data: tagData.map(item => item.count)
+      },
       recentUsers,
       recentPosts,
       dateInfo: {
-        today: today.toISOString().split('T')[0]
+        today: today.date,
+        timeZone
       }
     }
   });
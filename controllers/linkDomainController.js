@@ -0,0 +1,97 @@
+const LinkDomain = require('../models/linkDomainSchema');
+const asyncHandler = require('../middleware/async');
+const ErrorResponse = require('../utils/errorResponse');
+const { parseLink, isDomainAllowed } = require('../utils/passportLinks');
+
+// @desc    Get allowlisted link domains
+// @route   GET /api/v1/link-domains
+// @access  Private
+exports.getLinkDomains = asyncHandler(async (req, res, next) => {
+  const domains = await LinkDomain.find()
+    .sort('domain')
+    .populate({
+      path: 'createdBy',
+      select: 'fullName email'
+    });
+
+  res.status(200).json({
+    success: true,
+    count: domains.length,
+    // With no domains configured every link domain is accepted
+    enforced: domains.length > 0,
+    data: domains
+  });
+});
+
+// @desc    Add a domain to the link allowlist
+// @route   POST /api/v1/link-domains
+// @access  Private/Admin
+exports.createLinkDomain = asyncHandler(async (req, res, next) => {
+  const { domain, description } = req.body;
+
+  if (!domain || typeof domain !== 'string') {
+    return next(new ErrorResponse('Domain is required', 400));
+  }
+
+  const normalized = domain.trim().toLowerCase().replace(/^www\./, '');
+
+  const exists = await LinkDomain.findOne({ domain: normalized });
+  if (exists) {
+    return next(new ErrorResponse(`Domain ${normalized} is already allowed`, 400));
+  }
+
+  const linkDomain = await LinkDomain.create({
+    domain: normalized,
+    description,
+    createdBy: req.user.id
+  });
+
+  res.status(201).json({
+    success: true,
+    data: linkDomain
+  });
+});
+
+// @desc    Remove a domain from the link allowlist
+// @route   DELETE /api/v1/link-domains/:id
+// @access  Private/Admin
+exports.deleteLinkDomain = asyncHandler(async (req, res, next) => {
+  const linkDomain = await LinkDomain.findById(req.params.id);
+
+  if (!linkDomain) {
+    return next(new ErrorResponse(`Link domain not found with id ${req.params.id}`, 404));
+  }
+
+  await linkDomain.deleteOne();
+
+  res.status(200).json({
+    success: true,
+    message: `Domain ${linkDomain.domain} removed from the allowlist`
+  });
+});
+
+// @desc    Preview how a link is normalized and parsed
+// @route   GET /api/v1/link-domains/parse?link=
+// @access  Private
+exports.parseLinkPreview = asyncHandler(async (req, res, next) => {
+  if (!req.query.link) {
+    return next(new ErrorResponse('link query parameter is required', 400));
+  }
+
+  let parsed;
+  try {
+    parsed = parseLink(req.query.link);
+  } catch (error) {
+    return next(new ErrorResponse(error.message, 400));
+  }
+
+  const allowedDomains = await LinkDomain.getAllowedDomains();
+
+  res.status(200).json({
+    success: true,
+    data: {
+      ...parsed,
+      allowed: isDomainAllowed(parsed.linkInfo.host, allowedDomains)
+    }
+  });
+});
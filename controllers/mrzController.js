@@ -0,0 +1,39 @@
+const asyncHandler = require('../middleware/async');
+const ErrorResponse = require('../utils/errorResponse');
+const { parseTd3 } = require('../utils/mrz');
+
+// @desc    Parse passport MRZ text into a prefilled passport entry
+// @route   POST /api/v1/passport-posts/mrz
+// @body    mrz (the two machine-readable lines)
+// @access  Private
+exports.parsePassportMrz = asyncHandler(async (req, res, next) => {
+  if (!req.body.mrz || typeof req.body.mrz !== 'string') {
+    return next(new ErrorResponse('mrz is required', 400));
+  }
+
+  const { fields, errors, warnings } = parseTd3(req.body.mrz);
+
+  // Entry in the shape createPassportPost accepts; link is still to be filled in
+  const passport = fields && {
+    passportNumber: fields.passportNumber,
+    issuedCountry: fields.issuedCountry || undefined,
+    holder: {
+      surname: fields.surname,
+      givenNames: fields.givenNames,
+      nationality: fields.nationality,
+      dateOfBirth: fields.dateOfBirth || undefined,
+      sex: fields.sex,
+      expiryDate: fields.expiryDate || undefined
+    }
+  };
+
+  res.status(errors.length > 0 ? 400 : 200).json({
+    success: errors.length === 0,
+    errors: errors.length > 0 ? errors : undefined,
+    warnings: warnings.length > 0 ? warnings : undefined,
+    data: fields && {
+      passport,
+      mrz: fields
+    }
+  });
+});
@@ -1,25 +1,47 @@
 const PassportPost = require('../models/passportSchema');
+const DeletedPassport = require('../models/deletedPassportSchema');
+const PassportRevision = require('../models/passportRevisionSchema');
+const User = require('../models/userSchema');
+const Agent = require('../models/agentSchema');
+const Tag = require('../models/tagSchema');
 const asyncHandler = require('../middleware/async');
 const ErrorResponse = require('../utils/errorResponse');
 const { body, validationResult } = require('express-validator');
 const fs = require('fs');
 const path = require('path');
 const mongoose = require('mongoose'); // Add this import for ObjectId
-
-// Helper function to get current IST time
-const getCurrentIST = () => {
-  // Get current time in milliseconds
-  const now = Date.now();
-  
-  // Add 5 hours and 30 minutes in milliseconds
-  const istTimeInMs = now + (5.5 * 60 * 60 * 1000);
-  
-  // Create new date object with IST time
-  return new Date(istTimeInMs);
-};
+const {
+  buildPostFilter,
+  buildOwnerConditions,
+  buildPassportConditions,
+  buildPassportSearchConditions,
+  prefixPassportConditions,
+  containsRegex,
+  parseSort,
+  parsePagination,
+  buildPagination
+} = require('../utils/passportQuery');
+const { getDuplicateMode, findDuplicatePassports } = require('../utils/duplicatePassports');
+const { getDuplicateLinkMode, checkPassportLinks } = require('../utils/passportLinks');
+const { EXPORT_FORMATS, streamExport } = require('../utils/passportExport');
+const { readPassportSpreadsheet } = require('../utils/passportImport');
+const { PASSPORT_STATUSES, DEFAULT_STATUS, STATUS_TRANSITIONS, canTransition } = require('../utils/passportStatus');
+const { isAutoSlipMode, allocateSlipNumbers, manualSlipFields, checkSlipFields } = require('../utils/slipNumbers');
+const { resolvePassportAgents } = require('../utils/agentChain');
+const { normalizePassportCountries } = require('../utils/countries');
+const { checkPassportFormats } = require('../utils/passportFormats');
+const { can, authorizeAction, scopePostFilter } = require('../utils/passportPolicy');
+const { getVersionCheckMode, toEtag, readExpectedVersion, hasEntryChanged, checkEntryVersion } = require('../utils/versioning');
+const {
+  diffPassport,
+  saveRevisions,
+  recordPassportAction,
+  recordPostChanges,
+  valuesAsOfRevision
+} = require('../utils/passportHistory');
 
 // Validation rules for passport entries
-exports.validatePassportEntries = [
+const passportEntryRules = [
   body('passports')
     .isArray()
     .withMessage('Passports must be an array')
@@ -45,6 +67,15 @@ exports.validatePassportEntries = [
     .isString()
     .withMessage('City must be a string'),
 
+  body('passports.*.agentChain')
+    .optional()
+    .isArray()
+    .withMessage('agentChain must be an array of agent ids'),
+
+  body('passports.*.agentChain.*')
+    .isMongoId()
+    .withMessage('agentChain must only contain agent ids'),
+
   body('passports.*.slipNo')
     .optional()
     .isString()
@@ -67,7 +98,26 @@ exports.validatePassportEntries = [
     .optional()
     .isString()
     .withMessage('Other details must be a string'),
-  
+
+  body('passports.*.holder.dateOfBirth')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('Date of birth must be a valid date'),
+
+  body('passports.*.holder.expiryDate')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('Expiry date must be a valid date'),
+
+  body('passports.*.holder.sex')
+    .optional({ values: 'null' })
+    .isIn(['M', 'F', 'X'])
+    .withMessage('Sex must be M, F or X')
+];
+
+exports.validatePassportEntries = [
+  ...passportEntryRules,
+
   // Validation handler middleware
   (req, res, next) => {
     const errors = validationResult(req);
@@ -81,6 +131,128 @@ exports.validatePassportEntries = [
   }
 ];
 
+// Fields the bulk update may change; numbers, links, slips and holders belong to one passport only
+const BULK_UPDATE_FIELDS = ['city', 'agentChain', 'issuedCountry', 'otherDetails'];
+
+// Most passports a single bulk update may touch
+const BULK_UPDATE_LIMIT = 500;
+
+// Fields a revert writes back (slips and legacyCity are set separately); tags and status only
+// change through their own endpoints and the post date never changes
+const REVERTED_FIELDS = [
+  'passportNumber', 'link', 'linkInfo', 'city', 'agentChain', 'issuedCountry', 'issuedCountryCode', 'otherDetails'
+];
+
+exports.validateBulkPassportUpdate = [
+  body('passportIds')
+    .optional()
+    .isArray({ min: 1, max: BULK_UPDATE_LIMIT })
+    .withMessage(`passportIds must be an array of 1 to ${BULK_UPDATE_LIMIT} passport ids`),
+
+  body('filter')
+    .optional()
+    .isObject()
+    .withMessage('filter must be an object of search parameters'),
+
+  body('versions')
+    .optional()
+    .isObject()
+    .withMessage('versions must map passport ids to the versions the change is based on'),
+
+  body('changes')
+    .isObject()
+    .withMessage('changes must be an object')
+    .custom(changes => {
+      const fields = Object.keys(changes);
+      const unknown = fields.filter(field => !BULK_UPDATE_FIELDS.includes(field));
+
+      if (fields.length === 0) {
+        throw new Error(`changes must set at least one of ${BULK_UPDATE_FIELDS.join(', ')}`);
+      }
+      if (unknown.length > 0) {
+        throw new Error(`Cannot bulk update ${unknown.join(', ')}. Allowed fields: ${BULK_UPDATE_FIELDS.join(', ')}`);
+      }
+      return true;
+    }),
+
+  body('changes.city')
+    .optional()
+    .isString()
+    .withMessage('City must be a string'),
+
+  body('changes.agentChain')
+    .optional()
+    .isArray()
+    .withMessage('agentChain must be an array of agent ids'),
+
+  body('changes.agentChain.*')
+    .isMongoId()
+    .withMessage('agentChain must only contain agent ids'),
+
+  body('changes.issuedCountry')
+    .optional()
+    .isString()
+    .withMessage('Issued country must be a string')
+    .isLength({ min: 2, max: 50 })
+    .withMessage('Country name must be between 2 and 50 characters'),
+
+  body('changes.otherDetails')
+    .optional()
+    .isString()
+    .withMessage('Other details must be a string'),
+
+  // Validation handler middleware
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+    next();
+  }
+];
+
+// Helper function to drop workflow fields that only the status and tag endpoints may change
+const stripWorkflowFields = ({ status, statusHistory, tags, ...passport }) => passport;
+
+// Helper function to drop the entry version, which only the server sets
+const stripVersion = ({ version, ...passport }) => passport;
+
+// Helper function to drop slip fields the client may not set
+// In auto mode (SLIP_NUMBER_MODE) slip numbers are only assigned by the server; checkSlipFields
+// has already refused a changed slipNo, so only the stored value echoed back is dropped here
+const stripSlipFields = ({ slipSequence, ...passport }) => {
+  if (isAutoSlipMode()) {
+    delete passport.slipNo;
+  }
+  return passport;
+};
+
+// Helper function to give new passport entries their slip numbers
+// operatorId is the post owner, used by the per-operator sequences; in manual mode the typed
+// slips are kept and put in the "manual" sequence
+const withSlipNumbers = async (passports, operatorId) => {
+  if (!isAutoSlipMode()) {
+    return passports.map(passport => ({ ...passport, ...manualSlipFields(passport) }));
+  }
+  if (passports.length === 0) {
+    return passports;
+  }
+
+  const slips = await allocateSlipNumbers(passports.length, operatorId.toString());
+  return passports.map((passport, index) => ({ ...passport, ...slips[index] }));
+};
+
+// Helper function to run the passport entry rules on rows that are not in req.body
+// Returns express-validator errors with paths like "passports[2].link"
+const validatePassportRows = async (passports) => {
+  const context = { body: { passports } };
+  await Promise.all(passportEntryRules.map(rule => rule.run(context)));
+  return validationResult(context).array();
+};
+
 // Helper function to log deleted passport data
 const logDeletedPassport = async (passportData, deletedBy) => {
   try {
@@ -106,27 +278,245 @@ const logDeletedPassport = async (passportData, deletedBy) => {
   }
 };
 
+// Helper function to check passport numbers against existing entries
+// Returns true when the request was answered with 409 (reject mode)
+const rejectDuplicatePassports = (res, duplicates) => {
+  if (duplicates.length === 0 || getDuplicateMode() !== 'reject') {
+    return false;
+  }
+
+  res.status(409).json({
+    success: false,
+    error: 'Passport number already exists',
+    duplicates
+  });
+  return true;
+};
+
+// Helper function to answer link problems found by checkPassportLinks
+// Disallowed or malformed links get 400, reused appointment references get 409 in reject mode
+// Returns true when the request was answered
+const rejectLinkProblems = (res, linkCheck, pathFor = index => `passports[${index}].link`) => {
+  if (linkCheck.errors.length > 0) {
+    res.status(400).json({
+      success: false,
+      errors: linkCheck.errors.map(error => ({
+        type: 'field',
+        msg: error.message,
+        path: pathFor(error.index),
+        location: 'body'
+      }))
+    });
+    return true;
+  }
+
+  if (linkCheck.duplicates.length > 0 && getDuplicateLinkMode() === 'reject') {
+    res.status(409).json({
+      success: false,
+      error: 'Appointment link is already attached to another passport',
+      duplicates: linkCheck.duplicates
+    });
+    return true;
+  }
+
+  return false;
+};
+
+// Helper function to answer 400 when a check (country, agent chain) reported field errors
+// Returns true when a response was sent
+const rejectFieldErrors = (res, check, pathFor = (index, field) => `passports[${index}].${field}`) => {
+  if (check.errors.length === 0) {
+    return false;
+  }
+
+  res.status(400).json({
+    success: false,
+    errors: check.errors.map(error => ({
+      type: 'field',
+      msg: error.message,
+      path: pathFor(error.index, error.field),
+      location: 'body'
+    }))
+  });
+  return true;
+};
+
+// Helper function to run the passport schema validation on entries before anything is created
+// for them (new agents), so a post that cannot be saved leaves no agents behind
+// Returns { passports, errors } like the other checks; errors have the entry index and field
+const checkEntrySchema = async (passports, createdBy) => {
+  try {
+    await new PassportPost({ passports, createdBy }).validate();
+    return { passports, errors: [] };
+  } catch (error) {
+    if (error.name !== 'ValidationError') {
+      throw error;
+    }
+
+    const errors = Object.entries(error.errors)
+      .map(([path, item]) => {
+        const match = /^passports\.(\d+)\.(.+)$/.exec(path);
+        return match && { index: Number(match[1]), field: match[2], message: item.message };
+      })
+      .filter(Boolean);
+
+    if (errors.length === 0) {
+      throw error;
+    }
+    return { passports, errors };
+  }
+};
+
+// Helper function to check the version an edit is based on (If-Match header or "version" field)
+// Answers 428 when no version was sent and VERSION_CHECK_MODE is "required", 400 when the value
+// is not a version, and 409 with the current server copy when the version is stale
+// Returns true when the request was answered
+const rejectStaleVersion = (req, res, currentVersion, current, noun = 'post') => {
+  const expected = readExpectedVersion(req);
+
+  if (!expected.given) {
+    if (getVersionCheckMode() !== 'required') {
+      return false;
+    }
+    res.status(428).json({
+      success: false,
+      error: `Send the ${noun} version in an If-Match header or a "version" field`
+    });
+    return true;
+  }
+
+  if (expected.any || expected.version === (currentVersion || 0)) {
+    return false;
+  }
+
+  if (expected.version === null) {
+    res.status(400).json({
+      success: false,
+      error: `If-Match must be the ETag of the ${noun}`
+    });
+    return true;
+  }
+
+  res.set('ETag', toEtag(currentVersion));
+  res.status(409).json({
+    success: false,
+    error: `This ${noun} was changed by someone else; reload it and try again`,
+    currentVersion: currentVersion || 0,
+    data: current
+  });
+  return true;
+};
+
+// Error passed on when a post changed between loading and saving it
+const versionConflictError = () =>
+  new ErrorResponse('This post was changed by someone else; reload it and try again', 409);
+
+// Helper function to read the admin flag for saving numbers that break the format rules
+const wantsFormatOverride = req => ['true', '1', 'yes'].includes(
+  String(req.body.overrideFormat || req.query.overrideFormat || '').toLowerCase()
+);
+
+// Helper function to collect what checkPassportFormats needs to know about stored entries
+const existingFormatEntries = (passports) => {
+  const entries = {};
+  passports.forEach(passport => {
+    entries[passport._id.toString()] = {
+      passportNumber: passport.passportNumber,
+      issuedCountryCode: passport.issuedCountryCode
+    };
+  });
+  return entries;
+};
+
+// Helper function to collect what resolvePassportAgents needs to know about stored entries
+const existingAgentEntries = (passports) => {
+  const entries = {};
+  passports.forEach(passport => {
+    entries[passport._id.toString()] = {
+      city: passport.city,
+      agentChain: passport.agentChain ? [...passport.agentChain] : [],
+      legacyCity: passport.legacyCity
+    };
+  });
+  return entries;
+};
+
 // @desc    Create new passport post with multiple passports
 // @route   POST /api/v1/passport-posts
+// @body    overrideFormat (admin only) saves passport numbers that break the country format rules
 // @access  Private
 exports.createPassportPost = asyncHandler(async (req, res, next) => {
+  const notAllowed = authorizeAction(req.user, 'create');
+  if (notAllowed) {
+    return next(notAllowed);
+  }
+
   // Validate passport entries
   if (!Array.isArray(req.body.passports) || req.body.passports.length === 0) {
     return next(new ErrorResponse('At least one passport entry is required', 400));
   }
 
-  // Add current IST date and time to each passport entry
-  const currentIST = getCurrentIST();
-  console.log('Setting current IST time:', currentIST);
+  // Slips are assigned by the server in auto mode; typed ones must be unique in manual mode
+  const slipCheck = await checkSlipFields(req.body.passports);
+  if (rejectFieldErrors(res, slipCheck)) {
+    return;
+  }
+
+  // Check for passport numbers already submitted by anyone
+  const duplicates = await findDuplicatePassports(req.body.passports);
+  if (rejectDuplicatePassports(res, duplicates)) {
+    return;
+  }
+
+  // Normalize appointment links and check them against the allowlist and other passports
+  const linkCheck = await checkPassportLinks(req.body.passports);
+  if (rejectLinkProblems(res, linkCheck)) {
+    return;
+  }
+
+  // Store the issued country as an ISO code plus display name
+  const countryCheck = normalizePassportCountries(linkCheck.passports);
+  if (rejectFieldErrors(res, countryCheck)) {
+    return;
+  }
+
+  // Check passport numbers against the issuing country's format; admins may override
+  const formatCheck = await checkPassportFormats(countryCheck.passports);
+  const overrideFormat = formatCheck.errors.length > 0 && wantsFormatOverride(req);
+  if (overrideFormat && !can(req.user, 'overrideFormat')) {
+    return next(new ErrorResponse('Only admins can override passport number format rules', 403));
+  }
+  if (!overrideFormat && rejectFieldErrors(res, formatCheck)) {
+    return;
+  }
 
-  const passportsWithDate = req.body.passports.map(passport => {
+  // Check the entries against the schema before new agents are created for them
+  const schemaCheck = await checkEntrySchema(
+    countryCheck.passports.map(passport => stripSlipFields(stripWorkflowFields(stripVersion(passport)))),
+    req.user.id
+  );
+  if (rejectFieldErrors(res, schemaCheck)) {
+    return;
+  }
+
+  // Split "city/agent/agent" text into the city and the referring agents
+  const agentCheck = await resolvePassportAgents(countryCheck.passports, { userId: req.user.id });
+  if (rejectFieldErrors(res, agentCheck)) {
+    return;
+  }
+
+  // Date every passport entry with the current time (stored in UTC; the business
+  // time zone only matters when grouping by day)
+  const now = new Date();
+
+  const passportsWithDate = await withSlipNumbers(agentCheck.passports.map(passport => {
     // Create new date object for each passport
-    const passportDate = new Date(currentIST);
+    const passportDate = new Date(now);
     return {
-      ...passport,
+      ...stripSlipFields(stripWorkflowFields(stripVersion(passport))),
       postDate: passportDate
     };
-  });
+  }), req.user.id);
 
   // Create a new passport post with multiple entries
   const passportPost = await PassportPost.create({
@@ -136,31 +526,62 @@ exports.createPassportPost = asyncHandler(async (req, res, next) => {
 
   console.log('Created passport post with dates:', passportPost.passports.map(p => p.postDate));
 
+  // Record the new entries in each passport's history
+  await recordPassportAction(passportPost, passportPost.passports, 'create', req.user.id);
+
   res.status(201).json({
     success: true,
-    data: passportPost
+    data: passportPost,
+    warnings: duplicates.length > 0 ? duplicates : undefined,
+    linkWarnings: linkCheck.duplicates.length > 0 ? linkCheck.duplicates : undefined,
+    formatWarnings: overrideFormat ? formatCheck.errors : undefined
   });
 });
 
-// @desc    Get all passport posts (visible to everyone)
+// @desc    Get passport posts the user may read (own posts, or all for admins by default)
 // @route   GET /api/v1/passport-posts
+// @query   savedSearch, page, limit, sort, from, to, period, tz, issuedCountry, city, agent, slipNo, missingSlip, status, tag, linkFlagged, createdBy, updatedBy
 // @access  Private
 exports.getPassportPosts = asyncHandler(async (req, res, next) => {
-  // Get all posts without role-based filtering
-  const posts = await PassportPost.find()
-    .sort('-createdAt')
-    .populate({
-      path: 'createdBy',
-      select: 'fullName email'
-    })
-    .populate({
-      path: 'updatedBy',
-      select: 'fullName email'
-    });
+  // Build filter, sort and page window from the query string
+  const filter = scopePostFilter(buildPostFilter(req.query), req.user, 'read');
+  const sort = parseSort(req.query.sort);
+  const { page, limit, skip } = parsePagination(req.query);
+
+  if (!filter) {
+    return next(authorizeAction(req.user, 'read'));
+  }
+
+  // Get one page of the readable posts, plus the total match count
+  const [total, posts] = await Promise.all([
+    PassportPost.countDocuments(filter),
+    PassportPost.find(filter)
+      .sort(sort)
+      .skip(skip)
+      .limit(limit)
+      .populate({
+        path: 'createdBy',
+        select: 'fullName email'
+      })
+      .populate({
+        path: 'updatedBy',
+        select: 'fullName email'
+      })
+      .populate({
+        path: 'passports.agentChain',
+        select: 'name region'
+      })
+      .populate({
+        path: 'passports.tags',
+        select: 'name color'
+      })
+  ]);
 
   res.status(200).json({
     success: true,
     count: posts.length,
+    total,
+    pagination: buildPagination(req, { page, limit, total }),
     data: posts
   });
 });
@@ -177,17 +598,26 @@ exports.getPassportPost = asyncHandler(async (req, res, next) => {
     .populate({
       path: 'updatedBy',
       select: 'fullName email'
+    })
+    .populate({
+      path: 'passports.agentChain',
+      select: 'name region'
+    })
+    .populate({
+      path: 'passports.tags',
+      select: 'name color'
     });
 
   if (!post) {
     return next(new ErrorResponse(`Post not found with id ${req.params.id}`, 404));
   }
 
-  // Make sure user is post owner or admin
-  if (post.createdBy._id.toString() !== req.user.id && req.user.role !== 'admin') {
-    return next(new ErrorResponse('Not authorized to access this post', 403));
+  const notAllowed = authorizeAction(req.user, 'read', post.createdBy);
+  if (notAllowed) {
+    return next(notAllowed);
   }
 
+  res.set('ETag', toEtag(post.__v));
   res.status(200).json({
     success: true,
     data: post
@@ -202,28 +632,12 @@ exports.getSinglePassport = asyncHandler(async (req, res, next) => {
     const passportId = req.params.passportId;
     console.log("Looking for passport with ID:", passportId);
     
-    // Get all posts
-    const posts = await PassportPost.find().populate({
+    // Find the post holding the passport through the passports._id index
+    const foundPost = await PassportPost.findByPassportId(passportId).populate({
       path: 'createdBy',
       select: 'fullName email'
     });
-    
-    // Variable to track if passport was found
-    let foundPassport = null;
-    let foundPost = null;
-    
-    // Search through each post
-    for (const post of posts) {
-      // Find the passport in this post
-      const passport = post.passports.find(p => p._id.toString() === passportId);
-      
-      if (passport) {
-        console.log(`Found passport ${passportId} in post ${post._id}`);
-        foundPassport = passport;
-        foundPost = post;
-        break;
-      }
-    }
+    const foundPassport = foundPost ? foundPost.passports.id(passportId) : null;
     
     // If passport not found in any post
     if (!foundPassport) {
@@ -231,12 +645,13 @@ exports.getSinglePassport = asyncHandler(async (req, res, next) => {
       return next(new ErrorResponse(`Passport not found with id ${passportId}`, 404));
     }
 
-    // Make sure user is post owner or admin
-    if (foundPost.createdBy._id.toString() !== req.user.id && req.user.role !== 'admin') {
-      return next(new ErrorResponse('Not authorized to access this passport', 403));
+    const notAllowed = authorizeAction(req.user, 'read', foundPost.createdBy, 'passport');
+    if (notAllowed) {
+      return next(notAllowed);
     }
 
     // Return the passport with related data
+    res.set('ETag', toEtag(foundPassport.version));
     res.status(200).json({
       success: true,
       data: {
@@ -253,6 +668,8 @@ exports.getSinglePassport = asyncHandler(async (req, res, next) => {
 
 // @desc    Update passport post (all passports in the post)
 // @route   PUT /api/v1/passport-posts/:id
+// @header  If-Match: post ETag (or a "version" body field)
+// @body    overrideFormat (admin only) saves passport numbers that break the country format rules
 // @access  Private
 
 exports.updatePassportPost = asyncHandler(async (req, res, next) => {
@@ -264,15 +681,94 @@ exports.updatePassportPost = asyncHandler(async (req, res, next) => {
       return next(new ErrorResponse(`Post not found with id ${req.params.id}`, 404));
     }
     
-    // Make sure user is post owner or admin
-    if (originalPost.createdBy.toString() !== req.user.id && req.user.role !== 'admin') {
-      return next(new ErrorResponse('Not authorized to update this post', 403));
+    const notAllowed = authorizeAction(req.user, 'update', originalPost.createdBy);
+    if (notAllowed) {
+      return next(notAllowed);
+    }
+
+    // The whole passports array is replaced, so the edit must be based on the current post
+    if (rejectStaleVersion(req, res, originalPost.__v, originalPost)) {
+      return;
     }
     
     // Validate that passports array is provided
     if (!req.body.passports || !Array.isArray(req.body.passports) || req.body.passports.length === 0) {
       return next(new ErrorResponse('At least one passport entry is required', 400));
     }
+
+    // Slips are assigned by the server in auto mode; typed ones must be unique in manual mode
+    const existingSlips = {};
+    originalPost.passports.forEach(passport => {
+      existingSlips[passport._id.toString()] = passport.slipNo;
+    });
+
+    const slipCheck = await checkSlipFields(req.body.passports, { existingSlips });
+    if (rejectFieldErrors(res, slipCheck)) {
+      return;
+    }
+
+    // Check for passport numbers already submitted in other posts
+    const duplicates = await findDuplicatePassports(req.body.passports, {
+      excludePostId: originalPost._id
+    });
+    if (rejectDuplicatePassports(res, duplicates)) {
+      return;
+    }
+
+    // Normalize appointment links; unchanged links are not re-checked against the allowlist
+    const existingLinks = {};
+    originalPost.passports.forEach(passport => {
+      existingLinks[passport._id.toString()] = passport.link;
+    });
+
+    const linkCheck = await checkPassportLinks(req.body.passports, {
+      existingLinks,
+      excludePostId: originalPost._id
+    });
+    if (rejectLinkProblems(res, linkCheck)) {
+      return;
+    }
+
+    // Store issued countries as ISO codes; unchanged values saved before normalization are kept
+    const existingCountries = {};
+    originalPost.passports.forEach(passport => {
+      existingCountries[passport._id.toString()] = passport.issuedCountry;
+    });
+
+    const countryCheck = normalizePassportCountries(linkCheck.passports, { existingCountries });
+    if (rejectFieldErrors(res, countryCheck)) {
+      return;
+    }
+
+    // Check changed passport numbers against the issuing country's format; admins may override
+    const formatCheck = await checkPassportFormats(countryCheck.passports, {
+      existingEntries: existingFormatEntries(originalPost.passports)
+    });
+    const overrideFormat = formatCheck.errors.length > 0 && wantsFormatOverride(req);
+    if (overrideFormat && !can(req.user, 'overrideFormat')) {
+      return next(new ErrorResponse('Only admins can override passport number format rules', 403));
+    }
+    if (!overrideFormat && rejectFieldErrors(res, formatCheck)) {
+      return;
+    }
+
+    // Check the entries against the schema before new agents are created for them
+    const schemaCheck = await checkEntrySchema(
+      countryCheck.passports.map(passport => stripSlipFields(stripWorkflowFields(stripVersion(passport)))),
+      originalPost.createdBy
+    );
+    if (rejectFieldErrors(res, schemaCheck)) {
+      return;
+    }
+
+    // Split new "city/agent/agent" text; entries with an unchanged city keep their agents
+    const agentCheck = await resolvePassportAgents(countryCheck.passports, {
+      userId: req.user.id,
+      existingEntries: existingAgentEntries(originalPost.passports)
+    });
+    if (rejectFieldErrors(res, agentCheck)) {
+      return;
+    }
     
     // Create a map of existing passports by their ID for easy lookup
     const existingPassportsMap = {};
@@ -280,15 +776,22 @@ exports.updatePassportPost = asyncHandler(async (req, res, next) => {
       // Store as plain JavaScript object to avoid any Mongoose conversion issues
       existingPassportsMap[passport._id.toString()] = {
         _id: passport._id,
-        postDate: new Date(passport.postDate) // Create a new Date object from the original date
+        postDate: new Date(passport.postDate), // Create a new Date object from the original date
+        status: passport.status,
+        statusHistory: passport.toObject().statusHistory,
+        tags: passport.tags,
+        slipNo: passport.slipNo,
+        slipSequence: passport.slipSequence,
+        version: passport.version
       };
     });
     
-    // Get current IST for any new passports
-    const currentIST = getCurrentIST();
+    // Current time for any new passports
+    const now = new Date();
     
     // Process each passport in the request
-    const processedPassports = req.body.passports.map(passport => {
+    const newIndexes = [];
+    const processedPassports = agentCheck.passports.map((passport, index) => {
       // Check if passport has an ID and it exists in original data
       if (passport._id && existingPassportsMap[passport._id]) {
         const existingPassport = existingPassportsMap[passport._id];
@@ -299,27 +802,60 @@ exports.updatePassportPost = asyncHandler(async (req, res, next) => {
         const { postDate, ...passportUpdates } = passport;
         
         return {
-          ...passportUpdates,
+          ...stripSlipFields(stripWorkflowFields(stripVersion(passportUpdates))),
           _id: existingPassport._id,
-          postDate: existingPassport.postDate // Use the original timestamp
+          postDate: existingPassport.postDate, // Use the original timestamp
+          status: existingPassport.status, // Status only changes through the status endpoint
+          statusHistory: existingPassport.statusHistory,
+          tags: existingPassport.tags, // Tags only change through the tag endpoints
+          // Assigned slips never change
+          ...(isAutoSlipMode()
+            ? { slipNo: existingPassport.slipNo, slipSequence: existingPassport.slipSequence }
+            : manualSlipFields(passportUpdates, existingPassport)),
+          version: existingPassport.version
         };
       } else {
         // This is a new passport, assign current time
         console.log('New passport detected, assigning current timestamp');
+        newIndexes.push(index);
         return {
-          ...passport,
-          postDate: new Date(currentIST)
+          ...stripSlipFields(stripWorkflowFields(stripVersion(passport))),
+          postDate: new Date(now)
         };
       }
     });
+
+    // New entries get slip numbers from the post owner's sequence
+    const slippedPassports = await withSlipNumbers(
+      newIndexes.map(index => processedPassports[index]),
+      originalPost.createdBy
+    );
+    newIndexes.forEach((index, position) => {
+      processedPassports[index] = slippedPassports[position];
+    });
     
+    // Keep a copy of the current entries for the change history
+    const beforePassports = originalPost.passports.map(p => p.toObject());
+
     // CRITICAL CHANGE: Use direct document manipulation instead of findByIdAndUpdate
     // This gives us more control over what gets updated
     originalPost.passports = processedPassports;
     originalPost.updatedBy = req.user.id;
+
+    // Bump the version of every entry that changed
+    const beforeById = new Map(beforePassports.map(p => [p._id.toString(), p]));
+    originalPost.passports.forEach(passport => {
+      const before = beforeById.get(passport._id.toString());
+      if (before && hasEntryChanged(before, passport)) {
+        passport.version = (before.version || 0) + 1;
+      }
+    });
     
     // Save the document directly
     await originalPost.save();
+
+    // Record field-level changes for every added, edited or removed passport
+    await recordPostChanges(originalPost, beforePassports, originalPost.passports, req.user.id);
     
     // Retrieve the fully populated document
     const updatedPost = await PassportPost.findById(req.params.id)
@@ -338,200 +874,399 @@ exports.updatePassportPost = asyncHandler(async (req, res, next) => {
       console.log(`ID: ${p._id}, Date: ${p.postDate}`);
     });
     
+    res.set('ETag', toEtag(updatedPost.__v));
     res.status(200).json({
       success: true,
-      data: updatedPost
+      data: updatedPost,
+      warnings: duplicates.length > 0 ? duplicates : undefined,
+      linkWarnings: linkCheck.duplicates.length > 0 ? linkCheck.duplicates : undefined,
+      formatWarnings: overrideFormat ? formatCheck.errors : undefined
     });
   } catch (error) {
     console.error("Error in updatePassportPost:", error);
+    if (error.name === 'VersionError') {
+      return next(versionConflictError());
+    }
     return next(new ErrorResponse("Error updating passport post: " + error.message, 500));
   }
 });
+
 // @desc    Update single passport within a post
 // @route   PUT /api/v1/passport-posts/passport/:passportId
+// @header  If-Match: passport ETag (or a "version" body field)
+// @body    overrideFormat (admin only) saves passport numbers that break the country format rules
 // @access  Private
-// exports.updateSinglePassport = asyncHandler(async (req, res, next) => {
-//   try {
-//     const passportId = req.params.passportId;
-//     console.log("Attempting to update passport with ID:", passportId);
-    
-//     // Find all posts
-//     const posts = await PassportPost.find();
-    
-//     // Variable to track if passport was found
-//     let found = false;
-    
-//     // Loop through each post to find the one containing our passport
-//     for (const post of posts) {
-//       // Find the passport in this post's array
-//       const passportIndex = post.passports.findIndex(
-//         p => p._id.toString() === passportId
-//       );
-      
-//       // If passport found in this post
-//       if (passportIndex !== -1) {
-//         found = true;
-//         console.log(`Found passport ${passportId} in post ${post._id}`);
-        
-//         // Make sure user is post owner or admin
-//         if (post.createdBy.toString() !== req.user.id && req.user.role !== 'admin') {
-//           return next(new ErrorResponse('Not authorized to update this passport', 403));
-//         }
-        
-//         // Get current IST time
-//         const currentIST = getCurrentIST();
-//         console.log('Setting current IST time for single update:', currentIST);
-        
-//         // Update the passport fields while preserving the _id and adding current IST date
-//         const updatedPassport = {
-//           _id: post.passports[passportIndex]._id, // Preserve the original ID
-//           ...req.body,
-//           postDate: new Date(currentIST) // Create new date object
-//         };
-        
-//         console.log('Updated passport with date:', updatedPassport.postDate);
-        
-//         // Replace the passport in the array
-//         post.passports[passportIndex] = updatedPassport;
-        
-//         // Set the updatedBy field
-//         post.updatedBy = req.user.id;
-        
-//         // Save the post
-//         await post.save();
-        
-//         // Get the updated post with populated fields
-//         const updatedPost = await PassportPost.findById(post._id)
-//           .populate({
-//             path: 'createdBy',
-//             select: 'fullName email'
-//           })
-//           .populate({
-//             path: 'updatedBy',
-//             select: 'fullName email'
-//           });
-        
-//         console.log('Updated post with date:', updatedPost.passports[passportIndex].postDate);
-        
-//         // Return success response
-//         res.status(200).json({
-//           success: true,
-//           data: {
-//             post: updatedPost,
-//             updatedPassport: updatedPost.passports[passportIndex]
-//           }
-//         });
-        
-//         // Exit the function after successful update
-//         return;
-//       }
-//     }
-    
-//     // If we've gone through all posts and not found the passport
-//     if (!found) {
-//       console.log(`No passport found with ID: ${passportId}`);
-//       return next(new ErrorResponse(`Passport not found with id ${passportId}`, 404));
-//     }
-//   } catch (error) {
-//     console.error("Error in updateSinglePassport:", error);
-//     return next(new ErrorResponse("Error updating passport: " + error.message, 500));
-//   }
-// });
-
-
-
-
-
-
 exports.updateSinglePassport = asyncHandler(async (req, res, next) => {
   try {
     const passportId = req.params.passportId;
     console.log("Attempting to update passport with ID:", passportId);
     
-    // Find all posts
-    const posts = await PassportPost.find();
-    
-    // Variable to track if passport was found
-    let found = false;
-    
-    // Loop through each post to find the one containing our passport
-    for (const post of posts) {
-      // Find the passport in this post's array
-      const passportIndex = post.passports.findIndex(
-        p => p._id.toString() === passportId
-      );
-      
-      // If passport found in this post
-      if (passportIndex !== -1) {
-        found = true;
-        console.log(`Found passport ${passportId} in post ${post._id}`);
-        
-        // Make sure user is post owner or admin
-        if (post.createdBy.toString() !== req.user.id && req.user.role !== 'admin') {
-          return next(new ErrorResponse('Not authorized to update this passport', 403));
-        }
-        
-        // Get the original passport data
-        const originalPassport = post.passports[passportIndex];
-        
-        // Update the passport fields while preserving the _id AND the original postDate
-        const updatedPassport = {
-          _id: originalPassport._id, // Preserve the original ID
-          ...req.body,
-          postDate: originalPassport.postDate // Preserve the original timestamp
-        };
-        
-        console.log('Preserved original post date:', updatedPassport.postDate);
-        
-        // Replace the passport in the array
-        post.passports[passportIndex] = updatedPassport;
-        
-        // Set the updatedBy field
-        post.updatedBy = req.user.id;
-        
-        // Save the post
-        await post.save();
-        
-        // Get the updated post with populated fields
-        const updatedPost = await PassportPost.findById(post._id)
-          .populate({
-            path: 'createdBy',
-            select: 'fullName email'
-          })
-          .populate({
-            path: 'updatedBy',
-            select: 'fullName email'
-          });
-        
-        console.log('Updated post with preserved date:', updatedPost.passports[passportIndex].postDate);
-        
-        // Return success response
-        res.status(200).json({
-          success: true,
-          data: {
-            post: updatedPost,
-            updatedPassport: updatedPost.passports[passportIndex]
-          }
-        });
-        
-        // Exit the function after successful update
-        return;
-      }
-    }
+    // Find the post holding the passport through the passports._id index
+    const post = await PassportPost.findByPassportId(passportId);
+    const passportIndex = post
+      ? post.passports.findIndex(p => p._id.toString() === passportId)
+      : -1;
     
-    // If we've gone through all posts and not found the passport
-    if (!found) {
+    if (passportIndex === -1) {
       console.log(`No passport found with ID: ${passportId}`);
       return next(new ErrorResponse(`Passport not found with id ${passportId}`, 404));
     }
-  } catch (error) {
-    console.error("Error in updateSinglePassport:", error);
-    return next(new ErrorResponse("Error updating passport: " + error.message, 500));
-  }
-});
-
+    console.log(`Found passport ${passportId} in post ${post._id}`);
+    
+    const notAllowed = authorizeAction(req.user, 'update', post.createdBy, 'passport');
+    if (notAllowed) {
+      return next(notAllowed);
+    }
+    
+    // Get the original passport data
+    const originalPassport = post.passports[passportIndex];
+
+    if (rejectStaleVersion(req, res, originalPassport.version, { passport: originalPassport, postId: post._id }, 'passport')) {
+      return;
+    }
+
+    // Slips are assigned by the server in auto mode; a typed one must be unique in manual mode
+    const slipCheck = await checkSlipFields([{ ...req.body, _id: originalPassport._id }], {
+      existingSlips: { [originalPassport._id.toString()]: originalPassport.slipNo }
+    });
+    if (rejectFieldErrors(res, slipCheck, (index, field) => field)) {
+      return;
+    }
+
+    // Check for the same passport number in any other entry
+    const duplicates = await findDuplicatePassports([req.body], {
+      excludePassportIds: [originalPassport._id]
+    });
+    if (rejectDuplicatePassports(res, duplicates)) {
+      return;
+    }
+
+    // Normalize the appointment link; an unchanged link is not re-checked against the allowlist
+    const linkCheck = await checkPassportLinks([{ ...req.body, _id: originalPassport._id }], {
+      existingLinks: { [originalPassport._id.toString()]: originalPassport.link },
+      excludePassportIds: [originalPassport._id]
+    });
+    if (rejectLinkProblems(res, linkCheck, () => 'link')) {
+      return;
+    }
+
+    // Store the issued country as an ISO code; an unchanged value saved before normalization is kept
+    const countryCheck = normalizePassportCountries(linkCheck.passports, {
+      existingCountries: { [originalPassport._id.toString()]: originalPassport.issuedCountry }
+    });
+    if (rejectFieldErrors(res, countryCheck, (index, field) => field)) {
+      return;
+    }
+
+    // Check a changed passport number against the issuing country's format; admins may override
+    const formatCheck = await checkPassportFormats(countryCheck.passports, {
+      existingEntries: existingFormatEntries([originalPassport])
+    });
+    const overrideFormat = formatCheck.errors.length > 0 && wantsFormatOverride(req);
+    if (overrideFormat && !can(req.user, 'overrideFormat')) {
+      return next(new ErrorResponse('Only admins can override passport number format rules', 403));
+    }
+    if (!overrideFormat && rejectFieldErrors(res, formatCheck, (index, field) => field)) {
+      return;
+    }
+
+    // Check the entry against the schema before new agents are created for it
+    const schemaCheck = await checkEntrySchema(
+      countryCheck.passports.map(passport => stripSlipFields(stripWorkflowFields(stripVersion(passport)))),
+      post.createdBy
+    );
+    if (rejectFieldErrors(res, schemaCheck, (index, field) => field)) {
+      return;
+    }
+
+    // Split new "city/agent/agent" text; an unchanged city keeps its agents
+    const agentCheck = await resolvePassportAgents(countryCheck.passports, {
+      userId: req.user.id,
+      existingEntries: existingAgentEntries([originalPassport])
+    });
+    if (rejectFieldErrors(res, agentCheck, (index, field) => field)) {
+      return;
+    }
+    
+    // Update the passport fields while preserving the _id AND the original postDate
+    const updatedPassport = {
+      ...stripSlipFields(stripWorkflowFields(stripVersion(agentCheck.passports[0]))),
+      _id: originalPassport._id, // Preserve the original ID
+      postDate: originalPassport.postDate, // Preserve the original timestamp
+      status: originalPassport.status, // Status only changes through the status endpoint
+      statusHistory: originalPassport.toObject().statusHistory,
+      tags: originalPassport.tags, // Tags only change through the tag endpoints
+      // Assigned slips never change
+      ...(isAutoSlipMode()
+        ? { slipNo: originalPassport.slipNo, slipSequence: originalPassport.slipSequence }
+        : manualSlipFields(agentCheck.passports[0], originalPassport)),
+      version: (originalPassport.version || 0) + 1
+    };
+    
+    console.log('Preserved original post date:', updatedPassport.postDate);
+    
+    // Keep a copy of the current entry for the change history
+    const beforePassport = originalPassport.toObject();
+
+    // Replace the passport in the array
+    post.passports[passportIndex] = updatedPassport;
+    
+    // Write only this entry back, with a positional update
+    await PassportPost.savePassportEntry(post, post.passports[passportIndex], req.user.id);
+
+    // Record field-level changes for this passport
+    await recordPostChanges(post, [beforePassport], [post.passports[passportIndex]], req.user.id);
+    
+    // Get the updated post with populated fields
+    const updatedPost = await PassportPost.findById(post._id)
+      .populate({
+        path: 'createdBy',
+        select: 'fullName email'
+      })
+      .populate({
+        path: 'updatedBy',
+        select: 'fullName email'
+      });
+    
+    const savedPassport = updatedPost.passports.id(passportId);
+    console.log('Updated post with preserved date:', savedPassport.postDate);
+    
+    // Return success response
+    res.set('ETag', toEtag(savedPassport.version));
+    res.status(200).json({
+      success: true,
+      data: {
+        post: updatedPost,
+        updatedPassport: savedPassport
+      },
+      warnings: duplicates.length > 0 ? duplicates : undefined,
+      linkWarnings: linkCheck.duplicates.length > 0 ? linkCheck.duplicates : undefined,
+      formatWarnings: overrideFormat ? formatCheck.errors : undefined
+    });
+  } catch (error) {
+    console.error("Error in updateSinglePassport:", error);
+    if (error.name === 'VersionError') {
+      return next(versionConflictError());
+    }
+    return next(new ErrorResponse("Error updating passport: " + error.message, 500));
+  }
+});
+
+// Helper function to find the ids of the passports matching bulk update search parameters
+// Only entries of posts the user may update are matched
+// Returns null when the user may not update any post
+const findBulkUpdateTargets = async (filter, user) => {
+  const passportConditions = buildPassportSearchConditions(filter);
+  const hasPassportConditions = Object.keys(passportConditions).length > 0;
+
+  const ownerConditions = buildOwnerConditions(filter);
+  if (!hasPassportConditions && Object.keys(ownerConditions).length === 0) {
+    throw new ErrorResponse('filter must contain at least one search parameter', 400);
+  }
+  if (hasPassportConditions) {
+    ownerConditions.passports = { $elemMatch: passportConditions };
+  }
+
+  const postMatch = scopePostFilter(ownerConditions, user, 'update');
+  if (!postMatch) {
+    return null;
+  }
+
+  const matches = await PassportPost.aggregate([
+    { $match: postMatch },
+    { $unwind: '$passports' },
+    ...(hasPassportConditions ? [{ $match: prefixPassportConditions(passportConditions) }] : []),
+    { $limit: BULK_UPDATE_LIMIT + 1 },
+    { $project: { _id: 0, passportId: '$passports._id' } }
+  ]);
+
+  if (matches.length > BULK_UPDATE_LIMIT) {
+    throw new ErrorResponse(`filter matches more than ${BULK_UPDATE_LIMIT} passports; narrow it down`, 400);
+  }
+
+  return matches.map(match => match.passportId.toString());
+};
+
+// @desc    Apply the same field changes to many passports at once
+// @route   PATCH /api/v1/passport-posts/passports
+// @body    passportIds or filter (search parameters), changes (city, agentChain, issuedCountry, otherDetails),
+//          versions ({ passportId: version }, required when VERSION_CHECK_MODE is required), overrideFormat (admin only)
+// @access  Private
+exports.bulkUpdatePassports = asyncHandler(async (req, res, next) => {
+  const { passportIds, filter, changes, versions } = req.body;
+
+  if (Boolean(passportIds) === Boolean(filter)) {
+    return next(new ErrorResponse('Provide either passportIds or filter, not both', 400));
+  }
+
+  const errors = [];
+  let targetIds;
+
+  if (passportIds) {
+    targetIds = [...new Set(passportIds.map(String))].filter(id => {
+      if (mongoose.Types.ObjectId.isValid(id)) return true;
+      errors.push({ id, message: 'Passport not found' });
+      return false;
+    });
+  } else {
+    targetIds = await findBulkUpdateTargets(filter, req.user);
+    if (!targetIds) {
+      return next(authorizeAction(req.user, 'update', undefined, 'passport'));
+    }
+  }
+
+  // Load every post holding a requested passport in one query
+  const posts = targetIds.length > 0
+    ? await PassportPost.find({ 'passports._id': { $in: targetIds } })
+    : [];
+
+  const entriesById = new Map();
+  posts.forEach(post => {
+    post.passports.forEach(passport => entriesById.set(passport._id.toString(), { post, passport }));
+  });
+
+  let targets = [];
+  targetIds.forEach(id => {
+    const target = entriesById.get(id);
+
+    if (!target) {
+      errors.push({ id, message: 'Passport not found' });
+    } else if (!can(req.user, 'update', target.post.createdBy)) {
+      errors.push({ id, message: 'Not authorized to update this passport' });
+    } else {
+      const versionError = checkEntryVersion(versions, target.passport);
+      if (versionError) {
+        errors.push({ id, message: versionError.message, currentVersion: target.passport.version || 0 });
+      } else {
+        targets.push(target);
+      }
+    }
+  });
+
+  // Entries as they would be after the change, run through the same checks as single updates
+  let entries = targets.map(({ passport }) => ({
+    _id: passport._id,
+    passportNumber: passport.passportNumber,
+    issuedCountry: passport.issuedCountry,
+    issuedCountryCode: passport.issuedCountryCode,
+    city: passport.city,
+    ...changes
+  }));
+
+  // Report the entries a check rejected and leave them out of the update
+  const dropFailed = (checkErrors) => {
+    const failed = new Set();
+    checkErrors.forEach(error => {
+      failed.add(error.index);
+      errors.push({ id: entries[error.index]._id.toString(), field: error.field, message: error.message });
+    });
+
+    targets = targets.filter((target, index) => !failed.has(index));
+    entries = entries.filter((entry, index) => !failed.has(index));
+  };
+
+  const existingCountries = {};
+  targets.forEach(({ passport }) => {
+    existingCountries[passport._id.toString()] = passport.issuedCountry;
+  });
+
+  const countryCheck = normalizePassportCountries(entries, { existingCountries });
+  entries = countryCheck.passports;
+  dropFailed(countryCheck.errors);
+
+  // A new country may have format rules the stored numbers break; admins may override
+  const formatCheck = await checkPassportFormats(entries, {
+    existingEntries: existingFormatEntries(targets.map(target => target.passport))
+  });
+  const overrideFormat = formatCheck.errors.length > 0 && wantsFormatOverride(req);
+  if (overrideFormat && !can(req.user, 'overrideFormat')) {
+    return next(new ErrorResponse('Only admins can override passport number format rules', 403));
+  }
+
+  const formatWarnings = overrideFormat
+    ? formatCheck.errors.map(error => ({ id: entries[error.index]._id.toString(), field: error.field, message: error.message }))
+    : [];
+  if (!overrideFormat) {
+    dropFailed(formatCheck.errors);
+  }
+
+  // Check agent changes first so one bad entry does not block the rest, then create missing agents
+  if (changes.city !== undefined || changes.agentChain !== undefined) {
+    const agentEntries = existingAgentEntries(targets.map(target => target.passport));
+
+    const agentPreview = await resolvePassportAgents(entries, {
+      userId: req.user.id,
+      existingEntries: agentEntries,
+      create: false
+    });
+    dropFailed(agentPreview.errors);
+
+    // Check the entries as they will be saved before new agents are created for them
+    const schemaCheck = await checkEntrySchema(
+      targets.map(({ passport }, index) => ({ ...passport.toObject(), ...entries[index] })),
+      req.user.id
+    );
+    dropFailed(schemaCheck.errors);
+
+    const agentCheck = await resolvePassportAgents(entries, {
+      userId: req.user.id,
+      existingEntries: agentEntries
+    });
+    if (agentCheck.errors.length > 0) {
+      return next(new ErrorResponse('Agents changed during the update, please try again', 409));
+    }
+    entries = agentCheck.passports;
+  }
+
+  // Save each post once with all of its changed entries
+  const appliedFields = [...BULK_UPDATE_FIELDS, 'issuedCountryCode', 'legacyCity'];
+  const groups = new Map();
+  targets.forEach((target, index) => {
+    const postId = target.post._id.toString();
+    if (!groups.has(postId)) {
+      groups.set(postId, { post: target.post, items: [] });
+    }
+    groups.get(postId).items.push({ passport: target.passport, entry: entries[index] });
+  });
+
+  const updated = [];
+
+  for (const { post, items } of groups.values()) {
+    try {
+      const beforePassports = items.map(item => item.passport.toObject());
+
+      items.forEach(({ passport, entry }) => {
+        appliedFields
+          .filter(field => Object.prototype.hasOwnProperty.call(entry, field))
+          .forEach(field => passport.set(field, entry[field]));
+        passport.version = (passport.version || 0) + 1;
+      });
+
+      post.updatedBy = req.user.id;
+      await post.save();
+
+      await recordPostChanges(post, beforePassports, items.map(item => item.passport), req.user.id);
+      updated.push(...items.map(item => item.passport._id));
+    } catch (error) {
+      console.error(`Error updating passports in post ${post._id}:`, error);
+      const message = error.name === 'VersionError' ? 'Post was changed by someone else' : error.message;
+      items.forEach(item => errors.push({ id: item.passport._id.toString(), message }));
+    }
+  }
+
+  res.status(200).json({
+    success: true,
+    message: `${updated.length} passports updated`,
+    count: updated.length,
+    updated,
+    errors: errors.length > 0 ? errors : undefined,
+    formatWarnings: formatWarnings.length > 0 ? formatWarnings : undefined
+  });
+});
+
 // @desc    Delete passport post
 // @route   DELETE /api/v1/passport-posts/:id
+// @header  If-Match: post ETag (or a "version" query parameter)
 // @access  Private
 exports.deletePassportPost = asyncHandler(async (req, res, next) => {
   const post = await PassportPost.findById(req.params.id);
@@ -540,104 +1275,111 @@ exports.deletePassportPost = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse(`Post not found with id ${req.params.id}`, 404));
   }
 
-  // Make sure user is post owner or admin
-  // if (post.createdBy.toString() !== req.user.id && req.user.role !== 'admin') {
-  //   return next(new ErrorResponse('Not authorized to delete this post', 403));
-  // }
+  const notAllowed = authorizeAction(req.user, 'delete', post.createdBy);
+  if (notAllowed) {
+    return next(notAllowed);
+  }
+
+  if (rejectStaleVersion(req, res, post.__v, post)) {
+    return;
+  }
 
   // Log the passport data before deletion
   await logDeletedPassport(post, req.user.id);
 
-  // Delete the passport post
-  await post.deleteOne();
+  // Move the post to the trash, then remove it from the active posts while it still has the
+  // version that was trashed, so an edit saved in between is not lost
+  const trashItem = await DeletedPassport.trashPost(post, req.user.id);
+  const result = await PassportPost.deleteOne({ _id: post._id, __v: post.__v });
+  if (result.deletedCount === 0) {
+    await trashItem.deleteOne();
+    return next(versionConflictError());
+  }
+  await recordPassportAction(post, post.passports, 'delete', req.user.id);
 
   res.status(200).json({
     success: true,
-    message: 'Passport post deleted successfully'
+    message: 'Passport post moved to trash',
+    data: {
+      trashId: trashItem._id
+    }
   });
 });
 
 // @desc    Delete single passport
 // @route   DELETE /api/v1/passport-posts/passport/:passportId
+// @header  If-Match: passport ETag (or a "version" query parameter)
 // @access  Private
 exports.deleteSinglePassport = asyncHandler(async (req, res, next) => {
   try {
     const passportId = req.params.passportId;
     console.log("Attempting to delete passport with ID:", passportId);
     
-    // Find all posts
-    const posts = await PassportPost.find();
-    
-    // Variable to track if passport was found
-    let found = false;
-    
-    // Loop through each post to find the one containing our passport
-    for (const post of posts) {
-      // Find the passport in this post's array
-      const passportIndex = post.passports.findIndex(
-        p => p._id.toString() === passportId
-      );
-      
-      // If passport found in this post
-      if (passportIndex !== -1) {
-        found = true;
-        console.log(`Found passport ${passportId} in post ${post._id}`);
-        
-        // Make sure user is post owner or admin
-        // if (post.createdBy.toString() !== req.user.id && req.user.role !== 'admin') {
-        //   return next(new ErrorResponse('Not authorized to delete this passport', 403));
-        // }
-        
-        // Get the passport to log before deletion
-        const passportToDelete = post.passports[passportIndex];
-        
-        // Log the passport data before deletion
-        await logDeletedPassport(passportToDelete, req.user.id);
-        
-        // If post only has one passport, delete the entire post
-        if (post.passports.length === 1) {
-          console.log(`Deleting entire post ${post._id} as it has only one passport`);
-          await post.deleteOne();
-        } else {
-          // Otherwise, remove just the specific passport
-          console.log(`Removing passport ${passportId} from post ${post._id} which has ${post.passports.length} passports`);
-          // Use splice to remove the passport at the found index
-          post.passports.splice(passportIndex, 1);
-          post.updatedBy = req.user.id;
-          await post.save();
-        }
-        
-        res.status(200).json({
-          success: true,
-          message: 'Passport deleted successfully',
-          data: {
-            deletedPassport: passportId,
-            postId: post._id
-          }
-        });
-        
-        // Exit the function after successful deletion
-        return;
-      }
-    }
+    // Find the post holding the passport through the passports._id index
+    const post = await PassportPost.findByPassportId(passportId);
+    const passportToDelete = post ? post.passports.id(passportId) : null;
     
-    // If we've gone through all posts and not found the passport
-    if (!found) {
+    if (!passportToDelete) {
       console.log(`No passport found with ID: ${passportId}`);
       return next(new ErrorResponse(`Passport not found with id ${passportId}`, 404));
     }
+    console.log(`Found passport ${passportId} in post ${post._id}`);
+    
+    const notAllowed = authorizeAction(req.user, 'delete', post.createdBy, 'passport');
+    if (notAllowed) {
+      return next(notAllowed);
+    }
+
+    if (rejectStaleVersion(req, res, passportToDelete.version, { passport: passportToDelete, postId: post._id }, 'passport')) {
+      return;
+    }
+    
+    // Log the passport data before deletion
+    await logDeletedPassport(passportToDelete, req.user.id);
+
+    // Move the passport to the trash
+    const trashItem = await DeletedPassport.trashPassport(post, passportToDelete, req.user.id);
+
+    // Pull the entry out of the post; a post left empty is deleted
+    let postDeleted;
+    try {
+      postDeleted = await PassportPost.removePassportEntries(post, [passportId], req.user.id);
+    } catch (error) {
+      // Nothing was removed, so the trash copy must not stay behind
+      await trashItem.deleteOne();
+      throw error;
+    }
+
+    if (postDeleted) {
+      console.log(`Deleted entire post ${post._id} as it had only one passport`);
+    }
+    await recordPassportAction(post, [passportToDelete], 'delete', req.user.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Passport moved to trash',
+      data: {
+        deletedPassport: passportId,
+        postId: post._id,
+        trashId: trashItem._id
+      }
+    });
   } catch (error) {
     console.error("Error in deleteSinglePassport:", error);
+    if (error.name === 'VersionError') {
+      return next(versionConflictError());
+    }
     return next(new ErrorResponse("Error deleting passport: " + error.message, 500));
   }
 });
 
 // @desc    Delete multiple passports
 // @route   DELETE /api/v1/passport-posts/passports
+// @body    passportIds, versions ({ passportId: version }, required when VERSION_CHECK_MODE is required)
 // @access  Private
 exports.deleteMultiplePassports = asyncHandler(async (req, res, next) => {
   try {
-    const { passportIds } = req.body;
+    const { passportIds, versions } = req.body;
     
     console.log("Received passport IDs for deletion:", passportIds);
     
@@ -645,75 +1387,97 @@ exports.deleteMultiplePassports = asyncHandler(async (req, res, next) => {
       return next(new ErrorResponse('Please provide an array of passport IDs to delete', 400));
     }
 
+    if (versions !== undefined && (typeof versions !== 'object' || versions === null || Array.isArray(versions))) {
+      return next(new ErrorResponse('versions must map passport ids to the versions the change is based on', 400));
+    }
+
     const deletedPassports = [];
     const errors = [];
 
-    // Process each passport ID
-    for (const passportId of passportIds) {
+    // Load every post holding a requested passport in one indexed query
+    const requestedIds = [...new Set(passportIds.map(String))];
+    const validIds = requestedIds.filter(id => mongoose.Types.ObjectId.isValid(id));
+    const posts = validIds.length > 0
+      ? await PassportPost.find({ 'passports._id': { $in: validIds } })
+      : [];
+
+    const postByPassport = new Map();
+    posts.forEach(post => {
+      post.passports.forEach(passport => postByPassport.set(passport._id.toString(), post));
+    });
+
+    // Group the passports the user may delete by post
+    const groups = new Map();
+    requestedIds.forEach(passportId => {
+      const post = postByPassport.get(passportId);
+
+      if (!post) {
+        console.log(`No post found with passport ID: ${passportId}`);
+        errors.push({ id: passportId, message: 'Passport not found' });
+        return;
+      }
+
+      // Skip passports the user may not delete and report them
+      if (!can(req.user, 'delete', post.createdBy)) {
+        console.log(`User not authorized to delete passport ID: ${passportId}`);
+        errors.push({ id: passportId, message: 'Not authorized to delete this passport' });
+        return;
+      }
+
+      // Skip passports changed since the client loaded them
+      const passport = post.passports.id(passportId);
+      const versionError = checkEntryVersion(versions, passport);
+      if (versionError) {
+        errors.push({
+          id: passportId,
+          message: versionError.message,
+          currentVersion: passport.version || 0
+        });
+        return;
+      }
+
+      const postId = post._id.toString();
+      if (!groups.has(postId)) {
+        groups.set(postId, { post, passports: [] });
+      }
+      groups.get(postId).passports.push(passport);
+    });
+
+    // Trash the entries, then pull them out of their post with one update per post
+    for (const { post, passports } of groups.values()) {
+      const trashItems = [];
+
       try {
-        console.log(`Processing passport ID: ${passportId}`);
-        
-        // Find all posts
-        const posts = await PassportPost.find();
-        let found = false;
-        
-        // Search through each post manually
-        for (const post of posts) {
-          // Find the passport in this post
-          const passportIndex = post.passports.findIndex(
-            p => p._id.toString() === passportId
-          );
-          
-          // If passport found in this post
-          if (passportIndex !== -1) {
-            found = true;
-            console.log(`Found passport ${passportId} in post ${post._id}`);
-            
-            // Make sure user is post owner or admin
-            // if (post.createdBy.toString() !== req.user.id && req.user.role !== 'admin') {
-            //   console.log(`User not authorized to delete passport ID: ${passportId}`);
-            //   errors.push({ id: passportId, message: 'Not authorized to delete this passport' });
-            //   continue;
-            // }
-            
-            // Get the passport to log before deletion
-            const passportToDelete = post.passports[passportIndex];
-            
-            // Log the passport data before deletion
-            await logDeletedPassport(passportToDelete, req.user.id);
-            deletedPassports.push(passportToDelete);
-
-            // If post only has one passport, delete the entire post
-            if (post.passports.length === 1) {
-              console.log(`Deleting entire post with ID ${post._id} as it has only one passport`);
-              await post.deleteOne();
-            } else {
-              // Otherwise, remove just the specific passport
-              console.log(`Removing passport ${passportId} from post ${post._id}`);
-              post.passports.splice(passportIndex, 1);
-              post.updatedBy = req.user.id;
-              await post.save();
-            }
-            
-            // We found and processed the passport, so break the loop
-            break;
-          }
+        for (const passport of passports) {
+          await logDeletedPassport(passport, req.user.id);
+          trashItems.push(await DeletedPassport.trashPassport(post, passport, req.user.id));
         }
-        
-        // If passport not found in any post
-        if (!found) {
-          console.log(`No post found with passport ID: ${passportId}`);
-          errors.push({ id: passportId, message: 'Passport not found' });
+
+        const postDeleted = await PassportPost.removePassportEntries(
+          post,
+          passports.map(passport => passport._id),
+          req.user.id
+        );
+        if (postDeleted) {
+          console.log(`Deleted entire post with ID ${post._id} as all of its passports were removed`);
         }
+
+        await recordPassportAction(post, passports, 'delete', req.user.id);
+        deletedPassports.push(...passports);
       } catch (error) {
-        console.error(`Error processing passport ID ${passportId}:`, error);
-        errors.push({ id: passportId, message: error.message });
+        console.error(`Error deleting passports from post ${post._id}:`, error);
+
+        // Nothing was removed from this post, so its trash copies must not stay behind
+        await Promise.all(trashItems.map(item => item.deleteOne()));
+
+        const message = error.name === 'VersionError' ? 'Post was changed by someone else' : error.message;
+        passports.forEach(passport => errors.push({ id: passport._id.toString(), message }));
       }
     }
 
     res.status(200).json({
       success: true,
-      message: `${deletedPassports.length} passports deleted successfully`,
+      message: `${deletedPassports.length} passports moved to trash`,
       count: deletedPassports.length,
       deleted: deletedPassports.map(p => p._id),
       errors: errors.length > 0 ? errors : undefined
@@ -728,13 +1492,14 @@ exports.deleteMultiplePassports = asyncHandler(async (req, res, next) => {
 // @route   GET /api/v1/passport-posts/country/:countryName
 // @access  Private
 exports.getPassportsByCountry = asyncHandler(async (req, res, next) => {
-  let query = {
-    'passports.issuedCountry': { $regex: new RegExp(req.params.countryName, 'i') }
-  };
+  // Match recognized countries by ISO code so "India", "IND" and "Bharat" return the same posts
+  const country = findCountry(req.params.countryName);
+  const query = scopePostFilter(country
+    ? { 'passports.issuedCountryCode': country.alpha3 }
+    : { 'passports.issuedCountry': containsRegex(req.params.countryName) }, req.user, 'read');
 
-  // If user is not admin, show only their posts
-  if (req.user.role !== 'admin') {
-    query.createdBy = req.user.id;
+  if (!query) {
+    return next(authorizeAction(req.user, 'read'));
   }
 
   const posts = await PassportPost.find(query)
@@ -749,4 +1514,751 @@ exports.getPassportsByCountry = asyncHandler(async (req, res, next) => {
     count: posts.length,
     data: posts
   });
-});
\ No newline at end of file
+});
+
+// @desc    Search individual passport entries across all posts
+// @route   GET /api/v1/passport-posts/passports/search
+// @query   savedSearch, q, passportNumber, from, to, period, tz, issuedCountry, city, agent, slipNo, missingSlip, status, tag, linkFlagged, createdBy, updatedBy, page, limit, sort
+// @access  Private
+exports.searchPassports = asyncHandler(async (req, res, next) => {
+  const { page, limit, skip } = parsePagination(req.query);
+  const sort = { ...parseSort(req.query.sort, '-postDate'), 'passports._id': -1 };
+
+  const passportConditions = buildPassportSearchConditions(req.query);
+  const hasPassportConditions = Object.keys(passportConditions).length > 0;
+
+  // Narrow down posts first, then unwind and keep only the matching entries
+  const ownerConditions = buildOwnerConditions(req.query);
+  if (hasPassportConditions) {
+    ownerConditions.passports = { $elemMatch: passportConditions };
+  }
+
+  // Only posts the user may read
+  const postMatch = scopePostFilter(ownerConditions, req.user, 'read');
+  if (!postMatch) {
+    return next(authorizeAction(req.user, 'read'));
+  }
+
+  const [result] = await PassportPost.aggregate([
+    { $match: postMatch },
+    { $unwind: '$passports' },
+    ...(hasPassportConditions ? [{ $match: prefixPassportConditions(passportConditions) }] : []),
+    {
+      $facet: {
+        total: [{ $count: 'count' }],
+        data: [
+          { $sort: sort },
+          { $skip: skip },
+          { $limit: limit },
+          {
+            $lookup: {
+              from: User.collection.name,
+              localField: 'createdBy',
+              foreignField: '_id',
+              as: 'createdBy'
+            }
+          },
+          { $unwind: { path: '$createdBy', preserveNullAndEmptyArrays: true } },
+          {
+            $lookup: {
+              from: Tag.collection.name,
+              localField: 'passports.tags',
+              foreignField: '_id',
+              as: 'tagDocs'
+            }
+          },
+          {
+            $replaceRoot: {
+              newRoot: {
+                $mergeObjects: [
+                  '$passports',
+                  {
+                    postId: '$_id',
+                    tags: {
+                      $map: {
+                        input: '$tagDocs',
+                        as: 'tag',
+                        in: { _id: '$$tag._id', name: '$$tag.name', color: '$$tag.color' }
+                      }
+                    },
+                    createdBy: {
+                      _id: '$createdBy._id',
+                      fullName: '$createdBy.fullName',
+                      email: '$createdBy.email'
+                    }
+                  }
+                ]
+              }
+            }
+          }
+        ]
+      }
+    }
+  ]);
+
+  const total = result.total.length > 0 ? result.total[0].count : 0;
+
+  res.status(200).json({
+    success: true,
+    count: result.data.length,
+    total,
+    pagination: buildPagination(req, { page, limit, total }),
+    data: result.data
+  });
+});
+
+
+// @desc    Get change history of a single passport
+// @route   GET /api/v1/passport-posts/passport/:passportId/history
+// @access  Private
+exports.getPassportHistory = asyncHandler(async (req, res, next) => {
+  const { passportId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(passportId)) {
+    return next(new ErrorResponse(`Passport not found with id ${passportId}`, 404));
+  }
+
+  // The latest revision knows the current owner, even for deleted passports
+  const latest = await PassportRevision.findOne({ passportId })
+    .sort({ changedAt: -1, _id: -1 })
+    .select('owner');
+
+  if (!latest) {
+    return next(new ErrorResponse(`No history found for passport ${passportId}`, 404));
+  }
+
+  const notAllowed = authorizeAction(req.user, 'read', latest.owner, 'passport');
+  if (notAllowed) {
+    return next(notAllowed);
+  }
+
+  const { page, limit, skip } = parsePagination(req.query);
+
+  const [total, revisions] = await Promise.all([
+    PassportRevision.countDocuments({ passportId }),
+    PassportRevision.find({ passportId })
+      .sort({ changedAt: -1, _id: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate({
+        path: 'changedBy',
+        select: 'fullName email'
+      })
+  ]);
+
+  res.status(200).json({
+    success: true,
+    count: revisions.length,
+    total,
+    pagination: buildPagination(req, { page, limit, total }),
+    data: revisions
+  });
+});
+
+// @desc    Revert a passport to its values as of a given revision
+// @route   POST /api/v1/passport-posts/passport/:passportId/history/:revisionId/revert
+// @body    overrideFormat (admin only) restores passport numbers that break the country format rules
+// @access  Private
+exports.revertPassportRevision = asyncHandler(async (req, res, next) => {
+  const { passportId, revisionId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(passportId) || !mongoose.Types.ObjectId.isValid(revisionId)) {
+    return next(new ErrorResponse(`Revision not found with id ${revisionId}`, 404));
+  }
+
+  const revision = await PassportRevision.findOne({ _id: revisionId, passportId });
+
+  if (!revision) {
+    return next(new ErrorResponse(`Revision not found with id ${revisionId}`, 404));
+  }
+
+  const post = await PassportPost.findOne({ 'passports._id': passportId });
+
+  if (!post) {
+    return next(new ErrorResponse(`Passport not found with id ${passportId}. Restore it from the trash first`, 404));
+  }
+
+  const notAllowed = authorizeAction(req.user, 'update', post.createdBy, 'passport');
+  if (notAllowed) {
+    return next(notAllowed);
+  }
+
+  const passport = post.passports.id(passportId);
+
+  // Undo every revision made after the target one, newest first
+  const newerRevisions = await PassportRevision.find({
+    passportId,
+    $or: [
+      { changedAt: { $gt: revision.changedAt } },
+      { changedAt: revision.changedAt, _id: { $gt: revision._id } }
+    ]
+  }).sort({ changedAt: -1, _id: -1 });
+
+  const values = valuesAsOfRevision(passport, newerRevisions);
+
+  // Only fields a client may edit are reverted; tags and the post date keep their current
+  // values, and the restored values go through the same checks as a single update
+  const restoredValue = field => (values[field] === null ? undefined : values[field]);
+  const submitted = {
+    _id: passport._id,
+    passportNumber: restoredValue('passportNumber'),
+    link: restoredValue('link'),
+    city: restoredValue('city'),
+    slipNo: restoredValue('slipNo'),
+    issuedCountry: restoredValue('issuedCountry'),
+    otherDetails: restoredValue('otherDetails')
+  };
+
+  // A city typed as "city/agent" before agent chains existed is split again
+  const agentChain = restoredValue('agentChain') || [];
+  if (agentChain.length > 0 || !String(submitted.city || '').includes('/')) {
+    submitted.agentChain = agentChain;
+  }
+
+  // Assigned slip numbers are not rolled back; a restored hand-typed slip must still be unique
+  if (isAutoSlipMode()) {
+    submitted.slipNo = passport.slipNo;
+  }
+
+  const slipCheck = await checkSlipFields([submitted], {
+    existingSlips: { [passport._id.toString()]: passport.slipNo }
+  });
+  if (rejectFieldErrors(res, slipCheck, (index, field) => field)) {
+    return;
+  }
+  const slipFields = isAutoSlipMode()
+    ? { slipNo: passport.slipNo, slipSequence: passport.slipSequence }
+    : manualSlipFields(submitted, passport);
+
+  // Check the restored passport number against other entries
+  const duplicates = await findDuplicatePassports([submitted], {
+    excludePassportIds: [passport._id]
+  });
+  if (rejectDuplicatePassports(res, duplicates)) {
+    return;
+  }
+
+  // Re-parse the restored link; the old link was allowed when it was first saved
+  const linkCheck = await checkPassportLinks([submitted], {
+    existingLinks: { [passport._id.toString()]: submitted.link },
+    excludePassportIds: [passport._id]
+  });
+  if (rejectLinkProblems(res, linkCheck, () => 'link')) {
+    return;
+  }
+
+  // Store the issued country as an ISO code; the current value is kept as it is
+  const countryCheck = normalizePassportCountries(linkCheck.passports, {
+    existingCountries: { [passport._id.toString()]: passport.issuedCountry }
+  });
+  if (rejectFieldErrors(res, countryCheck, (index, field) => field)) {
+    return;
+  }
+
+  // Check a restored passport number against the issuing country's format; admins may override
+  const formatCheck = await checkPassportFormats(countryCheck.passports, {
+    existingEntries: existingFormatEntries([passport])
+  });
+  const overrideFormat = formatCheck.errors.length > 0 && wantsFormatOverride(req);
+  if (overrideFormat && !can(req.user, 'overrideFormat')) {
+    return next(new ErrorResponse('Only admins can override passport number format rules', 403));
+  }
+  if (!overrideFormat && rejectFieldErrors(res, formatCheck, (index, field) => field)) {
+    return;
+  }
+
+  // Check the entry against the schema before new agents are created for it
+  const schemaCheck = await checkEntrySchema(
+    [{ ...passport.toObject(), ...countryCheck.passports[0], ...slipFields }],
+    post.createdBy
+  );
+  if (rejectFieldErrors(res, schemaCheck, (index, field) => field)) {
+    return;
+  }
+
+  // Restored agent ids must still exist
+  const agentCheck = await resolvePassportAgents(countryCheck.passports, {
+    userId: req.user.id,
+    existingEntries: existingAgentEntries([passport])
+  });
+  if (rejectFieldErrors(res, agentCheck, (index, field) => field)) {
+    return;
+  }
+
+  const restored = agentCheck.passports[0];
+  const split = restored.city !== submitted.city;
+
+  const beforePassport = passport.toObject();
+
+  REVERTED_FIELDS.forEach(field => {
+    passport.set(field, restored[field] === null ? undefined : restored[field]);
+  });
+  passport.legacyCity = split ? restored.legacyCity : restoredValue('legacyCity');
+  passport.slipNo = slipFields.slipNo;
+  passport.slipSequence = slipFields.slipSequence;
+  passport.version = (passport.version || 0) + 1;
+
+  try {
+    await PassportPost.savePassportEntry(post, passport, req.user.id);
+  } catch (error) {
+    if (error.name === 'VersionError') {
+      return next(versionConflictError());
+    }
+    throw error;
+  }
+
+  const changes = diffPassport(beforePassport, passport);
+
+  await saveRevisions([{
+    passportId: passport._id,
+    postId: post._id,
+    owner: post.createdBy,
+    action: 'revert',
+    changes,
+    revertedTo: revision._id,
+    changedBy: req.user.id
+  }]);
+
+  res.status(200).json({
+    success: true,
+    message: changes.length > 0 ? 'Passport reverted successfully' : 'Passport already matches this revision',
+    data: {
+      passport,
+      postId: post._id,
+      revertedTo: revision._id,
+      changes
+    },
+    warnings: duplicates.length > 0 ? duplicates : undefined,
+    linkWarnings: linkCheck.duplicates.length > 0 ? linkCheck.duplicates : undefined,
+    formatWarnings: overrideFormat ? formatCheck.errors : undefined
+  });
+});
+
+
+// @desc    Export flattened passport entries as CSV or Excel
+// @route   GET /api/v1/passport-posts/export
+// @query   savedSearch, format (csv | xlsx), sort, from, to, period, tz, issuedCountry, city, agent, slipNo, missingSlip, status, tag, linkFlagged, createdBy, updatedBy
+// @access  Private
+exports.exportPassports = asyncHandler(async (req, res, next) => {
+  const format = String(req.query.format || 'csv').toLowerCase();
+
+  if (!EXPORT_FORMATS.includes(format)) {
+    return next(new ErrorResponse(`format must be one of: ${EXPORT_FORMATS.join(', ')}`, 400));
+  }
+
+  const sort = { ...parseSort(req.query.sort, '-postDate'), 'passports._id': -1 };
+  const passportConditions = buildPassportConditions(req.query);
+  const hasPassportConditions = Object.keys(passportConditions).length > 0;
+
+  const ownerConditions = buildOwnerConditions(req.query);
+  if (hasPassportConditions) {
+    ownerConditions.passports = { $elemMatch: passportConditions };
+  }
+
+  // Export only posts the user may read
+  const postMatch = scopePostFilter(ownerConditions, req.user, 'read');
+  if (!postMatch) {
+    return next(authorizeAction(req.user, 'read'));
+  }
+
+  const rows = PassportPost.aggregate([
+    { $match: postMatch },
+    { $unwind: '$passports' },
+    ...(hasPassportConditions ? [{ $match: prefixPassportConditions(passportConditions) }] : []),
+    { $sort: sort },
+    {
+      $lookup: {
+        from: User.collection.name,
+        localField: 'createdBy',
+        foreignField: '_id',
+        as: 'createdBy'
+      }
+    },
+    { $unwind: { path: '$createdBy', preserveNullAndEmptyArrays: true } },
+    {
+      $lookup: {
+        from: Agent.collection.name,
+        localField: 'passports.agentChain',
+        foreignField: '_id',
+        as: 'agents'
+      }
+    },
+    {
+      $lookup: {
+        from: Tag.collection.name,
+        localField: 'passports.tags',
+        foreignField: '_id',
+        as: 'tagDocs'
+      }
+    },
+    {
+      $project: {
+        _id: 0,
+        passportId: { $toString: '$passports._id' },
+        postId: { $toString: '$_id' },
+        passportNumber: '$passports.passportNumber',
+        issuedCountry: '$passports.issuedCountry',
+        issuedCountryCode: '$passports.issuedCountryCode',
+        city: '$passports.city',
+        // Agent names in chain order, e.g. "navjyoti / aijaz"
+        agents: {
+          $reduce: {
+            input: {
+              $map: {
+                input: { $ifNull: ['$passports.agentChain', []] },
+                as: 'agentId',
+                in: {
+                  $ifNull: [
+                    { $arrayElemAt: ['$agents.name', { $indexOfArray: ['$agents._id', '$$agentId'] }] },
+                    ''
+                  ]
+                }
+              }
+            },
+            initialValue: '',
+            in: {
+              $cond: [{ $eq: ['$$value', ''] }, '$$this', { $concat: ['$$value', ' / ', '$$this'] }]
+            }
+          }
+        },
+        slipNo: '$passports.slipNo',
+        // Tag names, e.g. "urgent, batch-14"
+        tags: {
+          $reduce: {
+            input: '$tagDocs.name',
+            initialValue: '',
+            in: {
+              $cond: [{ $eq: ['$$value', ''] }, '$$this', { $concat: ['$$value', ', ', '$$this'] }]
+            }
+          }
+        },
+        link: '$passports.link',
+        postDate: '$passports.postDate',
+        otherDetails: '$passports.otherDetails',
+        status: { $ifNull: ['$passports.status', DEFAULT_STATUS] },
+        createdByName: '$createdBy.fullName',
+        createdByEmail: '$createdBy.email'
+      }
+    }
+  ]).allowDiskUse(true).cursor();
+
+  const filename = `passports-${new Date().toISOString().split('T')[0]}`;
+
+  try {
+    await streamExport(res, rows, format, filename);
+  } catch (error) {
+    console.error("Error in exportPassports:", error);
+
+    // Headers are gone once rows were written, so the download can only be cut short
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    return next(new ErrorResponse("Error exporting passports: " + error.message, 500));
+  } finally {
+    await rows.close();
+  }
+});
+
+
+// @desc    Import passport entries from an uploaded CSV or Excel file
+// @route   POST /api/v1/passport-posts/import
+// @body    file (multipart), dryRun, overrideFormat (admin only)
+// @access  Private
+exports.importPassports = asyncHandler(async (req, res, next) => {
+  // Importing creates a post, so it needs the same permission as POST /passport-posts
+  const notAllowed = authorizeAction(req.user, 'create');
+  if (notAllowed) {
+    return next(notAllowed);
+  }
+
+  if (!req.file) {
+    return next(new ErrorResponse('Please upload a CSV or XLSX file in the "file" field', 400));
+  }
+
+  const dryRun = ['true', '1', 'yes'].includes(
+    String(req.query.dryRun || req.body.dryRun || '').toLowerCase()
+  );
+
+  const { columns, ignoredColumns, rows } = await readPassportSpreadsheet(req.file);
+
+  // Validate every row with the same rules as POST /passport-posts
+  const report = rows.map(row => ({ row: row.row, status: 'valid', passport: row.passport, errors: [] }));
+  const validationErrors = await validatePassportRows(rows.map(row => row.passport));
+
+  validationErrors.forEach(error => {
+    const match = /^passports\[(\d+)\]\.(\w+)$/.exec(error.path);
+    if (!match) return;
+
+    const item = report[Number(match[1])];
+    item.status = 'invalid';
+    item.errors.push({ field: match[2], message: error.msg });
+  });
+
+  // Slip numbers in the file are ignored in auto mode; typed ones must be unique in manual mode
+  const slipItems = report.filter(item => item.status === 'valid');
+  const slipCheck = await checkSlipFields(slipItems.map(item => item.passport));
+
+  slipCheck.errors.forEach(error => {
+    const item = slipItems[error.index];
+
+    if (isAutoSlipMode()) {
+      (item.warnings = item.warnings || []).push({ field: error.field, message: 'Slip numbers are assigned by the server; the slip number in the file is ignored' });
+    } else {
+      item.status = 'invalid';
+      item.errors.push({ field: error.field, message: error.message });
+    }
+  });
+
+  // Check the valid rows for passport numbers that already exist or repeat in the file
+  const validItems = report.filter(item => item.status === 'valid');
+  const duplicates = await findDuplicatePassports(validItems.map(item => item.passport));
+  const rejectDuplicates = getDuplicateMode() === 'reject';
+
+  duplicates.forEach(duplicate => {
+    duplicate.indexes.forEach((index, position) => {
+      const item = validItems[index];
+      const isRepeat = position > 0;
+
+      if (duplicate.conflicts.length === 0 && !isRepeat) {
+        return;
+      }
+
+      const message = duplicate.conflicts.length > 0
+        ? 'Passport number already exists'
+        : 'Passport number is repeated in this file';
+
+      if (rejectDuplicates) {
+        item.status = 'invalid';
+        item.errors.push({ field: 'passportNumber', message, conflicts: duplicate.conflicts });
+      } else {
+        (item.warnings = item.warnings || []).push({ field: 'passportNumber', message, conflicts: duplicate.conflicts });
+      }
+    });
+  });
+
+  // Normalize links of the remaining rows and check them against the allowlist and other passports
+  const linkItems = report.filter(item => item.status === 'valid');
+  const linkCheck = await checkPassportLinks(linkItems.map(item => item.passport));
+  const rejectLinkDuplicates = getDuplicateLinkMode() === 'reject';
+
+  linkItems.forEach((item, index) => {
+    item.passport = linkCheck.passports[index];
+  });
+
+  linkCheck.errors.forEach(error => {
+    const item = linkItems[error.index];
+    item.status = 'invalid';
+    item.errors.push({ field: error.field, message: error.message });
+  });
+
+  linkCheck.duplicates.forEach(duplicate => {
+    duplicate.indexes.forEach(index => {
+      const item = linkItems[index];
+      if (!item.passport.linkInfo.flagged) return;
+
+      const message = 'Appointment link is already attached to another passport';
+
+      if (rejectLinkDuplicates) {
+        item.status = 'invalid';
+        item.errors.push({ field: 'link', message, conflicts: duplicate.conflicts });
+      } else {
+        (item.warnings = item.warnings || []).push({ field: 'link', message, conflicts: duplicate.conflicts });
+      }
+    });
+  });
+
+  // Store issued countries as ISO codes
+  const countryItems = report.filter(item => item.status === 'valid');
+  const countryCheck = normalizePassportCountries(countryItems.map(item => item.passport));
+
+  countryItems.forEach((item, index) => {
+    item.passport = countryCheck.passports[index];
+  });
+
+  countryCheck.errors.forEach(error => {
+    const item = countryItems[error.index];
+    item.status = 'invalid';
+    item.errors.push({ field: error.field, message: error.message });
+  });
+
+  // Check passport numbers against the issuing country's format; admins may import them anyway
+  const formatItems = report.filter(item => item.status === 'valid');
+  const formatCheck = await checkPassportFormats(formatItems.map(item => item.passport));
+  const overrideFormat = formatCheck.errors.length > 0 && wantsFormatOverride(req);
+  if (overrideFormat && !can(req.user, 'overrideFormat')) {
+    return next(new ErrorResponse('Only admins can override passport number format rules', 403));
+  }
+
+  formatCheck.errors.forEach(error => {
+    const item = formatItems[error.index];
+
+    if (overrideFormat) {
+      (item.warnings = item.warnings || []).push({ field: error.field, message: error.message });
+    } else {
+      item.status = 'invalid';
+      item.errors.push({ field: error.field, message: error.message });
+    }
+  });
+
+  // Split "city/agent/agent" text of the remaining rows; agents are only created on a real import
+  const agentItems = report.filter(item => item.status === 'valid');
+  const agentCheck = await resolvePassportAgents(agentItems.map(item => item.passport), {
+    userId: req.user.id,
+    create: false
+  });
+
+  agentCheck.errors.forEach(error => {
+    const item = agentItems[error.index];
+    item.status = 'invalid';
+    item.errors.push({ field: error.field, message: error.message });
+  });
+
+  agentCheck.newAgents.forEach(({ index, names }) => {
+    agentItems[index].newAgents = names;
+  });
+
+  // Check the remaining rows against the schema, so agents are only created for rows that save
+  const schemaItems = report.filter(item => item.status === 'valid');
+  const schemaCheck = await checkEntrySchema(schemaItems.map(item => stripSlipFields(item.passport)), req.user.id);
+
+  schemaCheck.errors.forEach(error => {
+    const item = schemaItems[error.index];
+    item.status = 'invalid';
+    item.errors.push({ field: error.field, message: error.message });
+  });
+
+  let importable = report.filter(item => item.status === 'valid');
+  let passportPost = null;
+
+  // Create the agents; nothing is created while any row fails, so rows whose agents changed since
+  // the check (e.g. a name that now matches several agents) fail and the rest are resolved again
+  let withAgents = [];
+  while (!dryRun && importable.length > 0) {
+    const agentResult = await resolvePassportAgents(importable.map(item => item.passport), {
+      userId: req.user.id
+    });
+
+    if (agentResult.errors.length === 0) {
+      withAgents = agentResult.passports;
+      break;
+    }
+
+    agentResult.errors.forEach(error => {
+      const item = importable[error.index];
+      item.status = 'invalid';
+      item.errors.push({ field: error.field, message: error.message });
+    });
+    importable = importable.filter(item => item.status === 'valid');
+  }
+
+  if (!dryRun && importable.length > 0) {
+    // Same dating as createPassportPost: every entry gets the current time
+    const now = new Date();
+
+    passportPost = await PassportPost.create({
+      passports: await withSlipNumbers(withAgents.map(passport => ({
+        ...stripSlipFields(passport),
+        postDate: new Date(now)
+      })), req.user.id),
+      createdBy: req.user.id
+    });
+
+    await recordPassportAction(passportPost, passportPost.passports, 'create', req.user.id);
+
+    importable.forEach((item, index) => {
+      item.status = 'created';
+      item.passportId = passportPost.passports[index]._id;
+      item.slipNo = passportPost.passports[index].slipNo;
+    });
+  }
+
+  res.status(passportPost ? 201 : 200).json({
+    success: true,
+    dryRun,
+    data: {
+      postId: passportPost ? passportPost._id : undefined,
+      totalRows: report.length,
+      validRows: importable.length,
+      invalidRows: report.length - importable.length,
+      columns,
+      ignoredColumns,
+      rows: report
+    }
+  });
+});
+
+
+// @desc    Move a passport to another processing status
+// @route   PATCH /api/v1/passport-posts/passport/:passportId/status
+// @header  If-Match: passport ETag (or a "version" body field)
+// @body    status, note
+// @access  Private
+exports.updatePassportStatus = asyncHandler(async (req, res, next) => {
+  const { passportId } = req.params;
+  const { status, note } = req.body;
+
+  if (!mongoose.Types.ObjectId.isValid(passportId)) {
+    return next(new ErrorResponse(`Passport not found with id ${passportId}`, 404));
+  }
+
+  if (!PASSPORT_STATUSES.includes(status)) {
+    return next(new ErrorResponse(`status must be one of: ${PASSPORT_STATUSES.join(', ')}`, 400));
+  }
+
+  if (note !== undefined && typeof note !== 'string') {
+    return next(new ErrorResponse('note must be a string', 400));
+  }
+
+  const post = await PassportPost.findOne({ 'passports._id': passportId });
+
+  if (!post) {
+    return next(new ErrorResponse(`Passport not found with id ${passportId}`, 404));
+  }
+
+  const notAllowed = authorizeAction(req.user, 'update', post.createdBy, 'passport');
+  if (notAllowed) {
+    return next(notAllowed);
+  }
+
+  const passport = post.passports.id(passportId);
+  const currentStatus = passport.status || DEFAULT_STATUS;
+
+  if (rejectStaleVersion(req, res, passport.version, { passport, postId: post._id }, 'passport')) {
+    return;
+  }
+
+  if (!canTransition(currentStatus, status)) {
+    return next(new ErrorResponse(
+      `Cannot move passport from ${currentStatus} to ${status}. Allowed: ${STATUS_TRANSITIONS[currentStatus].join(', ') || 'none'}`,
+      400
+    ));
+  }
+
+  passport.status = status;
+  passport.statusHistory.push({
+    from: currentStatus,
+    to: status,
+    note,
+    changedBy: req.user.id,
+    changedAt: new Date()
+  });
+  passport.version = (passport.version || 0) + 1;
+
+  try {
+    await PassportPost.savePassportEntry(post, passport, req.user.id);
+  } catch (error) {
+    if (error.name === 'VersionError') {
+      return next(versionConflictError());
+    }
+    throw error;
+  }
+
+  res.set('ETag', toEtag(passport.version));
+  res.status(200).json({
+    success: true,
+    data: {
+      passport,
+      postId: post._id
+    }
+  });
+});
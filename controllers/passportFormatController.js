@@ -0,0 +1,149 @@
+const PassportFormat = require('../models/passportFormatSchema');
+const asyncHandler = require('../middleware/async');
+const ErrorResponse = require('../utils/errorResponse');
+const { findCountry } = require('../utils/countries');
+const { checkPassportNumberFormat } = require('../utils/passportFormats');
+
+// Rule fields admins can edit
+const RULE_FIELDS = ['pattern', 'minLength', 'maxLength', 'allowedCharacters', 'example', 'description'];
+
+// @desc    Get passport number format rules
+// @route   GET /api/v1/passport-formats
+// @access  Private
+exports.getPassportFormats = asyncHandler(async (req, res, next) => {
+  const rules = await PassportFormat.find()
+    .sort('countryCode')
+    .populate({
+      path: 'updatedBy',
+      select: 'fullName email'
+    });
+
+  res.status(200).json({
+    success: true,
+    count: rules.length,
+    data: rules
+  });
+});
+
+// @desc    Get the passport number format rule of a country
+// @route   GET /api/v1/passport-formats/:country
+// @access  Private
+exports.getPassportFormat = asyncHandler(async (req, res, next) => {
+  const country = findCountry(req.params.country);
+
+  if (!country) {
+    return next(new ErrorResponse(`Country not found for ${req.params.country}`, 404));
+  }
+
+  const rule = await PassportFormat.findOne({ countryCode: country.alpha3 });
+
+  if (!rule) {
+    return next(new ErrorResponse(`No passport number format rule for ${country.name}`, 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: rule
+  });
+});
+
+// @desc    Create or replace the passport number format rule of a country
+// @route   PUT /api/v1/passport-formats/:country
+// @body    pattern, minLength, maxLength, allowedCharacters, example, description
+// @access  Private/Admin
+exports.upsertPassportFormat = asyncHandler(async (req, res, next) => {
+  const country = findCountry(req.params.country);
+
+  if (!country) {
+    return next(new ErrorResponse(`Country not found for ${req.params.country}`, 404));
+  }
+
+  if (!RULE_FIELDS.slice(0, 4).some(field => req.body[field])) {
+    return next(new ErrorResponse('Provide at least one of pattern, minLength, maxLength or allowedCharacters', 400));
+  }
+
+  let rule = await PassportFormat.findOne({ countryCode: country.alpha3 });
+  const created = !rule;
+
+  if (!rule) {
+    rule = new PassportFormat({ countryCode: country.alpha3 });
+  }
+
+  RULE_FIELDS.forEach(field => {
+    rule[field] = req.body[field] === '' || req.body[field] === null ? undefined : req.body[field];
+  });
+  rule.updatedBy = req.user.id;
+
+  try {
+    await rule.validate();
+  } catch (error) {
+    return next(new ErrorResponse(error.message, 400));
+  }
+
+  // The example documents the rule, so it has to pass it
+  if (rule.example) {
+    const message = checkPassportNumberFormat(rule.example, rule);
+    if (message) {
+      return next(new ErrorResponse(`Example ${rule.example} does not pass the rule: ${message}`, 400));
+    }
+  }
+
+  await rule.save();
+
+  res.status(created ? 201 : 200).json({
+    success: true,
+    data: rule
+  });
+});
+
+// @desc    Delete the passport number format rule of a country
+// @route   DELETE /api/v1/passport-formats/:country
+// @access  Private/Admin
+exports.deletePassportFormat = asyncHandler(async (req, res, next) => {
+  const country = findCountry(req.params.country);
+  const rule = country ? await PassportFormat.findOne({ countryCode: country.alpha3 }) : null;
+
+  if (!rule) {
+    return next(new ErrorResponse(`No passport number format rule for ${req.params.country}`, 404));
+  }
+
+  await rule.deleteOne();
+
+  res.status(200).json({
+    success: true,
+    message: `Passport number format rule for ${country.name} deleted`
+  });
+});
+
+// @desc    Check a passport number against its country's format rule
+// @route   POST /api/v1/passport-formats/check
+// @body    passportNumber, issuedCountry
+// @access  Private
+exports.checkPassportFormat = asyncHandler(async (req, res, next) => {
+  const { passportNumber, issuedCountry } = req.body;
+
+  if (!passportNumber || !issuedCountry) {
+    return next(new ErrorResponse('passportNumber and issuedCountry are required', 400));
+  }
+
+  const country = findCountry(issuedCountry);
+
+  if (!country) {
+    return next(new ErrorResponse(`Country not found for ${issuedCountry}`, 400));
+  }
+
+  const rule = await PassportFormat.findOne({ countryCode: country.alpha3 });
+  const message = rule ? checkPassportNumberFormat(passportNumber, rule) : null;
+
+  res.status(200).json({
+    success: true,
+    data: {
+      passportNumber,
+      issuedCountry: country.name,
+      issuedCountryCode: country.alpha3,
+      hasRule: Boolean(rule),
+      valid: !message,
+      message: message || undefined
+    }
+  });
+});
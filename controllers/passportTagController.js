@@ -0,0 +1,149 @@
+const mongoose = require('mongoose');
+const PassportPost = require('../models/passportSchema');
+const Tag = require('../models/tagSchema');
+const asyncHandler = require('../middleware/async');
+const ErrorResponse = require('../utils/errorResponse');
+const { can } = require('../utils/passportPolicy');
+const { checkEntryVersion } = require('../utils/versioning');
+const { recordPostChanges } = require('../utils/passportHistory');
+
+// Most passports tagged in one request
+const TAG_LIMIT = 500;
+
+// Helper function to check an optional list of ids in the request body
+const isOptionalIdList = value => value === undefined ||
+  (Array.isArray(value) && value.every(id => mongoose.Types.ObjectId.isValid(id)));
+
+// @desc    Add tags to and remove tags from one or many passports
+// @route   PATCH /api/v1/passport-posts/passports/tags
+// @body    passportIds, add (tag ids), remove (tag ids), versions ({ passportId: version }, required when VERSION_CHECK_MODE is required)
+// @access  Private
+exports.tagPassports = asyncHandler(async (req, res, next) => {
+  const { passportIds, add = [], remove = [], versions } = req.body;
+
+  if (!Array.isArray(passportIds) || passportIds.length === 0) {
+    return next(new ErrorResponse('Please provide an array of passport IDs to tag', 400));
+  }
+
+  if (passportIds.length > TAG_LIMIT) {
+    return next(new ErrorResponse(`At most ${TAG_LIMIT} passports can be tagged at once`, 400));
+  }
+
+  if (!isOptionalIdList(add) || !isOptionalIdList(remove)) {
+    return next(new ErrorResponse('add and remove must be arrays of tag IDs', 400));
+  }
+
+  const addIds = [...new Set(add.map(String))];
+  const removeIds = [...new Set(remove.map(String))];
+
+  if (addIds.length === 0 && removeIds.length === 0) {
+    return next(new ErrorResponse('Please provide tags to add or remove', 400));
+  }
+
+  const both = addIds.filter(id => removeIds.includes(id));
+  if (both.length > 0) {
+    return next(new ErrorResponse(`Cannot add and remove the same tag: ${both.join(', ')}`, 400));
+  }
+
+  if (versions !== undefined && (typeof versions !== 'object' || versions === null || Array.isArray(versions))) {
+    return next(new ErrorResponse('versions must be an object of passport ID to version', 400));
+  }
+
+  // Only existing tags can be added; removing a tag that no longer exists is allowed
+  const tags = await Tag.find({ _id: { $in: addIds } }).select('_id');
+  const found = new Set(tags.map(tag => tag._id.toString()));
+  const missing = addIds.filter(id => !found.has(id));
+  if (missing.length > 0) {
+    return next(new ErrorResponse(`Tag(s) not found: ${missing.join(', ')}`, 400));
+  }
+
+  const errors = [];
+  const targetIds = [...new Set(passportIds.map(String))].filter(id => {
+    if (mongoose.Types.ObjectId.isValid(id)) return true;
+    errors.push({ id, message: 'Passport not found' });
+    return false;
+  });
+
+  // Load every post holding a requested passport in one query
+  const posts = targetIds.length > 0
+    ? await PassportPost.find({ 'passports._id': { $in: targetIds } })
+    : [];
+
+  const entriesById = new Map();
+  posts.forEach(post => {
+    post.passports.forEach(passport => entriesById.set(passport._id.toString(), { post, passport }));
+  });
+
+  // Group the passports by the post holding them, so each post is saved once
+  const groups = new Map();
+  targetIds.forEach(id => {
+    const target = entriesById.get(id);
+
+    if (!target) {
+      errors.push({ id, message: 'Passport not found' });
+    } else if (!can(req.user, 'update', target.post.createdBy)) {
+      errors.push({ id, message: 'Not authorized to update this passport' });
+    } else {
+      const versionError = checkEntryVersion(versions, target.passport);
+      if (versionError) {
+        errors.push({ id, message: versionError.message, currentVersion: target.passport.version || 0 });
+        return;
+      }
+
+      const postId = target.post._id.toString();
+      if (!groups.has(postId)) {
+        groups.set(postId, { post: target.post, passports: [] });
+      }
+      groups.get(postId).passports.push(target.passport);
+    }
+  });
+
+  const updated = [];
+  const unchanged = [];
+
+  for (const { post, passports } of groups.values()) {
+    const beforePassports = [];
+    const changed = [];
+
+    passports.forEach(passport => {
+      const current = passport.tags.map(String);
+      const tagIds = [
+        ...current.filter(id => !removeIds.includes(id)),
+        ...addIds.filter(id => !current.includes(id))
+      ];
+
+      if (tagIds.length === current.length && tagIds.every((id, index) => id === current[index])) {
+        unchanged.push(passport._id);
+        return;
+      }
+
+      beforePassports.push(passport.toObject());
+      passport.tags = tagIds;
+      passport.version = (passport.version || 0) + 1;
+      changed.push(passport);
+    });
+
+    if (changed.length === 0) continue;
+
+    try {
+      post.updatedBy = req.user.id;
+      await post.save();
+
+      await recordPostChanges(post, beforePassports, changed, req.user.id);
+      updated.push(...changed.map(passport => passport._id));
+    } catch (error) {
+      console.error(`Error tagging passports in post ${post._id}:`, error);
+      const message = error.name === 'VersionError' ? 'Post was changed by someone else' : error.message;
+      changed.forEach(passport => errors.push({ id: passport._id.toString(), message }));
+    }
+  }
+
+  res.status(200).json({
+    success: true,
+    message: `${updated.length} passports tagged`,
+    count: updated.length,
+    updated,
+    unchanged: unchanged.length > 0 ? unchanged : undefined,
+    errors: errors.length > 0 ? errors : undefined
+  });
+});
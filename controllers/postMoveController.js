@@ -0,0 +1,368 @@
+const mongoose = require('mongoose');
+const PassportPost = require('../models/passportSchema');
+const Attachment = require('../models/attachmentSchema');
+const asyncHandler = require('../middleware/async');
+const ErrorResponse = require('../utils/errorResponse');
+const { can, authorizeAction } = require('../utils/passportPolicy');
+const { recordPassportMove } = require('../utils/passportHistory');
+const { checkEntryVersion } = require('../utils/versioning');
+
+// Helper function to load a post for a response, with its owners populated
+const findPopulatedPost = postId => PassportPost.findById(postId)
+  .populate({
+    path: 'createdBy',
+    select: 'fullName email'
+  })
+  .populate({
+    path: 'updatedBy',
+    select: 'fullName email'
+  });
+
+// Helper function to find a post and check the user may update it
+// Returns the post, or an ErrorResponse when the post is missing or not allowed
+const findUpdatablePost = async (postId, user) => {
+  if (!mongoose.Types.ObjectId.isValid(postId)) {
+    return new ErrorResponse(`Post not found with id ${postId}`, 404);
+  }
+
+  const post = await PassportPost.findById(postId);
+
+  if (!post) {
+    return new ErrorResponse(`Post not found with id ${postId}`, 404);
+  }
+
+  return authorizeAction(user, 'update', post.createdBy) || post;
+};
+
+// Error answered when a post changed between loading it and moving its entries
+const versionConflictError = () =>
+  new ErrorResponse('A post was changed by someone else; reload it and try again', 409);
+
+// Helper function to check a list of ids in the request body
+const isIdList = value => Array.isArray(value) && value.length > 0 && value.every(id => mongoose.Types.ObjectId.isValid(id));
+
+// Helper function to check the optional { passportId: version } map in the request body
+const isVersionMap = value =>
+  value === undefined || (typeof value === 'object' && value !== null && !Array.isArray(value));
+
+// Helper function to check the version of every entry a split or merge moves
+// Returns an ErrorResponse for the first entry that may not be moved, or null
+const checkEntryVersions = (versions, passports) => {
+  for (const passport of passports) {
+    const versionError = checkEntryVersion(versions, passport);
+    if (versionError) {
+      return new ErrorResponse(`${versionError.message} (passport ${passport._id})`, versionError.status);
+    }
+  }
+  return null;
+};
+
+// Helper function to check whether the database refused a transaction because it is a
+// standalone server (transactions need a replica set)
+const isTransactionUnsupported = error =>
+  error.code === 20 || /Transaction numbers are only allowed/.test(error.message);
+
+// Helper function to move entries without a transaction: they leave the source first, and the
+// source is put back as it was when adding them to the target fails
+const moveWithoutTransaction = async (source, target, moving, userId) => {
+  const removed = await PassportPost.removePassportEntries(source, moving.map(passport => passport._id), userId);
+
+  try {
+    await PassportPost.addPassportEntries(target, moving, userId);
+  } catch (error) {
+    const original = source.toObject({ depopulate: true });
+
+    try {
+      if (removed) {
+        await PassportPost.collection.insertOne(original);
+      } else {
+        await PassportPost.updateOne(
+          { _id: source._id, __v: source.__v + 1 },
+          { $set: { passports: original.passports }, $inc: { __v: 1 } }
+        );
+      }
+    } catch (restoreError) {
+      console.error(`Could not put passports back into post ${source._id}:`, restoreError, JSON.stringify(moving));
+    }
+    throw error;
+  }
+
+  return removed;
+};
+
+// Helper function to move passport entries from one post to another
+// Entries keep their _id, postDate and every other field, and a source left empty is deleted.
+// Both writes run in one transaction and only apply while the posts still have the versions they
+// were loaded with, so an entry is never left in both posts or in neither. The entries leave the
+// source before they join the target, as the unique slip index does not allow them in two posts
+// Returns true when the source post was deleted
+const moveEntries = async (source, target, passportIds, userId) => {
+  const ids = new Set(passportIds.map(String));
+  const moving = source.passports
+    .filter(passport => ids.has(passport._id.toString()))
+    .map(passport => passport.toObject());
+
+  let removed;
+  const session = await mongoose.startSession();
+
+  try {
+    // The loaded posts are only updated after the commit, so a retried transaction starts over cleanly
+    await session.withTransaction(async () => {
+      removed = await PassportPost.removePassportEntries(source, [...ids], userId, { session });
+      await PassportPost.addPassportEntries(target, moving, userId, { session });
+    });
+  } catch (error) {
+    if (!isTransactionUnsupported(error)) {
+      throw error;
+    }
+    removed = await moveWithoutTransaction(source, target, moving, userId);
+  } finally {
+    await session.endSession();
+  }
+
+  if (removed) {
+    console.log(`Deleted post ${source._id} as all of its passports moved to post ${target._id}`);
+  }
+
+  // Keep the loaded posts in step with the database for the next move of the same request
+  source.passports = source.passports.filter(passport => !ids.has(passport._id.toString()));
+  source.__v += 1;
+  target.passports.push(...moving);
+  if (target.isNew) {
+    target.isNew = false;
+    target.__v = 0;
+  } else {
+    target.__v += 1;
+  }
+
+  // Attachments and history follow the entries to their new post
+  await Attachment.updateMany(
+    { passportId: { $in: moving.map(passport => passport._id) } },
+    { $set: { postId: target._id } }
+  );
+  await recordPassportMove(source, target, moving, userId);
+
+  return removed;
+};
+
+// @desc    Move passports into another post
+// @route   POST /api/v1/passport-posts/passports/move
+// @body    passportIds, targetPostId, versions ({ passportId: version }, required when VERSION_CHECK_MODE is required)
+// @access  Private
+exports.movePassports = asyncHandler(async (req, res, next) => {
+  const { passportIds, targetPostId, versions } = req.body;
+
+  if (!isIdList(passportIds)) {
+    return next(new ErrorResponse('Please provide an array of passport IDs to move', 400));
+  }
+
+  if (!isVersionMap(versions)) {
+    return next(new ErrorResponse('versions must map passport ids to the versions the change is based on', 400));
+  }
+
+  const target = await findUpdatablePost(targetPostId, req.user);
+  if (target instanceof ErrorResponse) {
+    return next(target);
+  }
+
+  const requestedIds = [...new Set(passportIds.map(String))];
+  const sources = await PassportPost.find({
+    _id: { $ne: target._id },
+    'passports._id': { $in: requestedIds }
+  });
+
+  const sourceByPassport = new Map();
+  sources.forEach(post => {
+    post.passports.forEach(passport => sourceByPassport.set(passport._id.toString(), post));
+  });
+
+  // Group the passports by the post they come from
+  const errors = [];
+  const groups = new Map();
+  requestedIds.forEach(id => {
+    const source = sourceByPassport.get(id);
+
+    if (!source) {
+      const inTarget = target.passports.some(passport => passport._id.toString() === id);
+      errors.push({ id, message: inTarget ? 'Passport is already in the target post' : 'Passport not found' });
+    } else if (!can(req.user, 'update', source.createdBy)) {
+      errors.push({ id, message: 'Not authorized to move this passport' });
+    } else {
+      const passport = source.passports.id(id);
+      const versionError = checkEntryVersion(versions, passport);
+      if (versionError) {
+        errors.push({ id, message: versionError.message, currentVersion: passport.version || 0 });
+        return;
+      }
+
+      const postId = source._id.toString();
+      if (!groups.has(postId)) {
+        groups.set(postId, { source, ids: [] });
+      }
+      groups.get(postId).ids.push(id);
+    }
+  });
+
+  const moved = [];
+  const removedPosts = [];
+
+  for (const { source, ids } of groups.values()) {
+    try {
+      if (await moveEntries(source, target, ids, req.user.id)) {
+        removedPosts.push(source._id);
+      }
+      moved.push(...ids);
+    } catch (error) {
+      console.error(`Error moving passports out of post ${source._id}:`, error);
+      const message = error.name === 'VersionError' ? 'Post was changed by someone else' : error.message;
+      ids.forEach(id => errors.push({ id, message }));
+    }
+  }
+
+  res.status(200).json({
+    success: true,
+    message: `${moved.length} passports moved`,
+    count: moved.length,
+    moved,
+    removedPosts: removedPosts.length > 0 ? removedPosts : undefined,
+    data: await findPopulatedPost(target._id),
+    errors: errors.length > 0 ? errors : undefined
+  });
+});
+
+// @desc    Split passports out of a post into new posts
+// @route   POST /api/v1/passport-posts/:id/split
+// @body    groups (arrays of passport ids; each array becomes a new post),
+//          versions ({ passportId: version }, required when VERSION_CHECK_MODE is required)
+// @access  Private
+exports.splitPassportPost = asyncHandler(async (req, res, next) => {
+  const { groups, versions } = req.body;
+
+  if (!Array.isArray(groups) || groups.length === 0 || !groups.every(isIdList)) {
+    return next(new ErrorResponse('Please provide groups as a list of passport ID arrays', 400));
+  }
+
+  if (!isVersionMap(versions)) {
+    return next(new ErrorResponse('versions must map passport ids to the versions the change is based on', 400));
+  }
+
+  const post = await findUpdatablePost(req.params.id, req.user);
+  if (post instanceof ErrorResponse) {
+    return next(post);
+  }
+
+  const inPost = new Set(post.passports.map(passport => passport._id.toString()));
+  const seen = new Set();
+
+  for (const id of groups.flat().map(String)) {
+    if (!inPost.has(id)) {
+      return next(new ErrorResponse(`Passport ${id} is not in post ${post._id}`, 400));
+    }
+    if (seen.has(id)) {
+      return next(new ErrorResponse(`Passport ${id} is listed in more than one group`, 400));
+    }
+    seen.add(id);
+  }
+
+  const versionError = checkEntryVersions(versions, [...seen].map(id => post.passports.id(id)));
+  if (versionError) {
+    return next(versionError);
+  }
+
+  // New posts keep the owner of the original post
+  const newPosts = [];
+  let removed = false;
+
+  for (const group of groups) {
+    const newPost = new PassportPost({
+      passports: [],
+      createdBy: post.createdBy,
+      updatedBy: req.user.id
+    });
+
+    try {
+      removed = await moveEntries(post, newPost, group, req.user.id);
+    } catch (error) {
+      if (error.name === 'VersionError') {
+        return next(versionConflictError());
+      }
+      throw error;
+    }
+    newPosts.push(newPost._id);
+  }
+
+  res.status(201).json({
+    success: true,
+    message: `Post split into ${newPosts.length} new posts`,
+    count: newPosts.length,
+    data: {
+      post: removed ? null : await findPopulatedPost(post._id),
+      newPosts: await Promise.all(newPosts.map(findPopulatedPost))
+    },
+    removedPosts: removed ? [post._id] : undefined
+  });
+});
+
+// @desc    Merge posts into one; the other posts are deleted once empty
+// @route   POST /api/v1/passport-posts/merge
+// @body    targetPostId, postIds (posts whose passports move into the target),
+//          versions ({ passportId: version }, required when VERSION_CHECK_MODE is required)
+// @access  Private
+exports.mergePassportPosts = asyncHandler(async (req, res, next) => {
+  const { targetPostId, postIds, versions } = req.body;
+
+  if (!isIdList(postIds)) {
+    return next(new ErrorResponse('Please provide an array of post IDs to merge', 400));
+  }
+
+  if (!isVersionMap(versions)) {
+    return next(new ErrorResponse('versions must map passport ids to the versions the change is based on', 400));
+  }
+
+  const sourceIds = [...new Set(postIds.map(String))];
+  if (sourceIds.includes(String(targetPostId))) {
+    return next(new ErrorResponse('postIds cannot include the target post', 400));
+  }
+
+  const target = await findUpdatablePost(targetPostId, req.user);
+  if (target instanceof ErrorResponse) {
+    return next(target);
+  }
+
+  // Check every post before moving anything
+  const sources = [];
+  for (const postId of sourceIds) {
+    const source = await findUpdatablePost(postId, req.user);
+    if (source instanceof ErrorResponse) {
+      return next(source);
+    }
+
+    const versionError = checkEntryVersions(versions, source.passports);
+    if (versionError) {
+      return next(versionError);
+    }
+    sources.push(source);
+  }
+
+  let movedCount = 0;
+  for (const source of sources) {
+    const ids = source.passports.map(passport => passport._id);
+    try {
+      await moveEntries(source, target, ids, req.user.id);
+    } catch (error) {
+      if (error.name === 'VersionError') {
+        return next(versionConflictError());
+      }
+      throw error;
+    }
+    movedCount += ids.length;
+  }
+
+  res.status(200).json({
+    success: true,
+    message: `${sources.length} posts merged`,
+    count: movedCount,
+    removedPosts: sources.map(source => source._id),
+    data: await findPopulatedPost(target._id)
+  });
+});
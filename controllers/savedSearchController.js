@@ -0,0 +1,203 @@
+const mongoose = require('mongoose');
+const SavedSearch = require('../models/savedSearchSchema');
+const User = require('../models/userSchema');
+const asyncHandler = require('../middleware/async');
+const ErrorResponse = require('../utils/errorResponse');
+const { normalizeSearchFilters } = require('../utils/savedSearches');
+const { authorizeAction } = require('../utils/passportPolicy');
+
+// Owner and share list are returned with names
+const USER_POPULATE = [
+  { path: 'owner', select: 'fullName email' },
+  { path: 'sharedWith', select: 'fullName email' }
+];
+
+// Helper function to check the users a search is shared with
+// Returns an ErrorResponse when an id is not a user, else the de-duplicated ids
+const checkSharedWith = async (sharedWith, ownerId) => {
+  if (!Array.isArray(sharedWith)) {
+    return new ErrorResponse('sharedWith must be an array of user ids', 400);
+  }
+
+  const ids = [...new Set(sharedWith.map(String))].filter(id => id !== ownerId.toString());
+  const found = await User.find({ _id: { $in: ids.filter(id => mongoose.Types.ObjectId.isValid(id)) } }).select('_id');
+  const foundIds = new Set(found.map(user => user._id.toString()));
+  const missing = ids.filter(id => !foundIds.has(id));
+
+  if (missing.length > 0) {
+    return new ErrorResponse(`User(s) not found: ${missing.join(', ')}`, 400);
+  }
+
+  return ids;
+};
+
+// Helper function to find a saved search the user may see
+// Returns an ErrorResponse when it does not exist or is not visible
+const findVisibleSearch = async (id, user) => {
+  const search = mongoose.Types.ObjectId.isValid(id) ? await SavedSearch.findById(id) : null;
+
+  return search && search.isVisibleTo(user)
+    ? search
+    : new ErrorResponse(`Saved search not found with id ${id}`, 404);
+};
+
+// Helper function to check the name is not used by another search of the owner
+const checkNameFree = async (name, ownerId, searchId) => {
+  const existing = await SavedSearch.findOne({ owner: ownerId, name: String(name).trim() }).select('_id');
+
+  if (existing && (!searchId || existing._id.toString() !== searchId.toString())) {
+    return new ErrorResponse(`You already have a saved search named "${String(name).trim()}"`, 400);
+  }
+  return null;
+};
+
+// @desc    Get the saved searches of the user and those shared with them
+// @route   GET /api/v1/saved-searches
+// @query   scope (own | shared, default both)
+// @access  Private
+exports.getSavedSearches = asyncHandler(async (req, res, next) => {
+  const { scope } = req.query;
+
+  if (scope !== undefined && !['own', 'shared'].includes(scope)) {
+    return next(new ErrorResponse('scope must be one of: own, shared', 400));
+  }
+
+  let query = SavedSearch.findVisibleTo(req.user.id);
+  if (scope === 'own') {
+    query = SavedSearch.find({ owner: req.user.id });
+  } else if (scope === 'shared') {
+    query = SavedSearch.find({ sharedWith: req.user.id });
+  }
+
+  const searches = await query.sort('name').populate(USER_POPULATE);
+
+  res.status(200).json({
+    success: true,
+    count: searches.length,
+    data: searches
+  });
+});
+
+// @desc    Get a saved search
+// @route   GET /api/v1/saved-searches/:id
+// @access  Private (owner, users it is shared with, or the read scope of PASSPORT_POLICY)
+exports.getSavedSearch = asyncHandler(async (req, res, next) => {
+  const search = await findVisibleSearch(req.params.id, req.user);
+  if (search instanceof ErrorResponse) {
+    return next(search);
+  }
+
+  await search.populate(USER_POPULATE);
+
+  res.status(200).json({
+    success: true,
+    data: search
+  });
+});
+
+// @desc    Save a named set of passport filters
+// @route   POST /api/v1/saved-searches
+// @body    name, filters (passport list/search/export query parameters), sharedWith (user ids)
+// @access  Private
+exports.createSavedSearch = asyncHandler(async (req, res, next) => {
+  const { name, filters, sharedWith = [] } = req.body;
+
+  if (!name || typeof name !== 'string' || !name.trim()) {
+    return next(new ErrorResponse('Saved search name is required', 400));
+  }
+
+  const nameError = await checkNameFree(name, req.user.id);
+  if (nameError) {
+    return next(nameError);
+  }
+
+  const sharedIds = await checkSharedWith(sharedWith, req.user.id);
+  if (sharedIds instanceof ErrorResponse) {
+    return next(sharedIds);
+  }
+
+  const search = await SavedSearch.create({
+    name,
+    filters: normalizeSearchFilters(filters),
+    owner: req.user.id,
+    sharedWith: sharedIds
+  });
+
+  res.status(201).json({
+    success: true,
+    data: search
+  });
+});
+
+// @desc    Rename, change the filters of, or share a saved search
+// @route   PUT /api/v1/saved-searches/:id
+// @body    name, filters, sharedWith (replaces the list; [] stops sharing)
+// @access  Private (owner, or the update scope of PASSPORT_POLICY)
+exports.updateSavedSearch = asyncHandler(async (req, res, next) => {
+  const search = await findVisibleSearch(req.params.id, req.user);
+  if (search instanceof ErrorResponse) {
+    return next(search);
+  }
+
+  // Users the search is shared with may apply it but not change it
+  const denied = authorizeAction(req.user, 'update', search.owner, 'saved search');
+  if (denied) {
+    return next(denied);
+  }
+
+  const { name, filters, sharedWith } = req.body;
+
+  if (name !== undefined) {
+    if (typeof name !== 'string' || !name.trim()) {
+      return next(new ErrorResponse('Saved search name is required', 400));
+    }
+
+    const nameError = await checkNameFree(name, search.owner, search._id);
+    if (nameError) {
+      return next(nameError);
+    }
+    search.name = name;
+  }
+
+  if (filters !== undefined) {
+    search.filters = normalizeSearchFilters(filters);
+    search.markModified('filters');
+  }
+
+  if (sharedWith !== undefined) {
+    const sharedIds = await checkSharedWith(sharedWith, search.owner);
+    if (sharedIds instanceof ErrorResponse) {
+      return next(sharedIds);
+    }
+    search.sharedWith = sharedIds;
+  }
+
+  await search.save();
+
+  res.status(200).json({
+    success: true,
+    data: search
+  });
+});
+
+// @desc    Delete a saved search
+// @route   DELETE /api/v1/saved-searches/:id
+// @access  Private (owner, or the delete scope of PASSPORT_POLICY)
+exports.deleteSavedSearch = asyncHandler(async (req, res, next) => {
+  const search = await findVisibleSearch(req.params.id, req.user);
+  if (search instanceof ErrorResponse) {
+    return next(search);
+  }
+
+  const denied = authorizeAction(req.user, 'delete', search.owner, 'saved search');
+  if (denied) {
+    return next(denied);
+  }
+
+  await search.deleteOne();
+
+  res.status(200).json({
+    success: true,
+    message: `Saved search ${search.name} deleted successfully`
+  });
+});
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+const asyncHandler = require('../middleware/async');
+const ErrorResponse = require('../utils/errorResponse');
+const { getSlipConfig, buildSlipReport } = require('../utils/slipNumbers');
+const { getScope, authorizeAction } = require('../utils/passportPolicy');
+
+// @desc    Report duplicated slip numbers and gaps in each slip sequence
+// @route   GET /api/v1/passport-posts/slips/report
+// @query   createdBy (when the user may read every post), maxGaps
+// @access  Private (users who may only read their own posts see those)
+exports.getSlipReport = asyncHandler(async (req, res, next) => {
+  const readScope = getScope(req.user, 'read');
+  if (readScope === 'none') {
+    return next(authorizeAction(req.user, 'read'));
+  }
+
+  const createdBy = readScope === 'any' ? req.query.createdBy : req.user.id;
+
+  if (createdBy && !mongoose.Types.ObjectId.isValid(createdBy)) {
+    return next(new ErrorResponse(`Invalid createdBy: ${createdBy}`, 400));
+  }
+
+  const maxGaps = req.query.maxGaps === undefined ? 200 : parseInt(req.query.maxGaps, 10);
+  if (Number.isNaN(maxGaps) || maxGaps < 0) {
+    return next(new ErrorResponse('maxGaps must be a non-negative number', 400));
+  }
+
+  const sequences = await buildSlipReport({ createdBy, maxGaps });
+  const { mode, scope, prefix, padding } = getSlipConfig();
+
+  res.status(200).json({
+    success: true,
+    config: { mode, scope, prefix, padding },
+    count: sequences.length,
+    duplicateCount: sequences.reduce((total, sequence) => total + sequence.duplicateCount, 0),
+    missingCount: sequences.reduce((total, sequence) => total + sequence.missingCount, 0),
+    data: sequences
+  });
+});
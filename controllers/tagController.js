@@ -0,0 +1,183 @@
+const mongoose = require('mongoose');
+const Tag = require('../models/tagSchema');
+const PassportPost = require('../models/passportSchema');
+const asyncHandler = require('../middleware/async');
+const ErrorResponse = require('../utils/errorResponse');
+const { recordPostChanges } = require('../utils/passportHistory');
+
+// Times a post is reloaded when someone else saves it while a deleted tag is removed from it
+const TAG_REMOVAL_ATTEMPTS = 3;
+
+// Helper function to remove a tag from every entry of a post, recording a revision per entry
+// Tagged entries get a new version, so edits based on the old one are refused. Only the tags are
+// written, with a positional update guarded by the post version, so entries saved before the
+// current validation rules do not block the removal
+const removeTagFromPost = async (postId, tagId, userId) => {
+  for (let attempt = 1; ; attempt++) {
+    const post = await PassportPost.findById(postId).select('createdBy passports __v').lean();
+    if (!post) return false;
+
+    const beforePassports = post.passports.filter(passport =>
+      (passport.tags || []).some(id => id.equals(tagId)));
+    if (beforePassports.length === 0) return false;
+
+    const result = await PassportPost.updateOne(
+      { _id: post._id, __v: post.__v },
+      {
+        $pull: { 'passports.$[entry].tags': tagId },
+        $inc: { 'passports.$[entry].version': 1, __v: 1 },
+        $set: { updatedBy: userId }
+      },
+      { arrayFilters: [{ 'entry.tags': tagId }] }
+    );
+
+    if (result.matchedCount === 0) {
+      if (attempt < TAG_REMOVAL_ATTEMPTS) continue;
+      throw new Error('Post was changed by someone else');
+    }
+
+    const changed = beforePassports.map(passport => ({
+      ...passport,
+      tags: passport.tags.filter(id => !id.equals(tagId)),
+      version: (passport.version || 0) + 1
+    }));
+    await recordPostChanges(post, beforePassports, changed, userId);
+    return true;
+  }
+};
+
+// Helper function to check no other tag has the same name (ignoring case)
+const checkNameFree = async (name, tagId) => {
+  const existing = await Tag.findOne({ nameKey: Tag.toNameKey(name) }).select('name');
+
+  if (existing && (!tagId || existing._id.toString() !== tagId.toString())) {
+    return new ErrorResponse(`Tag ${existing.name} already exists`, 400);
+  }
+  return null;
+};
+
+// @desc    Get tags
+// @route   GET /api/v1/tags
+// @access  Private
+exports.getTags = asyncHandler(async (req, res, next) => {
+  const tags = await Tag.find().sort('nameKey');
+
+  res.status(200).json({
+    success: true,
+    count: tags.length,
+    data: tags
+  });
+});
+
+// @desc    Create a tag
+// @route   POST /api/v1/tags
+// @body    name, color (#rrggbb), description
+// @access  Private/Admin
+exports.createTag = asyncHandler(async (req, res, next) => {
+  const { name, color, description } = req.body;
+
+  if (!name || typeof name !== 'string' || !name.trim()) {
+    return next(new ErrorResponse('Tag name is required', 400));
+  }
+
+  const nameError = await checkNameFree(name);
+  if (nameError) {
+    return next(nameError);
+  }
+
+  const tag = await Tag.create({
+    name,
+    color,
+    description,
+    createdBy: req.user.id
+  });
+
+  res.status(201).json({
+    success: true,
+    data: tag
+  });
+});
+
+// @desc    Rename a tag or change its color
+// @route   PUT /api/v1/tags/:id
+// @body    name, color, description
+// @access  Private/Admin
+exports.updateTag = asyncHandler(async (req, res, next) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return next(new ErrorResponse(`Tag not found with id ${req.params.id}`, 404));
+  }
+
+  const tag = await Tag.findById(req.params.id);
+
+  if (!tag) {
+    return next(new ErrorResponse(`Tag not found with id ${req.params.id}`, 404));
+  }
+
+  if (req.body.name !== undefined) {
+    const nameError = await checkNameFree(req.body.name, tag._id);
+    if (nameError) {
+      return next(nameError);
+    }
+  }
+
+  ['name', 'color', 'description'].forEach(field => {
+    if (req.body[field] !== undefined) {
+      tag[field] = req.body[field];
+    }
+  });
+
+  await tag.save();
+
+  res.status(200).json({
+    success: true,
+    data: tag
+  });
+});
+
+// @desc    Delete a tag and remove it from every passport
+// @route   DELETE /api/v1/tags/:id
+// @access  Private/Admin
+exports.deleteTag = asyncHandler(async (req, res, next) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return next(new ErrorResponse(`Tag not found with id ${req.params.id}`, 404));
+  }
+
+  const tag = await Tag.findById(req.params.id);
+
+  if (!tag) {
+    return next(new ErrorResponse(`Tag not found with id ${req.params.id}`, 404));
+  }
+
+  // Delete the tag first, so it can no longer be added while it is removed from the entries
+  await tag.deleteOne();
+
+  const posts = await PassportPost.find({ 'passports.tags': tag._id }).select('_id').lean();
+  let modified = 0;
+  const errors = [];
+
+  for (const { _id } of posts) {
+    try {
+      if (await removeTagFromPost(_id, tag._id, req.user.id)) {
+        modified++;
+      }
+    } catch (error) {
+      console.error(`Error removing tag ${tag._id} from post ${_id}:`, error);
+      errors.push({ postId: _id, message: error.message });
+    }
+  }
+
+  // The tag is gone either way; ids left on entries can still be removed with PATCH /passports/tags
+  if (errors.length > 0) {
+    return res.status(409).json({
+      success: false,
+      error: `Tag ${tag.name} deleted, but it could not be removed from ${errors.length} post(s)`,
+      count: modified,
+      errors
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: `Tag ${tag.name} deleted and removed from ${modified} post(s)`
+  });
+});
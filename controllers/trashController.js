@@ -0,0 +1,242 @@
+const PassportPost = require('../models/passportSchema');
+const DeletedPassport = require('../models/deletedPassportSchema');
+const asyncHandler = require('../middleware/async');
+const ErrorResponse = require('../utils/errorResponse');
+const { parsePagination, buildPagination } = require('../utils/passportQuery');
+const { recordPassportAction } = require('../utils/passportHistory');
+const { getDuplicateMode, findDuplicatePassports } = require('../utils/duplicatePassports');
+const { can, authorizeAction, scopePostFilter } = require('../utils/passportPolicy');
+
+// Helper function to run the create-time checks on trashed passports before they go back
+// A passport number entered again while the entry was in the trash is refused in reject mode,
+// and a slip number taken in the meantime is always refused (slips are unique)
+// Returns an ErrorResponse, or the duplicate passport warnings
+const checkRestore = async (item) => {
+  const ids = item.passports.map(passport => passport._id);
+
+  const duplicates = await findDuplicatePassports(item.passports, { excludePassportIds: ids });
+  if (duplicates.length > 0 && getDuplicateMode() === 'reject') {
+    const numbers = duplicates.map(duplicate => duplicate.passportNumber).join(', ');
+    return new ErrorResponse(`Passport number already exists: ${numbers}`, 409);
+  }
+
+  const slipKeys = item.passports
+    .filter(passport => passport.slipSequence && passport.slipNo)
+    .map(passport => PassportPost.toSlipKey(passport));
+
+  if (slipKeys.length > 0) {
+    const taken = await PassportPost.aggregate([
+      { $match: { 'passports.slipKey': { $in: slipKeys } } },
+      { $unwind: '$passports' },
+      { $match: { 'passports.slipKey': { $in: slipKeys }, 'passports._id': { $nin: ids } } },
+      { $project: { _id: 0, slipNo: '$passports.slipNo' } }
+    ]);
+
+    if (taken.length > 0) {
+      const slips = [...new Set(taken.map(entry => entry.slipNo))].join(', ');
+      return new ErrorResponse(`Slip number already used by another passport: ${slips}`, 409);
+    }
+  }
+
+  return duplicates;
+};
+
+// Helper function to put trashed passports back into their original post
+// The post is recreated with its original _id when it no longer exists
+// Returns { post, warnings }, or an ErrorResponse when the passports cannot be restored
+const restoreItem = async (item, userId) => {
+  const duplicates = await checkRestore(item);
+  if (duplicates instanceof ErrorResponse) {
+    return duplicates;
+  }
+
+  let post = await PassportPost.findById(item.postId);
+
+  try {
+    if (post) {
+      const existingIds = new Set(post.passports.map(p => p._id.toString()));
+
+      item.passports.forEach(passport => {
+        if (!existingIds.has(passport._id.toString())) {
+          post.passports.push(passport);
+        }
+      });
+
+      post.updatedBy = userId;
+      await post.save();
+    } else {
+      post = await PassportPost.create({
+        _id: item.postId,
+        passports: item.passports,
+        createdBy: item.createdBy,
+        createdAt: item.postCreatedAt,
+        updatedBy: userId
+      });
+    }
+  } catch (error) {
+    // A slip taken between the check and the save
+    if (error.code === 11000) {
+      return new ErrorResponse('Slip number already used by another passport', 409);
+    }
+    if (error.name === 'VersionError') {
+      return new ErrorResponse('The post was changed by someone else; try again', 409);
+    }
+    throw error;
+  }
+
+  await item.deleteOne();
+  await recordPassportAction(post, item.passports, 'restore', userId);
+
+  return { post, warnings: duplicates };
+};
+
+// Helper function to check the user may restore a trashed item
+// Restoring undoes a delete, so it follows the delete policy
+const canRestoreItem = (item, user) => can(user, 'delete', item.createdBy);
+
+// @desc    Get trashed posts and passports
+// @route   GET /api/v1/passport-posts/trash
+// @query   itemType, page, limit
+// @access  Private
+exports.getTrash = asyncHandler(async (req, res, next) => {
+  const { page, limit, skip } = parsePagination(req.query);
+
+  if (req.query.itemType && !['post', 'passport'].includes(req.query.itemType)) {
+    return next(new ErrorResponse('itemType must be post or passport', 400));
+  }
+
+  // Show only items from posts the user may read
+  const query = scopePostFilter(req.query.itemType ? { itemType: req.query.itemType } : {}, req.user, 'read');
+  if (!query) {
+    return next(authorizeAction(req.user, 'read'));
+  }
+
+  const [total, items] = await Promise.all([
+    DeletedPassport.countDocuments(query),
+    DeletedPassport.find(query)
+      .sort('-deletedAt')
+      .skip(skip)
+      .limit(limit)
+      .populate({
+        path: 'createdBy',
+        select: 'fullName email'
+      })
+      .populate({
+        path: 'deletedBy',
+        select: 'fullName email'
+      })
+  ]);
+
+  res.status(200).json({
+    success: true,
+    count: items.length,
+    total,
+    retentionDays: DeletedPassport.getRetentionDays(),
+    pagination: buildPagination(req, { page, limit, total }),
+    data: items
+  });
+});
+
+// @desc    Restore a single trashed post or passport
+// @route   POST /api/v1/passport-posts/trash/:trashId/restore
+// @access  Private
+exports.restoreTrashItem = asyncHandler(async (req, res, next) => {
+  const item = await DeletedPassport.findById(req.params.trashId);
+
+  if (!item) {
+    return next(new ErrorResponse(`Trash item not found with id ${req.params.trashId}`, 404));
+  }
+
+  if (!canRestoreItem(item, req.user)) {
+    return next(new ErrorResponse('Not authorized to restore this item', 403));
+  }
+
+  const result = await restoreItem(item, req.user.id);
+  if (result instanceof ErrorResponse) {
+    return next(result);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: `${item.itemType === 'post' ? 'Passport post' : 'Passport'} restored successfully`,
+    data: {
+      postId: result.post._id,
+      restored: item.passports.map(p => p._id)
+    },
+    warnings: result.warnings.length > 0 ? result.warnings : undefined
+  });
+});
+
+// @desc    Restore multiple trashed posts or passports
+// @route   POST /api/v1/passport-posts/trash/restore
+// @access  Private
+exports.restoreTrashItems = asyncHandler(async (req, res, next) => {
+  const { trashIds } = req.body;
+
+  if (!trashIds || !Array.isArray(trashIds) || trashIds.length === 0) {
+    return next(new ErrorResponse('Please provide an array of trash item IDs to restore', 400));
+  }
+
+  const restored = [];
+  const errors = [];
+
+  // Process each trash item ID
+  for (const trashId of trashIds) {
+    try {
+      const item = await DeletedPassport.findById(trashId);
+
+      if (!item) {
+        errors.push({ id: trashId, message: 'Trash item not found' });
+        continue;
+      }
+
+      if (!canRestoreItem(item, req.user)) {
+        errors.push({ id: trashId, message: 'Not authorized to restore this item' });
+        continue;
+      }
+
+      const result = await restoreItem(item, req.user.id);
+      if (result instanceof ErrorResponse) {
+        errors.push({ id: trashId, message: result.message });
+        continue;
+      }
+      restored.push({
+        id: trashId,
+        postId: result.post._id,
+        warnings: result.warnings.length > 0 ? result.warnings : undefined
+      });
+    } catch (error) {
+      console.error(`Error restoring trash item ${trashId}:`, error);
+      errors.push({ id: trashId, message: error.message });
+    }
+  }
+
+  res.status(200).json({
+    success: true,
+    message: `${restored.length} items restored successfully`,
+    count: restored.length,
+    restored,
+    errors: errors.length > 0 ? errors : undefined
+  });
+});
+
+// @desc    Permanently remove trash items past the retention window
+// @route   DELETE /api/v1/passport-posts/trash/purge
+// @access  Private/Admin
+exports.purgeTrash = asyncHandler(async (req, res, next) => {
+  const retentionDays = req.query.olderThanDays !== undefined
+    ? parseInt(req.query.olderThanDays, 10)
+    : DeletedPassport.getRetentionDays();
+
+  if (Number.isNaN(retentionDays) || retentionDays < 0) {
+    return next(new ErrorResponse('olderThanDays must be a non-negative number', 400));
+  }
+
+  const result = await DeletedPassport.purgeExpired(retentionDays);
+
+  res.status(200).json({
+    success: true,
+    message: `${result.purged} trash items purged`,
+    data: result
+  });
+});
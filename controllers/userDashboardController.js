@@ -2,29 +2,38 @@ const User = require('../models/userSchema');
 const PassportPost = require('../models/passportSchema');
 const asyncHandler = require('../middleware/async');
 const ErrorResponse = require('../utils/errorResponse');
+const { buildStatusMatch } = require('../utils/passportStatus');
+const { resolveTimeZone, zonedDayRange } = require('../utils/timezone');
+const {
+  countPassportEntries,
+  countEntriesByDay,
+  countEntriesByMonth,
+  countEntriesByCountry,
+  latestEntries
+} = require('../utils/dashboardStats');
 const mongoose = require('mongoose');
 
+// Posts of the signed-in user, with the optional status filter
+// The id is cast because aggregation pipelines do not cast it
+const buildUserMatch = (req) => ({
+  createdBy: new mongoose.Types.ObjectId(req.user.id),
+  ...buildStatusMatch(req.query)
+});
+
 // @desc    Get user's dashboard data
 // @route   GET /api/v1/user-dashboard
+// @query   status, tz (IANA time zone of the days and months, default BUSINESS_TIMEZONE)
 // @access  Private
 exports.getUserDashboardData = asyncHandler(async (req, res, next) => {
   // Get user ID from authenticated user
   const userId = req.user.id;
-  
-  // Get current date in UTC
-  const today = new Date();
-  const startOfDay = new Date(Date.UTC(
-    today.getUTCFullYear(),
-    today.getUTCMonth(),
-    today.getUTCDate(),
-    0, 0, 0
-  ));
-  const endOfDay = new Date(Date.UTC(
-    today.getUTCFullYear(),
-    today.getUTCMonth(),
-    today.getUTCDate(),
-    23, 59, 59, 999
-  ));
+
+  // Optional ?status= filter on passport processing status
+  const userMatch = buildUserMatch(req);
+  const timeZone = resolveTimeZone(req.query);
+
+  // Today in the business time zone
+  const today = zonedDayRange(new Date(), timeZone);
 
   // Execute all queries in parallel for efficiency
   const [
@@ -33,118 +42,44 @@ exports.getUserDashboardData = asyncHandler(async (req, res, next) => {
     recentPosts,
     countryData,
     monthlyPosts,
+    daily,
+    recentActivity,
     userData
   ] = await Promise.all([
     // Total posts by user
-    PassportPost.countDocuments({ createdBy: userId }),
-    
-    // Posts created today by user
-    PassportPost.countDocuments({
-      createdBy: userId,
-      postDate: {
-        $gte: startOfDay,
-        $lte: endOfDay
+    PassportPost.countDocuments(userMatch),
+
+    // Passports posted today by user
+    countPassportEntries({
+      ...userMatch,
+      'passports.postDate': {
+        $gte: today.start,
+        $lt: today.end
       }
     }),
-    
+
     // Recent posts by user (last 5)
-    PassportPost.find({ createdBy: userId })
-      .sort('-postDate')
+    PassportPost.find(userMatch)
+      .sort('-passports.postDate')
       .limit(5),
-    
-    // Country distribution of user's posts
-    PassportPost.aggregate([
-      { $match: { createdBy: new mongoose.Types.ObjectId(userId) } },
-      { $group: {
-          _id: "$issuedCountry",
-          count: { $sum: 1 }
-        }
-      },
-      { $project: {
-          _id: 0,
-          country: "$_id",
-          count: 1
-        }
-      },
-      { $sort: { count: -1 } },
-      { $limit: 5 }
-    ]),
-    
-    // Monthly posts for the past 6 months
-    PassportPost.aggregate([
-      { $match: { createdBy: new mongoose.Types.ObjectId(userId) } },
-      { $group: {
-          _id: {
-            year: { $year: "$postDate" },
-            month: { $month: "$postDate" }
-          },
-          count: { $sum: 1 }
-        }
-      },
-      { $project: {
-          _id: 0,
-          date: {
-            $dateToString: {
-              format: "%Y-%m",
-              date: {
-                $dateFromParts: {
-                  year: "$_id.year",
-                  month: "$_id.month",
-                  day: 1
-                }
-              }
-            }
-          },
-          count: 1
-        }
-      },
-      { $sort: { date: 1 } },
-      { $limit: 6 }
-    ]),
-    
-    // User data
-    User.findById(userId).select('fullName email mobileNumber createdAt')
-  ]);
 
-  // Prepare recent activity data
-  const recentActivity = await PassportPost.find({ createdBy: userId })
-    .sort('-createdAt')
-    .limit(10)
-    .select('passportNumber issuedCountry postDate createdAt');
+    // Country distribution of user's passports
+    countEntriesByCountry(userMatch, 5),
 
-  // Get last 7 days data for daily chart
-  const dailyData = [];
-  for (let i = 6; i >= 0; i--) {
-    const currentDate = new Date();
-    currentDate.setDate(currentDate.getDate() - i);
-    
-    const startDate = new Date(Date.UTC(
-      currentDate.getUTCFullYear(),
-      currentDate.getUTCMonth(),
-      currentDate.getUTCDate(),
-      0, 0, 0
-    ));
-    
-    const endDate = new Date(Date.UTC(
-      currentDate.getUTCFullYear(),
-      currentDate.getUTCMonth(),
-      currentDate.getUTCDate(),
-      23, 59, 59, 999
-    ));
+    // Monthly passports for the past 6 months
+    countEntriesByMonth(userMatch, { months: 6, timeZone }),
 
-    const count = await PassportPost.countDocuments({
-      createdBy: userId,
-      postDate: {
-        $gte: startDate,
-        $lte: endDate
-      }
-    });
+    // Last 7 days data for daily chart
+    countEntriesByDay(userMatch, { days: 7, timeZone }),
 
-    dailyData.push({
-      date: startDate.toISOString().split('T')[0],
-      count
-    });
-  }
+    // Recent activity: the latest passport entries
+    latestEntries(userMatch, 10),
+
+    // User data
+    User.findById(userId).select('fullName email mobileNumber createdAt')
+  ]);
+
+  const dailyData = daily.data;
 
   // Calculate activity statistics
   const firstPost = await PassportPost.findOne({ createdBy: userId })
@@ -155,22 +90,6 @@ exports.getUserDashboardData = asyncHandler(async (req, res, next) => {
     ? Math.floor((new Date() - new Date(firstPost.createdAt)) / (1000 * 60 * 60 * 24))
     : 0;
 
-  // Add missing months if some months have no data
-  const monthLabels = [];
-  const monthCounts = [];
-  
-  // Get last 6 months
-  for (let i = 5; i >= 0; i--) {
-    const d = new Date();
-    d.setMonth(d.getMonth() - i);
-    const monthLabel = `${d.getFullYear()}-${(d.getMonth() + 1).toString().padStart(2, '0')}`;
-    monthLabels.push(monthLabel);
-    
-    // Find the count or default to 0
-    const monthData = monthlyPosts.find(m => m.date === monthLabel);
-    monthCounts.push(monthData ? monthData.count : 0);
-  }
-
   res.status(200).json({
     success: true,
     data: {
@@ -187,8 +106,8 @@ exports.getUserDashboardData = asyncHandler(async (req, res, next) => {
           data: dailyData.map(d => d.count)
         },
         monthlyChart: {
-          labels: monthLabels.map(m => m.substring(5)), // MM format
-          data: monthCounts
+          labels: monthlyPosts.map(m => m.month.substring(5)), // MM format
+          data: monthlyPosts.map(m => m.count)
         },
         countryChart: {
           labels: countryData.map(c => c.country),
@@ -198,7 +117,8 @@ exports.getUserDashboardData = asyncHandler(async (req, res, next) => {
       recentPosts,
       recentActivity,
       dateInfo: {
-        today: today.toISOString().split('T')[0]
+        today: today.date,
+        timeZone
       }
     }
   });
@@ -206,61 +126,35 @@ exports.getUserDashboardData = asyncHandler(async (req, res, next) => {
 
 // @desc    Get user's quick summary data
 // @route   GET /api/v1/user-dashboard/summary
+// @query   status, tz
 // @access  Private
 exports.getUserDashboardSummary = asyncHandler(async (req, res, next) => {
-  const userId = req.user.id;
-  
-  // Get current date in UTC
-  const today = new Date();
-  const startOfDay = new Date(Date.UTC(
-    today.getUTCFullYear(),
-    today.getUTCMonth(),
-    today.getUTCDate(),
-    0, 0, 0
-  ));
-  const endOfDay = new Date(Date.UTC(
-    today.getUTCFullYear(),
-    today.getUTCMonth(),
-    today.getUTCDate(),
-    23, 59, 59, 999
-  ));
+  // Optional ?status= filter on passport processing status
+  const userMatch = buildUserMatch(req);
+  const timeZone = resolveTimeZone(req.query);
 
-  // Get yesterday's date
-  const yesterday = new Date(startOfDay);
-  yesterday.setDate(yesterday.getDate() - 1);
-  const startOfYesterday = new Date(Date.UTC(
-    yesterday.getUTCFullYear(),
-    yesterday.getUTCMonth(),
-    yesterday.getUTCDate(),
-    0, 0, 0
-  ));
-  const endOfYesterday = new Date(Date.UTC(
-    yesterday.getUTCFullYear(),
-    yesterday.getUTCMonth(),
-    yesterday.getUTCDate(),
-    23, 59, 59, 999
-  ));
+  // Today and yesterday in the business time zone
+  const today = zonedDayRange(new Date(), timeZone);
+  const yesterday = zonedDayRange(new Date(), timeZone, -1);
 
   // Execute queries in parallel
-  const [totalPosts, todayPosts, yesterdayPosts, mostRecentPost] = await Promise.all([
-    PassportPost.countDocuments({ createdBy: userId }),
-    PassportPost.countDocuments({
-      createdBy: userId,
-      postDate: {
-        $gte: startOfDay,
-        $lte: endOfDay
+  const [totalPosts, todayPosts, yesterdayPosts, [mostRecentPost]] = await Promise.all([
+    PassportPost.countDocuments(userMatch),
+    countPassportEntries({
+      ...userMatch,
+      'passports.postDate': {
+        $gte: today.start,
+        $lt: today.end
       }
     }),
-    PassportPost.countDocuments({
-      createdBy: userId,
-      postDate: {
-        $gte: startOfYesterday,
-        $lte: endOfYesterday
+    countPassportEntries({
+      ...userMatch,
+      'passports.postDate': {
+        $gte: yesterday.start,
+        $lt: yesterday.end
       }
     }),
-    PassportPost.findOne({ createdBy: userId })
-      .sort('-postDate')
-      .select('passportNumber issuedCountry postDate')
+    latestEntries({ createdBy: userMatch.createdBy }, 1)
   ]);
 
   // Calculate daily change percentage
@@ -280,8 +174,9 @@ exports.getUserDashboardSummary = asyncHandler(async (req, res, next) => {
         percentage: dailyChangePercent.toFixed(1),
         isPositive: dailyChangePercent >= 0
       },
-      mostRecentPost,
-      date: today.toISOString().split('T')[0]
+      mostRecentPost: mostRecentPost || null,
+      date: today.date,
+      timeZone
     }
   });
 });
@@ -290,23 +185,8 @@ exports.getUserDashboardSummary = asyncHandler(async (req, res, next) => {
 // @route   GET /api/v1/user-dashboard/posts-by-country
 // @access  Private
 exports.getUserPostsByCountry = asyncHandler(async (req, res, next) => {
-  const userId = req.user.id;
-  
-  const countryData = await PassportPost.aggregate([
-    { $match: { createdBy: new mongoose.Types.ObjectId(userId) } },
-    { $group: {
-        _id: "$issuedCountry",
-        count: { $sum: 1 }
-      }
-    },
-    { $project: {
-        _id: 0,
-        country: "$_id",
-        count: 1
-      }
-    },
-    { $sort: { count: -1 } }
-  ]);
+  // Optional ?status= filter on passport processing status
+  const countryData = await countEntriesByCountry(buildUserMatch(req));
 
   res.status(200).json({
     success: true,
@@ -317,15 +197,25 @@ exports.getUserPostsByCountry = asyncHandler(async (req, res, next) => {
 
 // @desc    Get user's most active periods
 // @route   GET /api/v1/user-dashboard/activity-periods
+// @query   status, tz (hours and weekdays are counted in this time zone)
 // @access  Private
 exports.getUserActivityPeriods = asyncHandler(async (req, res, next) => {
-  const userId = req.user.id;
-  
+  // Optional ?status= filter on passport processing status
+  const userMatch = buildUserMatch(req);
+  const timeZone = resolveTimeZone(req.query);
+
+  // Each passport entry counts once, at its local posting time
+  const entryStages = [
+    { $match: userMatch },
+    { $unwind: '$passports' },
+    { $match: userMatch }
+  ];
+
   // Get activity by hour of day
   const hourlyActivity = await PassportPost.aggregate([
-    { $match: { createdBy: new mongoose.Types.ObjectId(userId) } },
+    ...entryStages,
     { $group: {
-        _id: { $hour: "$postDate" },
+        _id: { $hour: { date: "$passports.postDate", timezone: timeZone } },
         count: { $sum: 1 }
       }
     },
@@ -340,9 +230,9 @@ exports.getUserActivityPeriods = asyncHandler(async (req, res, next) => {
 
   // Get activity by day of week
   const weekdayActivity = await PassportPost.aggregate([
-    { $match: { createdBy: new mongoose.Types.ObjectId(userId) } },
+    ...entryStages,
     { $group: {
-        _id: { $dayOfWeek: "$postDate" }, // 1 for Sunday, 2 for Monday, etc.
+        _id: { $dayOfWeek: { date: "$passports.postDate", timezone: timeZone } }, // 1 for Sunday, 2 for Monday, etc.
         count: { $sum: 1 }
       }
     },
@@ -379,7 +269,8 @@ exports.getUserActivityPeriods = asyncHandler(async (req, res, next) => {
     success: true,
     data: {
       hourlyActivity: completeHourlyActivity,
-      weekdayActivity: completeWeekdayActivity
+      weekdayActivity: completeWeekdayActivity,
+      timeZone
     }
   });
 });
\ No newline at end of file
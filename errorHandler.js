@@ -23,6 +23,12 @@ const errorHandler = (err, req, res, next) => {
     error = new ErrorResponse(message, 400);
   }
 
+  // Mongoose optimistic concurrency: the document changed since it was loaded
+  if (err.name === 'VersionError') {
+    const message = 'This record was changed by someone else; reload it and try again';
+    error = new ErrorResponse(message, 409);
+  }
+
   // Mongoose validation error
   if (err.name === 'ValidationError') {
     const message = Object.values(err.errors).map(val => val.message);
@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+const asyncHandler = require('./async');
+const ErrorResponse = require('../utils/errorResponse');
+const SavedSearch = require('../models/savedSearchSchema');
+const { mergeSearchFilters } = require('../utils/savedSearches');
+
+/**
+ * Apply a saved search given as ?savedSearch=<id> to the passport list, search and export
+ * The saved filters become query parameters; parameters in the request override them.
+ * Results are still limited to the posts the requesting user may read.
+ */
+const applySavedSearch = asyncHandler(async (req, res, next) => {
+  const { savedSearch: searchId, ...query } = req.query;
+
+  if (searchId === undefined) {
+    return next();
+  }
+
+  const id = Array.isArray(searchId) ? searchId[0] : searchId;
+  const search = mongoose.Types.ObjectId.isValid(id) ? await SavedSearch.findById(id) : null;
+
+  if (!search || !search.isVisibleTo(req.user)) {
+    return next(new ErrorResponse(`Saved search not found with id ${id}`, 404));
+  }
+
+  req.savedSearch = search;
+  req.query = mergeSearchFilters(search.filters, query);
+  next();
+});
+
+module.exports = applySavedSearch;
@@ -0,0 +1,77 @@
+const multer = require('multer');
+const path = require('path');
+const ErrorResponse = require('../utils/errorResponse');
+
+// Spreadsheet uploads are parsed in memory and never written to disk
+const SPREADSHEET_EXTENSIONS = ['.csv', '.xlsx'];
+const MAX_SPREADSHEET_SIZE = 5 * 1024 * 1024; // 5 MB
+
+const spreadsheetUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_SPREADSHEET_SIZE,
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    const extension = path.extname(file.originalname || '').toLowerCase();
+    if (!SPREADSHEET_EXTENSIONS.includes(extension)) {
+      return cb(new ErrorResponse('Only CSV or XLSX files are allowed', 400));
+    }
+    cb(null, true);
+  }
+});
+
+// Passport scans and receipts: images or PDF, size from ATTACHMENT_MAX_SIZE_MB (default 10)
+const ATTACHMENT_TYPES = {
+  'image/jpeg': ['.jpg', '.jpeg'],
+  'image/png': ['.png'],
+  'image/webp': ['.webp'],
+  'application/pdf': ['.pdf']
+};
+const MAX_ATTACHMENT_SIZE = (parseFloat(process.env.ATTACHMENT_MAX_SIZE_MB) || 10) * 1024 * 1024;
+
+const attachmentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_ATTACHMENT_SIZE,
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    const extension = path.extname(file.originalname || '').toLowerCase();
+    const extensions = ATTACHMENT_TYPES[file.mimetype];
+    if (!extensions || !extensions.includes(extension)) {
+      return cb(new ErrorResponse('Only JPEG, PNG, WEBP or PDF files are allowed', 400));
+    }
+    cb(null, true);
+  }
+});
+
+/**
+ * Wrap a multer middleware so upload errors are passed on as 400 ErrorResponses
+ * @param {Function} upload multer middleware
+ * @returns {Function} Express middleware function
+ */
+const handleUpload = upload => (req, res, next) => {
+  upload(req, res, (err) => {
+    if (!err) {
+      return next();
+    }
+
+    if (err instanceof multer.MulterError) {
+      const message = err.code === 'LIMIT_FILE_SIZE'
+        ? 'Uploaded file is too large'
+        : `Upload error: ${err.message}`;
+      return next(new ErrorResponse(message, 400));
+    }
+
+    next(err);
+  });
+};
+
+// Single spreadsheet in the "file" field
+exports.uploadSpreadsheet = handleUpload(spreadsheetUpload.single('file'));
+
+// Single passport attachment in the "file" field
+exports.uploadAttachment = handleUpload(attachmentUpload.single('file'));
+
+exports.handleUpload = handleUpload;
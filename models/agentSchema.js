@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+const agentSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Agent name is required'],
+    trim: true,
+    maxlength: [100, 'Agent name cannot exceed 100 characters']
+  },
+  // Lowercased name with single spaces, used to match names typed in passport entries.
+  // Unique, so a name typed in a passport always means one agent (agents with the same
+  // name saved before the index existed have to be merged before it can be built)
+  nameKey: {
+    type: String,
+    unique: true
+  },
+  phone: {
+    type: String,
+    trim: true,
+    match: [/^\+?[0-9 -]{7,20}$/, 'Please add a valid phone number']
+  },
+  // Agent who referred this agent
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Agent',
+    default: null
+  },
+  region: {
+    type: String,
+    trim: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to normalize an agent name for matching
+agentSchema.statics.toNameKey = function(name) {
+  return String(name || '').trim().replace(/\s+/g, ' ').toLowerCase();
+};
+
+// Keep the match key in sync with the name
+agentSchema.pre('validate', function(next) {
+  if (this.isModified('name')) {
+    this.nameKey = this.constructor.toNameKey(this.name);
+  }
+  next();
+});
+
+const Agent = mongoose.model('Agent', agentSchema);
+
+module.exports = Agent;
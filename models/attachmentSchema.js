@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+const ATTACHMENT_KINDS = ['passport_scan', 'payment_receipt', 'medical_report', 'other'];
+
+const attachmentSchema = new mongoose.Schema({
+  // _id of the passport subdocument inside PassportPost.passports
+  passportId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    index: true
+  },
+  postId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PassportPost',
+    required: true
+  },
+  kind: {
+    type: String,
+    enum: {
+      values: ATTACHMENT_KINDS,
+      message: 'Invalid attachment kind {VALUE}'
+    },
+    default: 'other'
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  originalName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  mimeType: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  // Backend name and key used to read the file back
+  storage: {
+    type: String,
+    required: true
+  },
+  storageKey: {
+    type: String,
+    required: true,
+    select: false
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+const Attachment = mongoose.model('Attachment', attachmentSchema);
+
+module.exports = Attachment;
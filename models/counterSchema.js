@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+const counterSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to reserve a block of consecutive numbers atomically
+// Returns the first number of the block
+counterSchema.statics.allocate = async function(key, count = 1) {
+  const update = { $inc: { seq: count } };
+  const options = { upsert: true, new: true, setDefaultsOnInsert: true };
+
+  try {
+    const counter = await this.findOneAndUpdate({ key }, update, options);
+    return counter.seq - count + 1;
+  } catch (error) {
+    // Two first allocations can race on the upsert; the loser retries as a plain update
+    if (error.code === 11000) {
+      const counter = await this.findOneAndUpdate({ key }, update, options);
+      return counter.seq - count + 1;
+    }
+    throw error;
+  }
+};
+
+const Counter = mongoose.model('Counter', counterSchema);
+
+module.exports = Counter;
@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+// Days a trashed item is kept before it is purged (TRASH_RETENTION_DAYS, default 30)
+const getRetentionDays = () => {
+  const days = parseInt(process.env.TRASH_RETENTION_DAYS, 10);
+  return Number.isNaN(days) || days < 0 ? 30 : days;
+};
+
+const deletedPassportSchema = new mongoose.Schema({
+  // "post" when a whole PassportPost was deleted, "passport" for a single entry
+  itemType: {
+    type: String,
+    enum: ['post', 'passport'],
+    required: true
+  },
+  // Original PassportPost _id, reused when the post has to be recreated on restore
+  postId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // Owner of the original post
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  postCreatedAt: {
+    type: Date
+  },
+  // Passport entries exactly as they were stored, including _id and postDate
+  passports: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  deletedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// TTL index: MongoDB removes items once they are older than the retention window, whatever the traffic.
+// The window is read when the index is built; after changing TRASH_RETENTION_DAYS rebuild it with
+// DeletedPassport.syncIndexes()
+deletedPassportSchema.index({ deletedAt: 1 }, { expireAfterSeconds: getRetentionDays() * 24 * 60 * 60 });
+deletedPassportSchema.index({ createdBy: 1, deletedAt: -1 });
+deletedPassportSchema.index({ 'passports._id': 1 });
+
+// Static method to move a whole post into the trash
+deletedPassportSchema.statics.trashPost = async function(post, userId) {
+  return this.create({
+    itemType: 'post',
+    postId: post._id,
+    createdBy: post.createdBy._id || post.createdBy,
+    postCreatedAt: post.createdAt,
+    passports: post.passports.map(passport => passport.toObject ? passport.toObject() : passport),
+    deletedBy: userId
+  });
+};
+
+// Static method to move a single passport entry into the trash
+deletedPassportSchema.statics.trashPassport = async function(post, passport, userId) {
+  return this.create({
+    itemType: 'passport',
+    postId: post._id,
+    createdBy: post.createdBy._id || post.createdBy,
+    postCreatedAt: post.createdAt,
+    passports: [passport.toObject ? passport.toObject() : passport],
+    deletedBy: userId
+  });
+};
+
+// Static method to read the configured retention window in days
+deletedPassportSchema.statics.getRetentionDays = getRetentionDays;
+
+// Static method to permanently remove items older than the retention window
+deletedPassportSchema.statics.purgeExpired = async function(retentionDays = getRetentionDays()) {
+  const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+  const result = await this.deleteMany({ deletedAt: { $lt: cutoff } });
+  return { cutoff, retentionDays, purged: result.deletedCount };
+};
+
+const DeletedPassport = mongoose.model('DeletedPassport', deletedPassportSchema);
+
+module.exports = DeletedPassport;
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+const linkDomainSchema = new mongoose.Schema({
+  domain: {
+    type: String,
+    required: [true, 'Domain is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [
+      /^(?=.{1,253}$)([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,}$/,
+      'Please provide a valid domain name'
+    ]
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to get the allowlisted domain names
+linkDomainSchema.statics.getAllowedDomains = async function() {
+  const domains = await this.find().select('domain').lean();
+  return domains.map(item => item.domain);
+};
+
+const LinkDomain = mongoose.model('LinkDomain', linkDomainSchema);
+
+module.exports = LinkDomain;
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+const passportCommentSchema = new mongoose.Schema({
+  // _id of the passport subdocument inside PassportPost.passports
+  passportId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  body: {
+    type: String,
+    required: [true, 'Comment text is required'],
+    trim: true,
+    maxlength: [2000, 'Comment cannot exceed 2000 characters']
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Users @mentioned in the comment who may see the passport
+  mentions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Set when the author changed the text
+  editedAt: Date
+}, {
+  timestamps: true
+});
+
+// Threads are read oldest first; mentions are listed per user
+passportCommentSchema.index({ passportId: 1, createdAt: 1 });
+passportCommentSchema.index({ mentions: 1, createdAt: -1 });
+
+const PassportComment = mongoose.model('PassportComment', passportCommentSchema);
+
+module.exports = PassportComment;
@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+// Check that a stored pattern is a usable regular expression
+const compiles = (source) => {
+  try {
+    new RegExp(source);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const passportFormatSchema = new mongoose.Schema({
+  // ISO 3166 alpha-3 code of the issuing country
+  countryCode: {
+    type: String,
+    required: [true, 'Country code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z]{3}$/, 'Country code must be an ISO alpha-3 code']
+  },
+  // Regular expression the whole number must match, without ^ and $
+  pattern: {
+    type: String,
+    trim: true,
+    validate: {
+      validator: value => !value || compiles(`^(?:${value})$`),
+      message: 'Pattern is not a valid regular expression'
+    }
+  },
+  minLength: {
+    type: Number,
+    min: [1, 'Minimum length must be at least 1']
+  },
+  maxLength: {
+    type: Number,
+    max: [20, 'Maximum length cannot exceed 20'],
+    validate: {
+      validator: function(value) {
+        return !value || !this.minLength || value >= this.minLength;
+      },
+      message: 'Maximum length cannot be less than minimum length'
+    }
+  },
+  // Character class content, e.g. "A-Z0-9"
+  allowedCharacters: {
+    type: String,
+    trim: true,
+    validate: {
+      validator: value => !value || compiles(`^[${value}]*$`),
+      message: 'Allowed characters must be a valid character class, e.g. A-Z0-9'
+    }
+  },
+  example: {
+    type: String,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to get every rule by country code
+passportFormatSchema.statics.getRulesByCountry = async function() {
+  const rules = await this.find().lean();
+  const byCountry = {};
+  rules.forEach(rule => {
+    byCountry[rule.countryCode] = rule;
+  });
+  return byCountry;
+};
+
+const PassportFormat = mongoose.model('PassportFormat', passportFormatSchema);
+
+module.exports = PassportFormat;
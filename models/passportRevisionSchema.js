@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+const passportRevisionSchema = new mongoose.Schema({
+  // _id of the passport subdocument inside PassportPost.passports
+  passportId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  postId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // Owner of the post at the time of the change, used for access checks
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ['create', 'update', 'delete', 'restore', 'revert', 'move'],
+    required: true
+  },
+  // One item per changed field
+  changes: [{
+    _id: false,
+    field: {
+      type: String,
+      required: true
+    },
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  }],
+  // Revision the passport was reverted to (revert action only)
+  revertedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PassportRevision'
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+passportRevisionSchema.index({ passportId: 1, changedAt: -1 });
+
+const PassportRevision = mongoose.model('PassportRevision', passportRevisionSchema);
+
+module.exports = PassportRevision;
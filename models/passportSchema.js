@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { PASSPORT_STATUSES, DEFAULT_STATUS } = require('../utils/passportStatus');
 
 const passportSchema = new mongoose.Schema({
   passports: [{
@@ -9,6 +10,8 @@ const passportSchema = new mongoose.Schema({
     //   minlength: [5, 'Passport number must be at least 5 characters'],
     //   maxlength: [20, 'Passport number cannot exceed 20 characters']
     },
+    // Uppercased passport number without whitespace, used to find duplicates
+    passportNumberKey: String,
     link: {
       type: String,
       required: [true, 'Link is required'],
@@ -17,14 +20,38 @@ const passportSchema = new mongoose.Schema({
         'Please provide a valid URL'
       ]
     },
+    // Structured parts of the link, filled in when the link is saved
+    linkInfo: {
+      provider: String,
+      host: String,
+      appointmentRef: {
+        type: String,
+        index: true
+      },
+      linkType: String,
+      flagged: Boolean,
+      flagReason: String
+    },
     city: {
       type: String,
       trim: true
     },
+    // Agents who referred the applicant, in the order they were recorded after the city
+    agentChain: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Agent'
+    }],
+    // Original "city/agent/agent" text, kept when the city was split into an agent chain
+    legacyCity: String,
     slipNo: {
       type: String,
       trim: true
     },
+    // Sequence the slip number was allocated from; "manual" for slips typed in manual mode,
+    // unset for slips typed before sequences existed
+    slipSequence: String,
+    // "<slipSequence>:<slipNo>", unique across entries (see toSlipKey)
+    slipKey: String,
     issuedCountry: {
       type: String,
       required: [true, 'Issued country is required'],
@@ -32,6 +59,12 @@ const passportSchema = new mongoose.Schema({
       minlength: [2, 'Country name must be at least 2 characters'],
       maxlength: [50, 'Country name cannot exceed 50 characters']
     },
+    // ISO 3166 alpha-3 code of issuedCountry, set when the country is recognized
+    issuedCountryCode: {
+      type: String,
+      uppercase: true,
+      index: true
+    },
     postDate: {
       type: Date,
       default: Date.now
@@ -39,7 +72,68 @@ const passportSchema = new mongoose.Schema({
     otherDetails: {
       type: String,
       trim: true
-    }
+    },
+    // Holder details, usually prefilled from the MRZ
+    holder: {
+      surname: {
+        type: String,
+        trim: true
+      },
+      givenNames: {
+        type: String,
+        trim: true
+      },
+      nationality: {
+        type: String,
+        trim: true
+      },
+      dateOfBirth: Date,
+      sex: {
+        type: String,
+        enum: {
+          values: ['M', 'F', 'X'],
+          message: 'Invalid sex {VALUE}'
+        }
+      },
+      expiryDate: Date
+    },
+    // Admin-managed labels, changed only through the tag endpoints
+    tags: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Tag'
+    }],
+    // Bumped on every change to the entry, for If-Match checks
+    version: {
+      type: Number,
+      default: 0
+    },
+    status: {
+      type: String,
+      enum: {
+        values: PASSPORT_STATUSES,
+        message: 'Invalid status {VALUE}'
+      },
+      default: DEFAULT_STATUS
+    },
+    statusHistory: [{
+      from: String,
+      to: {
+        type: String,
+        required: true
+      },
+      note: {
+        type: String,
+        trim: true
+      },
+      changedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      changedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }]
   }],
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
@@ -59,9 +153,155 @@ const passportSchema = new mongoose.Schema({
     default: Date.now
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  // Every save bumps __v and fails with a VersionError when the post changed since it was loaded
+  optimisticConcurrency: true,
+  toJSON: {
+    // Expose the post version as "version"
+    transform: (doc, ret) => {
+      if (ret.__v !== undefined) {
+        ret.version = ret.__v;
+      }
+      return ret;
+    }
+  }
 });
 
+// Single-passport routes look entries up by their subdocument _id
+passportSchema.index({ 'passports._id': 1 });
+
+// Tag filters and per-tag counts
+passportSchema.index({ 'passports.tags': 1 });
+
+// Duplicate passport number checks
+passportSchema.index({ 'passports.passportNumberKey': 1 });
+
+// One entry per slip number within a sequence. The filter leaves out posts saved before
+// slipKey existed until their next save
+passportSchema.index(
+  { 'passports.slipKey': 1 },
+  { unique: true, partialFilterExpression: { 'passports.slipKey': { $exists: true } } }
+);
+
+// Static method to normalize a passport number for matching (ignores case and all whitespace)
+passportSchema.statics.toPassportNumberKey = function(passportNumber) {
+  return String(passportNumber || '').replace(/\s+/g, '').toUpperCase();
+};
+
+// Static method to build the unique slip key of an entry
+// Slips typed before sequences existed get "legacy:<slipNo>:<_id>", so legacy duplicates do not
+// block saves but the slip can still be found by key prefix; entries without a slip use their _id
+passportSchema.statics.toSlipKey = function(passport) {
+  const slipNo = String(passport.slipNo || '').trim();
+  if (!slipNo) {
+    return passport._id.toString();
+  }
+  return passport.slipSequence ? `${passport.slipSequence}:${slipNo}` : `legacy:${slipNo}:${passport._id}`;
+};
+
+// Keep the match keys of every entry in sync with its passport number and slip
+passportSchema.pre('validate', function(next) {
+  this.passports.forEach(passport => {
+    passport.passportNumberKey = this.constructor.toPassportNumberKey(passport.passportNumber);
+    passport.slipKey = this.constructor.toSlipKey(passport);
+  });
+  next();
+});
+
+// Static method to find the post holding a passport (indexed on passports._id)
+// Returns null for ids that are not ObjectIds instead of throwing a CastError
+passportSchema.statics.findByPassportId = function(passportId) {
+  if (!mongoose.Types.ObjectId.isValid(passportId)) {
+    return this.findOne({ _id: null });
+  }
+  return this.findOne({ 'passports._id': passportId });
+};
+
+// Error thrown when a post changed since it was loaded, as save() does with optimisticConcurrency
+const versionError = post => new mongoose.Error.VersionError(post, post.__v, ['passports']);
+
+// Static method to write one changed passport entry back with a positional update
+// The post is validated in memory first; only the entry is sent to the database and the
+// update only applies when the post still has the version it was loaded with
+passportSchema.statics.savePassportEntry = async function(post, passport, userId) {
+  await post.validate();
+
+  const result = await this.updateOne(
+    { _id: post._id, __v: post.__v, 'passports._id': passport._id },
+    {
+      $set: { 'passports.$': passport.toObject(), updatedBy: userId },
+      $inc: { __v: 1 }
+    }
+  );
+
+  if (result.matchedCount === 0) {
+    throw versionError(post);
+  }
+};
+
+// Static method to remove passport entries from a post with $pull
+// A post left without entries is deleted. Like savePassportEntry, nothing is changed when the
+// post no longer has the version it was loaded with. options are passed to the write (session)
+// Returns true when the whole post was deleted
+passportSchema.statics.removePassportEntries = async function(post, passportIds, userId, options = {}) {
+  const ids = new Set(passportIds.map(String));
+  const remaining = post.passports.filter(passport => !ids.has(passport._id.toString()));
+
+  if (remaining.length === 0) {
+    const result = await this.deleteOne({ _id: post._id, __v: post.__v }, options);
+    if (result.deletedCount === 0) {
+      throw versionError(post);
+    }
+    return true;
+  }
+
+  const result = await this.updateOne(
+    { _id: post._id, __v: post.__v },
+    {
+      $pull: { passports: { _id: { $in: [...ids].map(id => new mongoose.Types.ObjectId(id)) } } },
+      $set: { updatedBy: userId },
+      $inc: { __v: 1 }
+    },
+    options
+  );
+
+  if (result.matchedCount === 0) {
+    throw versionError(post);
+  }
+  return false;
+};
+
+// Static method to add passport entries to a post with $push, or to create the post when it is new
+// Like savePassportEntry, nothing is changed when the post no longer has the version it was
+// loaded with. options are passed to the write (session)
+passportSchema.statics.addPassportEntries = async function(post, passports, userId, options = {}) {
+  const entries = passports.map(passport => (passport.toObject ? passport.toObject() : passport));
+
+  if (post.isNew) {
+    await this.create([{
+      _id: post._id,
+      passports: entries,
+      createdBy: post.createdBy,
+      updatedBy: userId
+    }], options);
+    return;
+  }
+
+  const result = await this.updateOne(
+    { _id: post._id, __v: post.__v },
+    {
+      $push: { passports: { $each: entries } },
+      $set: { updatedBy: userId },
+      $inc: { __v: 1 }
+    },
+    options
+  );
+
+  if (result.matchedCount === 0) {
+    throw versionError(post);
+  }
+};
+
 // Static method to get all passports
 passportSchema.statics.getAllPassports = async function() {
   return this.find({ isActive: true })
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+const { can } = require('../utils/passportPolicy');
+
+const savedSearchSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Saved search name is required'],
+    trim: true,
+    maxlength: [100, 'Saved search name cannot exceed 100 characters']
+  },
+  // Query parameters of the passport list, search and export endpoints, e.g.
+  // { period: 'this_week', issuedCountry: 'India', missingSlip: 'true' }
+  filters: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Users who may see and apply the search; only the owner can change it
+  sharedWith: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }]
+}, {
+  timestamps: true,
+  // Filters are a free-form object
+  minimize: false
+});
+
+// Names are unique per owner
+savedSearchSchema.index({ owner: 1, name: 1 }, { unique: true });
+savedSearchSchema.index({ sharedWith: 1 });
+
+// Static method to get the searches a user owns or has been shared
+savedSearchSchema.statics.findVisibleTo = function(userId) {
+  return this.find({ $or: [{ owner: userId }, { sharedWith: userId }] });
+};
+
+// Method to check whether a user may see and apply the search
+savedSearchSchema.methods.isVisibleTo = function(user) {
+  return can(user, 'read', this.owner) ||
+    this.sharedWith.some(userId => userId.toString() === user.id);
+};
+
+const SavedSearch = mongoose.model('SavedSearch', savedSearchSchema);
+
+module.exports = SavedSearch;
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+const tagSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Tag name is required'],
+    trim: true,
+    maxlength: [40, 'Tag name cannot exceed 40 characters']
+  },
+  // Lowercased name, so "Urgent" and "urgent" are the same tag
+  nameKey: {
+    type: String,
+    unique: true
+  },
+  color: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    default: '#6b7280',
+    match: [/^#[0-9a-f]{6}$/, 'Please provide a color as #rrggbb']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to normalize a tag name for matching
+tagSchema.statics.toNameKey = function(name) {
+  return String(name || '').trim().replace(/\s+/g, ' ').toLowerCase();
+};
+
+// Keep the match key in sync with the name
+tagSchema.pre('validate', function(next) {
+  if (this.isModified('name')) {
+    this.nameKey = this.constructor.toNameKey(this.name);
+  }
+  next();
+});
+
+const Tag = mongoose.model('Tag', tagSchema);
+
+module.exports = Tag;
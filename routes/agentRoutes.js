@@ -0,0 +1,25 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getAgents,
+  getAgent,
+  createAgent,
+  updateAgent,
+  deleteAgent
+} = require('../controllers/agentController');
+
+const { protect, authorize } = require('../middleware/authMiddleware');
+
+// Protect all routes - anyone logged in can record agents, only admin can delete them
+router.use(protect);
+
+router.route('/')
+  .get(getAgents)
+  .post(createAgent);
+
+router.route('/:id')
+  .get(getAgent)
+  .put(updateAgent)
+  .delete(authorize('admin'), deleteAgent);
+
+module.exports = router;
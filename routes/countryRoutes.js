@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getCountries,
+  getCountry
+} = require('../controllers/countryController');
+
+const { protect } = require('../middleware/authMiddleware');
+
+// Protect all routes - the country list is read-only reference data
+router.use(protect);
+
+router.route('/')
+  .get(getCountries);
+
+router.route('/:value')
+  .get(getCountry);
+
+module.exports = router;
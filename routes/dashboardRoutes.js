@@ -5,6 +5,7 @@ const {
   getDailyPostsGraph,
   getCountryDistributionGraph,
   getUserRegistrationTrend,
+  getTagCountsGraph,
   getAllDashboardData
 } = require('../controllers/dashboardController');
 
@@ -19,6 +20,7 @@ router.get('/stats', getDashboardStats);
 router.get('/graph/daily', getDailyPostsGraph);
 router.get('/graph/countries', getCountryDistributionGraph);
 router.get('/graph/users', getUserRegistrationTrend);
+router.get('/graph/tags', getTagCountsGraph);
 router.get('/all', getAllDashboardData);
 
 module.exports = router;
\ No newline at end of file
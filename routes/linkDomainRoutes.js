@@ -0,0 +1,24 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getLinkDomains,
+  createLinkDomain,
+  deleteLinkDomain,
+  parseLinkPreview
+} = require('../controllers/linkDomainController');
+
+const { protect, authorize } = require('../middleware/authMiddleware');
+
+// Protect all routes - anyone logged in can read, only admin can change the allowlist
+router.use(protect);
+
+router.get('/parse', parseLinkPreview);
+
+router.route('/')
+  .get(getLinkDomains)
+  .post(authorize('admin'), createLinkDomain);
+
+router.route('/:id')
+  .delete(authorize('admin'), deleteLinkDomain);
+
+module.exports = router;
@@ -0,0 +1,26 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getPassportFormats,
+  getPassportFormat,
+  upsertPassportFormat,
+  deletePassportFormat,
+  checkPassportFormat
+} = require('../controllers/passportFormatController');
+
+const { protect, authorize } = require('../middleware/authMiddleware');
+
+// Protect all routes - anyone logged in can read and check, only admin can change the rules
+router.use(protect);
+
+router.post('/check', checkPassportFormat);
+
+router.route('/')
+  .get(getPassportFormats);
+
+router.route('/:country')
+  .get(getPassportFormat)
+  .put(authorize('admin'), upsertPassportFormat)
+  .delete(authorize('admin'), deletePassportFormat);
+
+module.exports = router;
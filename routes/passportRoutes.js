@@ -10,23 +10,142 @@ const {
   deletePassportPost,
   deleteSinglePassport,
   deleteMultiplePassports,
+  bulkUpdatePassports,
   getPassportsByCountry,
-  validatePassportEntries
+  searchPassports,
+  getPassportHistory,
+  revertPassportRevision,
+  exportPassports,
+  importPassports,
+  updatePassportStatus,
+  validatePassportEntries,
+  validateBulkPassportUpdate
 } = require('../controllers/passportController');
+const {
+  getTrash,
+  restoreTrashItem,
+  restoreTrashItems,
+  purgeTrash
+} = require('../controllers/trashController');
+const {
+  checkAttachmentUpload,
+  uploadPassportAttachment,
+  getPassportAttachments,
+  downloadPassportAttachment,
+  deletePassportAttachment
+} = require('../controllers/attachmentController');
+const {
+  movePassports,
+  splitPassportPost,
+  mergePassportPosts
+} = require('../controllers/postMoveController');
+const { tagPassports } = require('../controllers/passportTagController');
+const {
+  getPassportComments,
+  addPassportComment,
+  updatePassportComment,
+  deletePassportComment,
+  getMyMentions
+} = require('../controllers/commentController');
+const { getSlipReport } = require('../controllers/slipController');
+const { parsePassportMrz } = require('../controllers/mrzController');
 
-const { protect } = require('../middleware/authMiddleware');
+const { protect, authorize } = require('../middleware/authMiddleware');
+const { uploadSpreadsheet, uploadAttachment } = require('../middleware/upload');
+const applySavedSearch = require('../middleware/savedSearch');
 
 // Protect all routes - but don't require specific roles
 router.use(protect);
 
+// Trash routes for deleted posts and passports (must come BEFORE the /:id routes)
+router.route('/trash')
+  .get(getTrash);
+
+router.route('/trash/restore')
+  .post(restoreTrashItems);
+
+router.route('/trash/purge')
+  .delete(authorize('admin'), purgeTrash);
+
+router.route('/trash/:trashId/restore')
+  .post(restoreTrashItem);
+
+// Route for prefilling a passport entry from its machine-readable zone
+router.route('/mrz')
+  .post(parsePassportMrz);
+
+// Route for checking slip numbers for gaps and duplicates
+router.route('/slips/report')
+  .get(getSlipReport);
+
 // Routes for single passports within posts (must come BEFORE the /:id routes)
 router.route('/passport/:passportId')
   .get(getSinglePassport)
   .put(updateSinglePassport)
   .delete(deleteSinglePassport);
 
-// Route for multiple passport deletion
+// Route for moving a single passport through the processing workflow
+router.route('/passport/:passportId/status')
+  .patch(updatePassportStatus);
+
+// Routes for scans and receipts attached to a single passport
+router.route('/passport/:passportId/attachments')
+  .get(getPassportAttachments)
+  .post(checkAttachmentUpload, uploadAttachment, uploadPassportAttachment);
+
+router.route('/passport/:passportId/attachments/:attachmentId')
+  .get(downloadPassportAttachment)
+  .delete(deletePassportAttachment);
+
+// Routes for the comment thread of a single passport
+router.route('/passport/:passportId/comments')
+  .get(getPassportComments)
+  .post(addPassportComment);
+
+router.route('/passport/:passportId/comments/:commentId')
+  .put(updatePassportComment)
+  .delete(deletePassportComment);
+
+// Route for the comments that mention the current user
+router.route('/comments/mentions')
+  .get(getMyMentions);
+
+// Routes for the change history of a single passport
+router.route('/passport/:passportId/history')
+  .get(getPassportHistory);
+
+router.route('/passport/:passportId/history/:revisionId/revert')
+  .post(revertPassportRevision);
+
+// Route for exporting passport entries as CSV or Excel (?savedSearch=<id> applies a saved search)
+router.route('/export')
+  .get(applySavedSearch, exportPassports);
+
+// Route for importing passport entries from a CSV or Excel upload
+router.route('/import')
+  .post(uploadSpreadsheet, importPassports);
+
+// Route for searching individual passport entries across all posts
+router.route('/passports/search')
+  .get(applySavedSearch, searchPassports);
+
+// Routes for moving passports between posts, splitting and merging posts
+router.route('/passports/move')
+  .post(movePassports);
+
+router.route('/merge')
+  .post(mergePassportPosts);
+
+router.route('/:id/split')
+  .post(splitPassportPost);
+
+// Route for adding and removing tags on one or many passports
+router.route('/passports/tags')
+  .patch(tagPassports);
+
+// Routes for updating and deleting multiple passports
 router.route('/passports')
+  .patch(validateBulkPassportUpdate, bulkUpdatePassports)
   .delete(deleteMultiplePassports);
 
 // Route for country-specific passports
@@ -41,7 +160,7 @@ router.route('/:id')
 
 // Routes for all passport posts
 router.route('/')
-  .get(getPassportPosts)
+  .get(applySavedSearch, getPassportPosts)
   .post(validatePassportEntries, createPassportPost);
 
 module.exports = router;
\ No newline at end of file
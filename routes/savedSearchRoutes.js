@@ -0,0 +1,25 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getSavedSearches,
+  getSavedSearch,
+  createSavedSearch,
+  updateSavedSearch,
+  deleteSavedSearch
+} = require('../controllers/savedSearchController');
+
+const { protect } = require('../middleware/authMiddleware');
+
+// Protect all routes - every user manages their own saved searches
+router.use(protect);
+
+router.route('/')
+  .get(getSavedSearches)
+  .post(createSavedSearch);
+
+router.route('/:id')
+  .get(getSavedSearch)
+  .put(updateSavedSearch)
+  .delete(deleteSavedSearch);
+
+module.exports = router;
@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getTags,
+  createTag,
+  updateTag,
+  deleteTag
+} = require('../controllers/tagController');
+
+const { protect, authorize } = require('../middleware/authMiddleware');
+
+// Protect all routes - anyone logged in can see tags, only admin can manage them
+router.use(protect);
+
+router.route('/')
+  .get(getTags)
+  .post(authorize('admin'), createTag);
+
+router.route('/:id')
+  .put(authorize('admin'), updateTag)
+  .delete(authorize('admin'), deleteTag);
+
+module.exports = router;
@@ -0,0 +1,149 @@
+/**
+ * Fill in linkInfo (provider, host, appointment reference) on passport entries saved before it existed
+ *
+ * Usage:
+ *   node scripts/backfillLinkInfo.js [--report <file>] [--apply]
+ *
+ * Without --apply the script only prints what would change.
+ *   --report  Write the entries whose link cannot be parsed to a JSON file for review
+ *   --apply   Set linkInfo on the entries that do not have it yet
+ *
+ * Duplicate appointment checks match on linkInfo, so run this once after deploying. The stored
+ * link is left as it is. Links that cannot be parsed are listed as "invalid" and left untouched.
+ * Each update only applies while the entry still has the link it was planned from and no
+ * linkInfo, so running the script again is safe.
+ */
+const dotenv = require('dotenv');
+dotenv.config();
+
+const fs = require('fs');
+const mongoose = require('mongoose');
+const PassportPost = require('../models/passportSchema');
+const { parseLink } = require('../utils/passportLinks');
+
+const BATCH_SIZE = 500;
+
+const parseArgs = (argv) => {
+  const args = { report: null, apply: false, help: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === '--apply') {
+      args.apply = true;
+    } else if (arg === '--help' || arg === '-h') {
+      args.help = true;
+    } else if (arg === '--report') {
+      args.report = argv[++i];
+    } else {
+      console.warn(`Ignoring unknown argument ${arg}`);
+    }
+  }
+
+  return args;
+};
+
+const applyLinkInfo = async (items) => {
+  if (items.length === 0) return 0;
+
+  const result = await PassportPost.bulkWrite(items.map(item => ({
+    updateOne: {
+      filter: { _id: item.postId },
+      update: { $set: { 'passports.$[entry].linkInfo': item.linkInfo } },
+      arrayFilters: [{ 'entry._id': item.passportId, 'entry.link': item.link, 'entry.linkInfo': { $exists: false } }]
+    }
+  })), { ordered: false });
+
+  return result.modifiedCount;
+};
+
+const main = async () => {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (args.help) {
+    console.log('Usage: node scripts/backfillLinkInfo.js [--report <file>] [--apply]');
+    return 0;
+  }
+
+  if (!process.env.MONGO_URL) {
+    console.error('MONGO_URL not set in environment variables');
+    return 1;
+  }
+
+  await mongoose.connect(process.env.MONGO_URL);
+
+  try {
+    const counts = { fill: 0, invalid: 0 };
+    const invalid = [];
+    let fixed = 0;
+    let batch = [];
+
+    const processBatch = async () => {
+      if (args.apply) {
+        fixed += await applyLinkInfo(batch);
+      }
+      batch = [];
+    };
+
+    const cursor = PassportPost.find({ 'passports.linkInfo': { $exists: false } })
+      .select('passports._id passports.passportNumber passports.link passports.linkInfo')
+      .lean()
+      .cursor();
+
+    for await (const post of cursor) {
+      for (const passport of post.passports) {
+        if (passport.linkInfo) continue;
+
+        let parsed;
+        try {
+          parsed = parseLink(passport.link);
+        } catch (error) {
+          counts.invalid += 1;
+          invalid.push({
+            postId: post._id,
+            passportId: passport._id,
+            passportNumber: passport.passportNumber,
+            link: passport.link,
+            message: error.message
+          });
+          continue;
+        }
+
+        counts.fill += 1;
+        batch.push({ postId: post._id, passportId: passport._id, link: passport.link, linkInfo: parsed.linkInfo });
+      }
+
+      if (batch.length >= BATCH_SIZE) {
+        await processBatch();
+      }
+    }
+    if (batch.length > 0) {
+      await processBatch();
+    }
+
+    console.table([counts]);
+
+    if (args.report) {
+      fs.writeFileSync(args.report, JSON.stringify(invalid, null, 2));
+      console.log(`Report written to ${args.report}`);
+    }
+
+    if (!args.apply) {
+      console.log(`${counts.fill} entries can get linkInfo, ${counts.invalid} have a link that cannot be parsed. ` +
+        'Run again with --apply to set it.');
+      return 0;
+    }
+
+    console.log(`${fixed} of ${counts.fill} entries updated`);
+    return fixed === counts.fill ? 0 : 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+main()
+  .then(code => process.exit(code))
+  .catch(error => {
+    console.error('Migration failed:', error);
+    process.exit(1);
+  });
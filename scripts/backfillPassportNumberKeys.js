@@ -0,0 +1,121 @@
+/**
+ * Fill in passportNumberKey on passport entries saved before the key existed
+ *
+ * Usage:
+ *   node scripts/backfillPassportNumberKeys.js [--apply]
+ *
+ * Without --apply the script only prints how many entries are missing the key or have a
+ * stale one. Duplicate passport checks match on the key, so run this once after deploying.
+ * Each update only applies while the entry still has the passport number it was planned
+ * from, so running the script again is safe.
+ */
+const dotenv = require('dotenv');
+dotenv.config();
+
+const mongoose = require('mongoose');
+const PassportPost = require('../models/passportSchema');
+
+const BATCH_SIZE = 500;
+
+const parseArgs = (argv) => {
+  const args = { apply: false, help: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === '--apply') {
+      args.apply = true;
+    } else if (arg === '--help' || arg === '-h') {
+      args.help = true;
+    } else {
+      console.warn(`Ignoring unknown argument ${arg}`);
+    }
+  }
+
+  return args;
+};
+
+const applyKeys = async (items) => {
+  if (items.length === 0) return 0;
+
+  const result = await PassportPost.bulkWrite(items.map(item => ({
+    updateOne: {
+      filter: { _id: item.postId },
+      update: { $set: { 'passports.$[entry].passportNumberKey': item.key } },
+      arrayFilters: [{ 'entry._id': item.passportId, 'entry.passportNumber': item.passportNumber }]
+    }
+  })), { ordered: false });
+
+  return result.modifiedCount;
+};
+
+const main = async () => {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (args.help) {
+    console.log('Usage: node scripts/backfillPassportNumberKeys.js [--apply]');
+    return 0;
+  }
+
+  if (!process.env.MONGO_URL) {
+    console.error('MONGO_URL not set in environment variables');
+    return 1;
+  }
+
+  await mongoose.connect(process.env.MONGO_URL);
+
+  try {
+    let total = 0;
+    let planned = 0;
+    let fixed = 0;
+    let batch = [];
+
+    const processBatch = async () => {
+      planned += batch.length;
+      if (args.apply) {
+        fixed += await applyKeys(batch);
+      }
+      batch = [];
+    };
+
+    const cursor = PassportPost.find()
+      .select('passports._id passports.passportNumber passports.passportNumberKey')
+      .lean()
+      .cursor();
+
+    for await (const post of cursor) {
+      for (const passport of post.passports) {
+        total += 1;
+        const key = PassportPost.toPassportNumberKey(passport.passportNumber);
+
+        if (passport.passportNumberKey !== key) {
+          batch.push({ postId: post._id, passportId: passport._id, passportNumber: passport.passportNumber, key });
+        }
+      }
+
+      if (batch.length >= BATCH_SIZE) {
+        await processBatch();
+      }
+    }
+    if (batch.length > 0) {
+      await processBatch();
+    }
+
+    if (!args.apply) {
+      console.log(`${planned} of ${total} entries need a passport number key. Run again with --apply to set them.`);
+      return 0;
+    }
+
+    console.log(`${fixed} of ${planned} entries updated`);
+    return fixed === planned ? 0 : 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+main()
+  .then(code => process.exit(code))
+  .catch(error => {
+    console.error('Migration failed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,143 @@
+/**
+ * Fill in slipKey on passport entries saved before the key existed or before its format changed
+ *
+ * Usage:
+ *   node scripts/backfillSlipKeys.js [--apply]
+ *
+ * Without --apply the script only prints how many entries are missing the key or have a
+ * stale one. Slip allocation and the unique slip index match on the key, so run this once
+ * after deploying. Each update only applies while the entry still has the slip it was planned
+ * from, so running the script again is safe. Entries whose slip is already used by another
+ * entry of the same sequence are left as they are and counted as conflicts; the slip report
+ * (GET /api/v1/passport-posts/slips/report) lists them.
+ */
+const dotenv = require('dotenv');
+dotenv.config();
+
+const mongoose = require('mongoose');
+const PassportPost = require('../models/passportSchema');
+
+const BATCH_SIZE = 500;
+
+const parseArgs = (argv) => {
+  const args = { apply: false, help: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === '--apply') {
+      args.apply = true;
+    } else if (arg === '--help' || arg === '-h') {
+      args.help = true;
+    } else {
+      console.warn(`Ignoring unknown argument ${arg}`);
+    }
+  }
+
+  return args;
+};
+
+const applySlipKeys = async (items) => {
+  if (items.length === 0) return 0;
+
+  try {
+    const result = await PassportPost.bulkWrite(items.map(item => ({
+      updateOne: {
+        filter: { _id: item.postId },
+        update: { $set: { 'passports.$[entry].slipKey': item.key } },
+        arrayFilters: [{ 'entry._id': item.passportId, 'entry.slipNo': item.slipNo, 'entry.slipSequence': item.slipSequence }]
+      }
+    })), { ordered: false });
+
+    return { modified: result.modifiedCount, conflicts: 0 };
+  } catch (error) {
+    // Unordered writes go on past duplicate key errors; count those and keep the rest
+    if (!error.writeErrors || !error.result) throw error;
+
+    const writeErrors = Array.isArray(error.writeErrors) ? error.writeErrors : [error.writeErrors];
+    const other = writeErrors.find(writeError => writeError.code !== 11000);
+    if (other) throw error;
+
+    return { modified: error.result.modifiedCount, conflicts: writeErrors.length };
+  }
+};
+
+const main = async () => {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (args.help) {
+    console.log('Usage: node scripts/backfillPassportNumberKeys.js [--apply]');
+    return 0;
+  }
+
+  if (!process.env.MONGO_URL) {
+    console.error('MONGO_URL not set in environment variables');
+    return 1;
+  }
+
+  await mongoose.connect(process.env.MONGO_URL);
+
+  try {
+    let total = 0;
+    let planned = 0;
+    let fixed = 0;
+    let conflicts = 0;
+    let batch = [];
+
+    const processBatch = async () => {
+      planned += batch.length;
+      if (args.apply) {
+        const result = await applySlipKeys(batch);
+        fixed += result.modified;
+        conflicts += result.conflicts;
+      }
+      batch = [];
+    };
+
+    const cursor = PassportPost.find()
+      .select('passports._id passports.slipNo passports.slipSequence passports.slipKey')
+      .lean()
+      .cursor();
+
+    for await (const post of cursor) {
+      for (const passport of post.passports) {
+        total += 1;
+        const key = PassportPost.toSlipKey(passport);
+
+        if (passport.slipKey !== key) {
+          batch.push({
+            postId: post._id,
+            passportId: passport._id,
+            slipNo: passport.slipNo === undefined ? null : passport.slipNo,
+            slipSequence: passport.slipSequence === undefined ? null : passport.slipSequence,
+            key
+          });
+        }
+      }
+
+      if (batch.length >= BATCH_SIZE) {
+        await processBatch();
+      }
+    }
+    if (batch.length > 0) {
+      await processBatch();
+    }
+
+    if (!args.apply) {
+      console.log(`${planned} of ${total} entries need a slip key. Run again with --apply to set them.`);
+      return 0;
+    }
+
+    console.log(`${fixed} of ${planned} entries updated, ${conflicts} left out because their slip is already used`);
+    return fixed === planned ? 0 : 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+main()
+  .then(code => process.exit(code))
+  .catch(error => {
+    console.error('Migration failed:', error);
+    process.exit(1);
+  });
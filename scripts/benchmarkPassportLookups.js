@@ -0,0 +1,257 @@
+/**
+ * Benchmark the single-passport lookups and writes against a seeded local database
+ *
+ * Usage:
+ *   node scripts/benchmarkPassportLookups.js [--url <mongoUrl>] [--sizes 1000,10000,100000]
+ *     [--per-post 5] [--samples 50] [--scan-limit 20000] [--keep]
+ *
+ *   --url         Scratch database to seed (BENCHMARK_MONGO_URL, default
+ *                 mongodb://127.0.0.1:27017/passport_benchmark). Its name must contain
+ *                 "bench" because the passport posts collection is dropped.
+ *   --sizes       Passport entry counts to measure, seeded one after another
+ *   --per-post    Passport entries per post
+ *   --samples     Operations timed per size
+ *   --scan-limit  Largest size the old full-scan lookup is also timed at
+ *   --keep        Keep the seeded data afterwards
+ *
+ * For every size the script times the indexed lookup used by the single-passport routes,
+ * a positional update of one entry and a $pull of one entry, and shows the query plan of
+ * the lookup. With the passports._id index the times stay flat as the collection grows,
+ * while the old find()-and-loop lookup grows with it.
+ */
+const dotenv = require('dotenv');
+dotenv.config();
+
+const mongoose = require('mongoose');
+const PassportPost = require('../models/passportSchema');
+
+const DEFAULT_URL = 'mongodb://127.0.0.1:27017/passport_benchmark';
+
+const parseArgs = (argv) => {
+  const args = {
+    url: process.env.BENCHMARK_MONGO_URL || DEFAULT_URL,
+    sizes: [1000, 10000, 100000],
+    perPost: 5,
+    samples: 50,
+    scanLimit: 20000,
+    keep: false,
+    help: false
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === '--keep') {
+      args.keep = true;
+    } else if (arg === '--help' || arg === '-h') {
+      args.help = true;
+    } else if (arg === '--url') {
+      args.url = argv[++i];
+    } else if (arg === '--sizes') {
+      args.sizes = String(argv[++i]).split(',').map(Number).filter(size => size > 0).sort((a, b) => a - b);
+    } else if (arg === '--per-post') {
+      args.perPost = Math.max(parseInt(argv[++i], 10) || 1, 1);
+    } else if (arg === '--samples') {
+      args.samples = Math.max(parseInt(argv[++i], 10) || 1, 1);
+    } else if (arg === '--scan-limit') {
+      args.scanLimit = parseInt(argv[++i], 10) || 0;
+    } else {
+      console.warn(`Ignoring unknown argument ${arg}`);
+    }
+  }
+
+  return args;
+};
+
+// Milliseconds spent in an async function
+const timeIt = async (fn) => {
+  const start = process.hrtime.bigint();
+  await fn();
+  return Number(process.hrtime.bigint() - start) / 1e6;
+};
+
+const summarize = (times) => {
+  if (times.length === 0) return { avg: null, p95: null };
+
+  const sorted = [...times].sort((a, b) => a - b);
+  const avg = sorted.reduce((total, time) => total + time, 0) / sorted.length;
+  const p95 = sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * 0.95))];
+  return { avg: Number(avg.toFixed(2)), p95: Number(p95.toFixed(2)) };
+};
+
+// Pick random items without repeating any
+const pickRandom = (items, count) => {
+  const picked = new Set();
+  while (picked.size < Math.min(count, items.length)) {
+    picked.add(items[Math.floor(Math.random() * items.length)]);
+  }
+  return [...picked];
+};
+
+// Insert posts until the collection holds the given number of passport entries
+const seedUpTo = async (targetEntries, state, perPost, ownerId) => {
+  const batchPosts = 1000;
+
+  while (state.entries < targetEntries) {
+    const posts = [];
+
+    while (posts.length < batchPosts && state.entries < targetEntries) {
+      const passports = [];
+      for (let i = 0; i < perPost && state.entries < targetEntries; i++) {
+        const _id = new mongoose.Types.ObjectId();
+        const number = state.entries++;
+
+        passports.push({
+          _id,
+          passportNumber: `B${String(number).padStart(8, '0')}`,
+          link: `https://example.com/appointments/${number}`,
+          city: 'Benchmark',
+          issuedCountry: 'India',
+          issuedCountryCode: 'IND',
+          postDate: new Date(),
+          status: 'new',
+          version: 0
+        });
+        state.passportIds.push(_id.toString());
+      }
+
+      posts.push({ passports, createdBy: ownerId, createdAt: new Date(), updatedAt: new Date(), __v: 0 });
+    }
+
+    await PassportPost.collection.insertMany(posts, { ordered: false });
+    state.posts += posts.length;
+  }
+};
+
+// The lookup the single-passport routes did before: every post loaded and searched in memory
+const scanLookup = async (passportId) => {
+  const posts = await PassportPost.find();
+  return posts.find(post => post.passports.some(passport => passport._id.toString() === passportId));
+};
+
+// Stage names of the winning plan of the indexed lookup, e.g. "FETCH > IXSCAN"
+const describePlan = async (passportId) => {
+  const [explain] = [].concat(await PassportPost.find({ 'passports._id': passportId }).explain('queryPlanner'));
+  const { winningPlan } = explain.queryPlanner;
+  const stages = [];
+  let stage = winningPlan.queryPlan || winningPlan;
+
+  while (stage) {
+    stages.push(stage.stage);
+    stage = stage.inputStage || null;
+  }
+
+  return stages.join(' > ');
+};
+
+const main = async () => {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (args.help) {
+    console.log('Usage: node scripts/benchmarkPassportLookups.js [--url <mongoUrl>] [--sizes 1000,10000,100000] ' +
+      '[--per-post 5] [--samples 50] [--scan-limit 20000] [--keep]');
+    return 0;
+  }
+
+  if (args.sizes.length === 0) {
+    console.error('--sizes must list at least one positive number');
+    return 1;
+  }
+
+  await mongoose.connect(args.url);
+
+  try {
+    const dbName = mongoose.connection.db.databaseName;
+    if (!/bench/i.test(dbName)) {
+      console.error(`Refusing to seed database "${dbName}": use a scratch database whose name contains "bench"`);
+      return 1;
+    }
+
+    await PassportPost.collection.drop().catch(() => {});
+    await PassportPost.init();
+
+    const ownerId = new mongoose.Types.ObjectId();
+    const userId = new mongoose.Types.ObjectId();
+    const state = { entries: 0, posts: 0, passportIds: [] };
+    const results = [];
+
+    for (const size of args.sizes) {
+      console.log(`Seeding up to ${size} passport entries...`);
+      await seedUpTo(size, state, args.perPost, ownerId);
+
+      const [lookupIds, updateIds, deleteIds] = [0, 1, 2].map(() => pickRandom(state.passportIds, args.samples));
+
+      const lookupTimes = [];
+      for (const passportId of lookupIds) {
+        lookupTimes.push(await timeIt(() => PassportPost.findByPassportId(passportId)));
+      }
+
+      const updateTimes = [];
+      for (const passportId of updateIds) {
+        updateTimes.push(await timeIt(async () => {
+          const post = await PassportPost.findByPassportId(passportId);
+          const passport = post.passports.id(passportId);
+          passport.otherDetails = `Updated ${Date.now()}`;
+          passport.version += 1;
+          await PassportPost.savePassportEntry(post, passport, userId);
+        }));
+      }
+
+      const deleteTimes = [];
+      for (const passportId of deleteIds) {
+        deleteTimes.push(await timeIt(async () => {
+          const post = await PassportPost.findByPassportId(passportId);
+          if (post) {
+            await PassportPost.removePassportEntries(post, [passportId], userId);
+          }
+        }));
+      }
+
+      // Deleted entries are no longer valid lookup targets
+      const deleted = new Set(deleteIds);
+      state.passportIds = state.passportIds.filter(id => !deleted.has(id));
+
+      // The old lookup loads the whole collection, so only a few samples at small sizes
+      const scanTimes = [];
+      if (size <= args.scanLimit) {
+        for (const passportId of pickRandom(state.passportIds, Math.min(args.samples, 5))) {
+          scanTimes.push(await timeIt(() => scanLookup(passportId)));
+        }
+      }
+
+      const lookup = summarize(lookupTimes);
+      const update = summarize(updateTimes);
+      const remove = summarize(deleteTimes);
+      const scan = summarize(scanTimes);
+
+      results.push({
+        entries: state.passportIds.length,
+        posts: await PassportPost.estimatedDocumentCount(),
+        plan: await describePlan(state.passportIds[0]),
+        lookupAvgMs: lookup.avg,
+        lookupP95Ms: lookup.p95,
+        updateAvgMs: update.avg,
+        deleteAvgMs: remove.avg,
+        oldScanAvgMs: scan.avg
+      });
+    }
+
+    console.table(results);
+
+    if (!args.keep) {
+      await PassportPost.collection.drop().catch(() => {});
+      console.log('Benchmark data removed (use --keep to keep it)');
+    }
+
+    return 0;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+main()
+  .then(code => process.exit(code))
+  .catch(error => {
+    console.error('Benchmark failed:', error);
+    process.exit(1);
+  });
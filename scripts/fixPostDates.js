@@ -0,0 +1,201 @@
+/**
+ * Undo the +5:30 shift of passport postDate values saved while dates were stored as "IST in UTC"
+ *
+ * Usage:
+ *   node scripts/fixPostDates.js [--offset-minutes 330] [--tolerance-minutes 10] [--report <file>] [--apply]
+ *
+ * Without --apply the script only prints what would change.
+ *   --offset-minutes     Shift that was added to the stored dates (default 330, i.e. 5:30)
+ *   --tolerance-minutes  How far a date may be from the time the entry was written
+ *   --report             Write every entry that is shifted or needs review to a JSON file
+ *   --apply              Subtract the offset from the shifted entries
+ *
+ * The time an entry was written is taken from its "create" revision, else from the post's
+ * createdAt. An entry whose postDate minus the offset matches that time is "shift"; one whose
+ * postDate already matches it is "ok". Anything else (dates typed by hand, entries added to a
+ * post later without a revision...) is "review" and left untouched. Each update only applies
+ * while the entry still has the date it was planned from, so running the script again is safe.
+ */
+const dotenv = require('dotenv');
+dotenv.config();
+
+const fs = require('fs');
+const mongoose = require('mongoose');
+const PassportPost = require('../models/passportSchema');
+const PassportRevision = require('../models/passportRevisionSchema');
+
+const BATCH_SIZE = 200;
+
+const parseArgs = (argv) => {
+  const args = { offsetMinutes: 330, toleranceMinutes: 10, report: null, apply: false, help: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === '--apply') {
+      args.apply = true;
+    } else if (arg === '--help' || arg === '-h') {
+      args.help = true;
+    } else if (arg === '--report') {
+      args.report = argv[++i];
+    } else if (arg === '--offset-minutes') {
+      args.offsetMinutes = Number(argv[++i]);
+    } else if (arg === '--tolerance-minutes') {
+      args.toleranceMinutes = Number(argv[++i]);
+    } else {
+      console.warn(`Ignoring unknown argument ${arg}`);
+    }
+  }
+
+  return args;
+};
+
+// Time each passport was created at according to its "create" revision
+const loadCreateTimes = async (passportIds) => {
+  const revisions = await PassportRevision.aggregate([
+    { $match: { passportId: { $in: passportIds }, action: 'create' } },
+    { $group: { _id: '$passportId', changedAt: { $min: '$changedAt' } } }
+  ]);
+
+  return new Map(revisions.map(revision => [revision._id.toString(), revision.changedAt]));
+};
+
+// Decide what to do with the entries of a batch of posts
+const planBatch = async (posts, args) => {
+  const createTimes = await loadCreateTimes(posts.flatMap(post => post.passports.map(passport => passport._id)));
+  const offset = args.offsetMinutes * 60000;
+  const tolerance = args.toleranceMinutes * 60000;
+
+  return posts.flatMap(post => post.passports.map(passport => {
+    const writtenAt = createTimes.get(passport._id.toString()) || post.createdAt;
+    const postDate = passport.postDate;
+    let status = 'review';
+
+    if (postDate && writtenAt) {
+      if (Math.abs(postDate - writtenAt) <= tolerance) {
+        status = 'ok';
+      } else if (Math.abs(postDate - offset - writtenAt) <= tolerance) {
+        status = 'shift';
+      }
+    }
+
+    return {
+      postId: post._id,
+      passportId: passport._id,
+      passportNumber: passport.passportNumber,
+      postDate,
+      writtenAt,
+      fixedDate: status === 'shift' ? new Date(postDate - offset) : undefined,
+      status
+    };
+  }));
+};
+
+const applyShifts = async (items) => {
+  if (items.length === 0) return 0;
+
+  const result = await PassportPost.bulkWrite(items.map(item => ({
+    updateOne: {
+      filter: { _id: item.postId },
+      update: { $set: { 'passports.$[entry].postDate': item.fixedDate } },
+      arrayFilters: [{ 'entry._id': item.passportId, 'entry.postDate': item.postDate }]
+    }
+  })), { ordered: false });
+
+  return result.modifiedCount;
+};
+
+const main = async () => {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (args.help) {
+    console.log('Usage: node scripts/fixPostDates.js [--offset-minutes 330] [--tolerance-minutes 10] [--report <file>] [--apply]');
+    return 0;
+  }
+
+  if (!Number.isFinite(args.offsetMinutes) || !Number.isFinite(args.toleranceMinutes) || args.toleranceMinutes < 0) {
+    console.error('--offset-minutes and --tolerance-minutes must be numbers');
+    return 1;
+  }
+
+  if (!process.env.MONGO_URL) {
+    console.error('MONGO_URL not set in environment variables');
+    return 1;
+  }
+
+  await mongoose.connect(process.env.MONGO_URL);
+
+  try {
+    const counts = { ok: 0, shift: 0, review: 0 };
+    const reported = [];
+    let fixed = 0;
+    let batch = [];
+
+    const processBatch = async () => {
+      const items = await planBatch(batch, args);
+      batch = [];
+
+      items.forEach(item => {
+        counts[item.status] += 1;
+        if (item.status !== 'ok') {
+          reported.push(item);
+        }
+      });
+
+      if (args.apply) {
+        fixed += await applyShifts(items.filter(item => item.status === 'shift'));
+      }
+    };
+
+    const cursor = PassportPost.find()
+      .select('passports._id passports.passportNumber passports.postDate createdAt')
+      .lean()
+      .cursor();
+
+    for await (const post of cursor) {
+      batch.push(post);
+      if (batch.length >= BATCH_SIZE) {
+        await processBatch();
+      }
+    }
+    if (batch.length > 0) {
+      await processBatch();
+    }
+
+    console.table([counts]);
+
+    const review = reported.filter(item => item.status === 'review');
+    if (review.length > 0) {
+      console.log('First entries that need review:');
+      console.table(review.slice(0, 20).map(item => ({
+        passportId: item.passportId.toString(),
+        passportNumber: item.passportNumber,
+        postDate: item.postDate ? item.postDate.toISOString() : null,
+        writtenAt: item.writtenAt ? item.writtenAt.toISOString() : null
+      })));
+    }
+
+    if (args.report) {
+      fs.writeFileSync(args.report, JSON.stringify(reported, null, 2));
+      console.log(`Report written to ${args.report}`);
+    }
+
+    if (!args.apply) {
+      console.log(`${counts.shift} entries can be moved back by ${args.offsetMinutes} minutes, ` +
+        `${counts.review} need review. Run again with --apply to fix them.`);
+      return 0;
+    }
+
+    console.log(`${fixed} of ${counts.shift} entries fixed`);
+    return fixed === counts.shift ? 0 : 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+main()
+  .then(code => process.exit(code))
+  .catch(error => {
+    console.error('Migration failed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,239 @@
+/**
+ * Re-insert passports from logs/deleted_passports_*.json files
+ *
+ * Usage:
+ *   node scripts/importDeletedPassports.js <file...> [--ids id1,id2] [--user <userId>] [--apply]
+ *
+ * Without --apply the script only prints what would be restored.
+ *   --ids    Restore only these passport ids (default: every passport in the files)
+ *   --user   Insert under this user instead of the original creator
+ *   --apply  Write the selected passports to the database
+ *
+ * Passports keep their original _id and postDate. Entries from deleted posts go
+ * back into their original post (recreated with the same _id if needed); single
+ * deleted passports are grouped into one new post per creator.
+ */
+const dotenv = require('dotenv');
+dotenv.config();
+
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const PassportPost = require('../models/passportSchema');
+const DeletedPassport = require('../models/deletedPassportSchema');
+const User = require('../models/userSchema');
+const { parseConcatenatedJson, flattenLogEntries } = require('../utils/deletedPassportLog');
+
+const PASSPORT_FIELDS = ['passportNumber', 'link', 'city', 'agentChain', 'legacyCity', 'slipNo', 'issuedCountry', 'issuedCountryCode', 'otherDetails'];
+
+const parseArgs = (argv) => {
+  const args = { files: [], ids: null, user: null, apply: false, help: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === '--apply') {
+      args.apply = true;
+    } else if (arg === '--help' || arg === '-h') {
+      args.help = true;
+    } else if (arg === '--ids') {
+      args.ids = (argv[++i] || '').split(',').map(id => id.trim()).filter(Boolean);
+    } else if (arg === '--user') {
+      args.user = argv[++i];
+    } else {
+      args.files.push(arg);
+    }
+  }
+
+  return args;
+};
+
+// Read every file and keep the most recent log entry for each passport id
+const loadItems = (files) => {
+  const byPassportId = new Map();
+
+  files.forEach(file => {
+    const text = fs.readFileSync(file, 'utf8');
+    const { entries, errors } = parseConcatenatedJson(text);
+
+    errors.forEach(error => {
+      console.warn(`${file}: skipped unreadable entry at offset ${error.offset} (${error.message})`);
+    });
+
+    flattenLogEntries(entries, path.basename(file)).forEach(item => {
+      const id = item.passport._id && item.passport._id.toString();
+      if (!id || !mongoose.Types.ObjectId.isValid(id)) {
+        console.warn(`${file}: skipped passport without a valid _id (${item.passport.passportNumber})`);
+        return;
+      }
+
+      const previous = byPassportId.get(id);
+      if (!previous || (item.deletedAt && previous.deletedAt && item.deletedAt > previous.deletedAt)) {
+        byPassportId.set(id, item);
+      }
+    });
+  });
+
+  return [...byPassportId.values()];
+};
+
+// Work out where each passport would go and whether it can be restored
+const planItems = async (items, userOverride) => {
+  for (const item of items) {
+    const passportId = item.passport._id.toString();
+
+    if (await PassportPost.exists({ 'passports._id': passportId })) {
+      item.status = 'already active';
+      continue;
+    }
+
+    if (userOverride) {
+      item.targetUser = userOverride;
+    } else if (item.createdBy) {
+      item.targetUser = item.createdBy.toString();
+    } else {
+      // Single-passport log entries do not record the owner, the trash does
+      const trashed = await DeletedPassport.findOne({ 'passports._id': passportId }).select('createdBy');
+      item.targetUser = trashed ? trashed.createdBy.toString() : null;
+    }
+
+    item.status = item.targetUser ? 'ready' : 'no creator (use --user)';
+  }
+
+  return items;
+};
+
+const toPassportEntry = (passport) => {
+  const entry = {
+    _id: new mongoose.Types.ObjectId(passport._id.toString()),
+    postDate: passport.postDate ? new Date(passport.postDate) : undefined
+  };
+
+  PASSPORT_FIELDS.forEach(field => {
+    if (passport[field] !== undefined && passport[field] !== null) {
+      entry[field] = passport[field];
+    }
+  });
+
+  return entry;
+};
+
+// Insert the ready passports, grouped by target post
+const applyItems = async (items, userOverride) => {
+  const groups = new Map();
+
+  items.filter(item => item.status === 'ready').forEach(item => {
+    const key = item.postId && !userOverride ? `post:${item.postId}` : `user:${item.targetUser}`;
+    if (!groups.has(key)) {
+      groups.set(key, { postId: key.startsWith('post:') ? item.postId : null, createdBy: item.targetUser, items: [] });
+    }
+    groups.get(key).items.push(item);
+  });
+
+  let restored = 0;
+
+  for (const group of groups.values()) {
+    const passports = group.items.map(item => toPassportEntry(item.passport));
+
+    try {
+      let post = group.postId ? await PassportPost.findById(group.postId) : null;
+
+      if (post) {
+        passports.forEach(passport => post.passports.push(passport));
+        await post.save();
+      } else {
+        post = await PassportPost.create({
+          ...(group.postId ? { _id: group.postId } : {}),
+          passports,
+          createdBy: group.createdBy
+        });
+      }
+
+      // Drop the restored passports from the trash so they cannot be restored twice
+      const ids = passports.map(passport => passport._id);
+      await DeletedPassport.updateMany(
+        { 'passports._id': { $in: ids } },
+        { $pull: { passports: { _id: { $in: ids } } } }
+      );
+      await DeletedPassport.deleteMany({ passports: { $size: 0 } });
+
+      restored += passports.length;
+      console.log(`Restored ${passports.length} passport(s) into post ${post._id}`);
+    } catch (error) {
+      console.error(`Failed to restore ${passports.length} passport(s) for ${group.postId || group.createdBy}: ${error.message}`);
+    }
+  }
+
+  return restored;
+};
+
+const main = async () => {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (args.help || args.files.length === 0) {
+    console.log('Usage: node scripts/importDeletedPassports.js <file...> [--ids id1,id2] [--user <userId>] [--apply]');
+    return 0;
+  }
+
+  if (!process.env.MONGO_URL) {
+    console.error('MONGO_URL not set in environment variables');
+    return 1;
+  }
+
+  let items = loadItems(args.files);
+
+  if (args.ids) {
+    const selected = new Set(args.ids);
+    items = items.filter(item => selected.has(item.passport._id.toString()));
+  }
+
+  if (items.length === 0) {
+    console.log('No passports found to restore');
+    return 0;
+  }
+
+  await mongoose.connect(process.env.MONGO_URL);
+
+  try {
+    if (args.user) {
+      if (!mongoose.Types.ObjectId.isValid(args.user) || !(await User.exists({ _id: args.user }))) {
+        console.error(`User not found with id ${args.user}`);
+        return 1;
+      }
+    }
+
+    await planItems(items, args.user);
+
+    console.table(items.map(item => ({
+      passportId: item.passport._id.toString(),
+      passportNumber: item.passport.passportNumber,
+      issuedCountry: item.passport.issuedCountry,
+      postDate: item.passport.postDate,
+      deletedAt: item.deletedAt ? item.deletedAt.toISOString() : '',
+      postId: item.postId ? item.postId.toString() : '',
+      targetUser: item.targetUser || '',
+      status: item.status,
+      source: item.source
+    })));
+
+    const ready = items.filter(item => item.status === 'ready').length;
+
+    if (!args.apply) {
+      console.log(`${ready} of ${items.length} passports can be restored. Run again with --apply to restore them.`);
+      return 0;
+    }
+
+    const restored = await applyItems(items, args.user);
+    console.log(`${restored} of ${ready} passports restored`);
+    return restored === ready ? 0 : 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+main()
+  .then(code => process.exit(code))
+  .catch(error => {
+    console.error('Import failed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,176 @@
+/**
+ * Split legacy "city/agent/agent" values of passport entries into city + agentChain
+ *
+ * Usage:
+ *   node scripts/migrateCityAgents.js [--report <file>] [--user <userId>] [--apply]
+ *
+ * Without --apply the script only prints what would change.
+ *   --report  Write every distinct value with its planned split to a JSON file for review
+ *   --user    Record this user as creator of the agents the migration creates
+ *   --apply   Create the missing agents and update the passport entries
+ *
+ * Each distinct city value is planned once. Values that need a human decision (a name
+ * matching several agents, empty segments, digits in a name, a city that is also an
+ * agent name...) are marked "review" and left untouched; fix them in the app or by
+ * sending agentChain ids, then run the script again. Split entries keep the original
+ * text in legacyCity.
+ */
+const dotenv = require('dotenv');
+dotenv.config();
+
+const fs = require('fs');
+const mongoose = require('mongoose');
+const PassportPost = require('../models/passportSchema');
+const User = require('../models/userSchema');
+const { splitCityValue, findAgentsByName, planCityValue, createChainAgents } = require('../utils/agentChain');
+
+const parseArgs = (argv) => {
+  const args = { report: null, user: null, apply: false, help: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === '--apply') {
+      args.apply = true;
+    } else if (arg === '--help' || arg === '-h') {
+      args.help = true;
+    } else if (arg === '--report') {
+      args.report = argv[++i];
+    } else if (arg === '--user') {
+      args.user = argv[++i];
+    } else {
+      console.warn(`Ignoring unknown argument ${arg}`);
+    }
+  }
+
+  return args;
+};
+
+// Count the entries of every distinct city value that still contains a "/"
+const loadCityValues = async () => {
+  return PassportPost.aggregate([
+    { $match: { 'passports.city': /\// } },
+    { $unwind: '$passports' },
+    {
+      $match: {
+        'passports.city': /\//,
+        $or: [{ 'passports.agentChain': { $exists: false } }, { 'passports.agentChain': { $size: 0 } }]
+      }
+    },
+    { $group: { _id: '$passports.city', entries: { $sum: 1 } } },
+    { $sort: { entries: -1, _id: 1 } }
+  ]).allowDiskUse(true);
+};
+
+const main = async () => {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (args.help) {
+    console.log('Usage: node scripts/migrateCityAgents.js [--report <file>] [--user <userId>] [--apply]');
+    return 0;
+  }
+
+  if (!process.env.MONGO_URL) {
+    console.error('MONGO_URL not set in environment variables');
+    return 1;
+  }
+
+  await mongoose.connect(process.env.MONGO_URL);
+
+  try {
+    if (args.user) {
+      if (!mongoose.Types.ObjectId.isValid(args.user) || !(await User.exists({ _id: args.user }))) {
+        console.error(`User not found with id ${args.user}`);
+        return 1;
+      }
+    }
+
+    const values = await loadCityValues();
+
+    if (values.length === 0) {
+      console.log('No passport entries with "city/agent" values left to migrate');
+      return 0;
+    }
+
+    const agentsByKey = await findAgentsByName(values.flatMap(value => {
+      const { city, agentNames } = splitCityValue(value._id);
+      return [city, ...agentNames];
+    }));
+
+    const plans = values.map(value => {
+      const plan = planCityValue(value._id, agentsByKey);
+      return {
+        value: value._id,
+        entries: value.entries,
+        city: plan.city,
+        agentNames: plan.agentNames,
+        newAgents: plan.newNames,
+        status: plan.issues.length > 0 ? 'review' : 'ready',
+        issues: plan.issues,
+        plan
+      };
+    });
+
+    console.table(plans.map(item => ({
+      value: item.value,
+      entries: item.entries,
+      city: item.city,
+      agents: item.agentNames.join(' > '),
+      newAgents: item.newAgents.join(', '),
+      status: item.status,
+      issues: item.issues.join('; ')
+    })));
+
+    if (args.report) {
+      fs.writeFileSync(args.report, JSON.stringify(plans.map(({ plan, ...item }) => item), null, 2));
+      console.log(`Review report written to ${args.report}`);
+    }
+
+    const ready = plans.filter(item => item.status === 'ready');
+    const readyEntries = ready.reduce((total, item) => total + item.entries, 0);
+    const newAgents = new Set(ready.flatMap(item => item.newAgents.map(name => name.toLowerCase())));
+
+    if (!args.apply) {
+      console.log(`${ready.length} of ${plans.length} values (${readyEntries} entries) can be split, creating ${newAgents.size} agent(s). ` +
+        `${plans.length - ready.length} value(s) need review. Run again with --apply to migrate.`);
+      return 0;
+    }
+
+    let migrated = 0;
+
+    for (const item of ready) {
+      try {
+        const agentChain = await createChainAgents(item.plan, agentsByKey, args.user || undefined);
+
+        const result = await PassportPost.updateMany(
+          { 'passports.city': item.value },
+          {
+            $set: {
+              'passports.$[entry].city': item.city,
+              'passports.$[entry].agentChain': agentChain,
+              'passports.$[entry].legacyCity': item.value
+            }
+          },
+          { arrayFilters: [{ 'entry.city': item.value }] }
+        );
+
+        migrated += item.entries;
+        console.log(`Split "${item.value}" in ${result.modifiedCount} post(s)`);
+      } catch (error) {
+        console.error(`Failed to split "${item.value}": ${error.message}`);
+      }
+    }
+
+    console.log(`${migrated} of ${readyEntries} entries migrated`);
+    return migrated === readyEntries ? 0 : 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+main()
+  .then(code => process.exit(code))
+  .catch(error => {
+    console.error('Migration failed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,144 @@
+/**
+ * Normalize the issuedCountry of existing passport entries to ISO 3166 countries
+ *
+ * Usage:
+ *   node scripts/normalizeCountries.js [--report <file>] [--apply]
+ *
+ * Without --apply the script only prints what would change.
+ *   --report  Write every distinct value and its match to a JSON file for review
+ *   --apply   Set issuedCountry to the display name and issuedCountryCode to the alpha-3 code
+ *
+ * Values that match no country name, code or alias are left untouched and listed as
+ * "unmatched". Add an alias to data/countries.json or fix the entries, then run again.
+ */
+const dotenv = require('dotenv');
+dotenv.config();
+
+const fs = require('fs');
+const mongoose = require('mongoose');
+const PassportPost = require('../models/passportSchema');
+const { findCountry } = require('../utils/countries');
+
+const parseArgs = (argv) => {
+  const args = { report: null, apply: false, help: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === '--apply') {
+      args.apply = true;
+    } else if (arg === '--help' || arg === '-h') {
+      args.help = true;
+    } else if (arg === '--report') {
+      args.report = argv[++i];
+    } else {
+      console.warn(`Ignoring unknown argument ${arg}`);
+    }
+  }
+
+  return args;
+};
+
+// Count the entries of every distinct issuedCountry / issuedCountryCode pair
+const loadCountryValues = async () => {
+  return PassportPost.aggregate([
+    { $unwind: '$passports' },
+    {
+      $group: {
+        _id: { value: '$passports.issuedCountry', code: '$passports.issuedCountryCode' },
+        entries: { $sum: 1 }
+      }
+    },
+    { $sort: { entries: -1 } }
+  ]).allowDiskUse(true);
+};
+
+const main = async () => {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (args.help) {
+    console.log('Usage: node scripts/normalizeCountries.js [--report <file>] [--apply]');
+    return 0;
+  }
+
+  if (!process.env.MONGO_URL) {
+    console.error('MONGO_URL not set in environment variables');
+    return 1;
+  }
+
+  await mongoose.connect(process.env.MONGO_URL);
+
+  try {
+    const values = await loadCountryValues();
+
+    const plans = values.map(item => {
+      const country = item._id.value ? findCountry(item._id.value) : null;
+      let status = 'unmatched';
+
+      if (country) {
+        status = country.name === item._id.value && country.alpha3 === item._id.code ? 'ok' : 'normalize';
+      }
+
+      return {
+        value: item._id.value === undefined ? null : item._id.value,
+        code: item._id.code || null,
+        entries: item.entries,
+        name: country ? country.name : null,
+        alpha3: country ? country.alpha3 : null,
+        status
+      };
+    });
+
+    console.table(plans.filter(item => item.status !== 'ok'));
+
+    if (args.report) {
+      fs.writeFileSync(args.report, JSON.stringify(plans, null, 2));
+      console.log(`Review report written to ${args.report}`);
+    }
+
+    const pending = plans.filter(item => item.status === 'normalize');
+    const unmatched = plans.filter(item => item.status === 'unmatched');
+    const pendingEntries = pending.reduce((total, item) => total + item.entries, 0);
+    const unmatchedEntries = unmatched.reduce((total, item) => total + item.entries, 0);
+
+    if (!args.apply) {
+      console.log(`${pendingEntries} entries (${pending.length} values) can be normalized. ` +
+        `${unmatchedEntries} entries (${unmatched.length} values) match no country. Run again with --apply to normalize.`);
+      return 0;
+    }
+
+    let normalized = 0;
+
+    for (const item of pending) {
+      try {
+        const result = await PassportPost.updateMany(
+          { 'passports.issuedCountry': item.value },
+          {
+            $set: {
+              'passports.$[entry].issuedCountry': item.name,
+              'passports.$[entry].issuedCountryCode': item.alpha3
+            }
+          },
+          { arrayFilters: [{ 'entry.issuedCountry': item.value }] }
+        );
+
+        normalized += item.entries;
+        console.log(`"${item.value}" -> ${item.alpha3} ${item.name} in ${result.modifiedCount} post(s)`);
+      } catch (error) {
+        console.error(`Failed to normalize "${item.value}": ${error.message}`);
+      }
+    }
+
+    console.log(`${normalized} of ${pendingEntries} entries normalized, ${unmatchedEntries} unmatched`);
+    return normalized === pendingEntries ? 0 : 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+main()
+  .then(code => process.exit(code))
+  .catch(error => {
+    console.error('Migration failed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,59 @@
+/**
+ * Load the default passport number format rules from data/passportFormats.json
+ *
+ * Usage:
+ *   node scripts/seedPassportFormats.js [--apply]
+ *
+ * Without --apply the script only prints which rules would be added. Countries that
+ * already have a rule are never changed, so edits made by admins are kept.
+ */
+const dotenv = require('dotenv');
+dotenv.config();
+
+const mongoose = require('mongoose');
+const PassportFormat = require('../models/passportFormatSchema');
+const defaults = require('../data/passportFormats.json');
+
+const main = async () => {
+  const apply = process.argv.includes('--apply');
+
+  if (!process.env.MONGO_URL) {
+    console.error('MONGO_URL not set in environment variables');
+    return 1;
+  }
+
+  await mongoose.connect(process.env.MONGO_URL);
+
+  try {
+    const existing = await PassportFormat.getRulesByCountry();
+    const missing = defaults.filter(rule => !existing[rule.countryCode]);
+
+    console.table(defaults.map(rule => ({
+      countryCode: rule.countryCode,
+      pattern: rule.pattern || '',
+      length: rule.minLength === rule.maxLength ? rule.minLength : `${rule.minLength}-${rule.maxLength}`,
+      example: rule.example,
+      status: existing[rule.countryCode] ? 'already set' : 'missing'
+    })));
+
+    if (!apply) {
+      console.log(`${missing.length} of ${defaults.length} default rules can be added. Run again with --apply to add them.`);
+      return 0;
+    }
+
+    if (missing.length > 0) {
+      await PassportFormat.insertMany(missing);
+    }
+    console.log(`${missing.length} rule(s) added`);
+    return 0;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+main()
+  .then(code => process.exit(code))
+  .catch(error => {
+    console.error('Seeding failed:', error);
+    process.exit(1);
+  });
@@ -41,6 +41,9 @@ app.post('/send/request', (req, res) => {
     return res.status(200).json({ message: "Sent successfully" });
 });
 
+// Error handler goes after every route, so errors passed to next() are answered as JSON
+app.use(errorHandler);
+
 // Connect to DB
 connectDb();
 
@@ -0,0 +1,40 @@
+const createLocalStorage = require('./localStorage');
+
+/**
+ * Attachment storage backends, selected with ATTACHMENT_STORAGE (default "local")
+ * A backend is an object with:
+ *   name                          Stored on each attachment so files are read back from the right place
+ *   save(key, buffer)             Store a file under a key
+ *   createReadStream(key)         Readable stream of a stored file
+ *   remove(key)                   Delete a stored file (missing files are ignored)
+ * Register more backends (S3, GridFS, ...) with registerStorage.
+ */
+const factories = {
+  local: createLocalStorage
+};
+
+const instances = {};
+
+// Add a storage backend factory under a name
+const registerStorage = (name, factory) => {
+  factories[name] = factory;
+  delete instances[name];
+};
+
+// Get a storage backend by name, defaulting to the configured one
+const getStorage = (name = process.env.ATTACHMENT_STORAGE || 'local') => {
+  if (!factories[name]) {
+    throw new Error(`Unknown attachment storage "${name}"`);
+  }
+
+  if (!instances[name]) {
+    instances[name] = factories[name]();
+  }
+
+  return instances[name];
+};
+
+module.exports = {
+  registerStorage,
+  getStorage
+};
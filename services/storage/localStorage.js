@@ -0,0 +1,44 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Attachment storage on the local disk
+ * Files live under ATTACHMENT_DIR (default: uploads/attachments in the project root)
+ */
+const createLocalStorage = (rootDir = process.env.ATTACHMENT_DIR || path.join(__dirname, '../../uploads/attachments')) => {
+  const root = path.resolve(rootDir);
+
+  // Resolve a storage key to a file path, refusing keys that escape the root folder
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error('Invalid storage key');
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+
+    async save(key, buffer) {
+      const filePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer, { flag: 'wx' });
+      return { key };
+    },
+
+    createReadStream(key) {
+      return fs.createReadStream(resolveKey(key));
+    },
+
+    async remove(key) {
+      try {
+        await fs.promises.unlink(resolveKey(key));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+  };
+};
+
+module.exports = createLocalStorage;
@@ -0,0 +1,91 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { checkDigit, splitTd3Lines, parseMrzDate, parseTd3 } = require('../utils/mrz');
+
+// Specimen passport from ICAO 9303 part 4
+const LINE_1 = 'P<UTOERIKSSON<<ANNA<MARIA<<<<<<<<<<<<<<<<<<<';
+const LINE_2 = 'L898902C36UTO7408122F1204159ZE184226B<<<<<10';
+
+describe('mrz', () => {
+  describe('checkDigit', () => {
+    it('computes ICAO 9303 check digits', () => {
+      assert.equal(checkDigit('L898902C3'), '6');
+      assert.equal(checkDigit('740812'), '2');
+      assert.equal(checkDigit('120415'), '9');
+      assert.equal(checkDigit('<<<<<<<<<<<<<<'), '0');
+    });
+  });
+
+  describe('splitTd3Lines', () => {
+    it('accepts two lines or one 88 character string', () => {
+      assert.deepEqual(splitTd3Lines(`${LINE_1}\n${LINE_2}`), [LINE_1, LINE_2]);
+      assert.deepEqual(splitTd3Lines(LINE_1 + LINE_2), [LINE_1, LINE_2]);
+    });
+
+    it('ignores case, spaces and reads "«" as "<"', () => {
+      const scanned = `${LINE_1.toLowerCase().replace(/</g, '«')}\r\n ${LINE_2.slice(0, 20)} ${LINE_2.slice(20)}`;
+      assert.deepEqual(splitTd3Lines(scanned), [LINE_1, LINE_2]);
+    });
+
+    it('returns null for text that is not TD3', () => {
+      assert.equal(splitTd3Lines(LINE_1), null);
+      assert.equal(splitTd3Lines(`${LINE_1}\n${LINE_2.slice(1)}`), null);
+      assert.equal(splitTd3Lines(undefined), null);
+    });
+  });
+
+  describe('parseMrzDate', () => {
+    it('puts birth dates in the past and expiry dates at most 20 years ahead', () => {
+      const nextYear = String((new Date().getUTCFullYear() + 1) % 100).padStart(2, '0');
+
+      assert.equal(parseMrzDate(`${nextYear}0101`, 'birth').slice(0, 2), '19');
+      assert.equal(parseMrzDate(`${nextYear}0101`, 'expiry').slice(0, 2), '20');
+    });
+
+    it('returns null for dates that do not exist', () => {
+      assert.equal(parseMrzDate('740230', 'birth'), null);
+      assert.equal(parseMrzDate('74AB12', 'birth'), null);
+    });
+  });
+
+  describe('parseTd3', () => {
+    it('reads the fields of a valid MRZ', () => {
+      const { fields, errors } = parseTd3(`${LINE_1}\n${LINE_2}`);
+
+      assert.deepEqual(errors, []);
+      assert.equal(fields.passportNumber, 'L898902C3');
+      assert.equal(fields.surname, 'ERIKSSON');
+      assert.equal(fields.givenNames, 'ANNA MARIA');
+      assert.equal(fields.dateOfBirth, '1974-08-12');
+      assert.equal(fields.expiryDate, '2012-04-15');
+      assert.equal(fields.sex, 'F');
+      assert.equal(fields.personalNumber, 'ZE184226B');
+    });
+
+    it('warns about unknown states and expired passports', () => {
+      const fields = parseTd3(`${LINE_1}\n${LINE_2}`).warnings.map(warning => warning.field);
+      assert.deepEqual(fields, ['issuedCountry', 'expiryDate']);
+    });
+
+    it('reports the field, expected and found digit of a wrong check digit', () => {
+      const { errors } = parseTd3(`${LINE_1}\n${LINE_2.slice(0, 9)}5${LINE_2.slice(10)}`);
+      const error = errors.find(item => item.field === 'passportNumber');
+
+      assert.equal(error.expected, '6');
+      assert.equal(error.found, '5');
+      assert.equal(error.position, 10);
+      assert.ok(errors.some(item => item.field === 'composite'));
+    });
+
+    it('refuses documents that are not passports', () => {
+      const { errors } = parseTd3(`I${LINE_1.slice(1)}\n${LINE_2}`);
+      assert.ok(errors.some(error => error.field === 'documentType'));
+    });
+
+    it('answers an error without fields for text that is not TD3', () => {
+      const result = parseTd3('P<UTO');
+      assert.equal(result.fields, null);
+      assert.equal(result.errors[0].field, 'mrz');
+    });
+  });
+});
@@ -0,0 +1,32 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { checkPassportNumberFormat } = require('../utils/passportFormats');
+
+// Indian passport numbers: one letter and seven digits
+const rule = {
+  countryCode: 'IND',
+  minLength: 8,
+  maxLength: 8,
+  allowedCharacters: 'A-Z0-9',
+  pattern: '[A-Z][0-9]{7}',
+  example: 'A1234567'
+};
+
+describe('passport number formats', () => {
+  it('accepts a number that matches the rule', () => {
+    assert.equal(checkPassportNumberFormat('A1234567', rule), null);
+  });
+
+  it('checks the normalized number, ignoring case and whitespace', () => {
+    assert.equal(checkPassportNumberFormat('a1234567', rule), null);
+    assert.equal(checkPassportNumberFormat(' a123 4567 ', rule), null);
+  });
+
+  it('reports the length before the pattern', () => {
+    assert.match(checkPassportNumberFormat('A123', rule), /exactly 8 characters/);
+  });
+
+  it('reports numbers that do not match the pattern', () => {
+    assert.match(checkPassportNumberFormat('12345678', rule), /does not match/);
+  });
+});
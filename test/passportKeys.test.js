@@ -0,0 +1,60 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const PassportPost = require('../models/passportSchema');
+
+// Entry with every required field set
+const entry = (fields = {}) => ({
+  passportNumber: 'A1234567',
+  link: 'https://wafid.com/appointment/abc/',
+  city: 'Pune',
+  issuedCountry: 'India',
+  ...fields
+});
+
+describe('passport match keys', () => {
+  describe('toPassportNumberKey', () => {
+    it('ignores case and all whitespace', () => {
+      assert.equal(PassportPost.toPassportNumberKey(' ab 12\t34 '), 'AB1234');
+      assert.equal(PassportPost.toPassportNumberKey('AB1234'), PassportPost.toPassportNumberKey('ab1234'));
+    });
+
+    it('gives an empty key for a missing number', () => {
+      assert.equal(PassportPost.toPassportNumberKey(undefined), '');
+    });
+  });
+
+  describe('toSlipKey', () => {
+    const _id = new mongoose.Types.ObjectId();
+
+    it('combines the sequence and the trimmed slip number', () => {
+      assert.equal(PassportPost.toSlipKey({ _id, slipNo: ' 007 ', slipSequence: 'daily:2025-05-18' }), 'daily:2025-05-18:007');
+    });
+
+    it('keeps slips typed before sequences apart by the entry id', () => {
+      assert.equal(PassportPost.toSlipKey({ _id, slipNo: '7' }), `legacy:7:${_id}`);
+    });
+
+    it('uses the entry id for entries without a slip', () => {
+      assert.equal(PassportPost.toSlipKey({ _id, slipNo: '  ', slipSequence: 'global' }), _id.toString());
+    });
+  });
+
+  describe('pre-validate hook', () => {
+    it('sets the keys of every entry', async () => {
+      const post = new PassportPost({
+        createdBy: new mongoose.Types.ObjectId(),
+        passports: [
+          entry({ passportNumber: 'a123 4567', slipNo: '12', slipSequence: 'manual' }),
+          entry({ passportNumber: 'B7654321' })
+        ]
+      });
+
+      await post.validate();
+
+      assert.deepEqual(post.passports.map(passport => passport.passportNumberKey), ['A1234567', 'B7654321']);
+      assert.equal(post.passports[0].slipKey, 'manual:12');
+      assert.equal(post.passports[1].slipKey, post.passports[1]._id.toString());
+    });
+  });
+});
@@ -0,0 +1,85 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { getDuplicateLinkMode, parseLink, isDomainAllowed } = require('../utils/passportLinks');
+
+describe('passportLinks', () => {
+  describe('parseLink', () => {
+    it('normalizes case, slashes, fragments and tracking parameters', () => {
+      const { link } = parseLink(' HTTPS://WWW.Wafid.com//appointment/AbC123/pay?utm_source=x&fbclid=y&a=1#top ');
+      assert.equal(link, 'https://www.wafid.com/appointment/AbC123/pay/?a=1');
+    });
+
+    it('gives equal links the same canonical form', () => {
+      const a = parseLink('https://wafid.com/appointment/Ref-1');
+      const b = parseLink('https://wafid.com:443/appointment/Ref-1/?gclid=z');
+      assert.equal(a.link, b.link);
+    });
+
+    it('reads the provider, reference and link type of known providers', () => {
+      assert.deepEqual(parseLink('https://www.wafid.com/appointment/Ref_9/PAY/').linkInfo, {
+        provider: 'wafid',
+        host: 'www.wafid.com',
+        appointmentRef: 'Ref_9',
+        linkType: 'pay'
+      });
+      assert.equal(parseLink('https://wafid.com/appointment/Ref_9/').linkInfo.linkType, 'appointment');
+    });
+
+    it('keeps the host as provider for other sites', () => {
+      assert.deepEqual(parseLink('https://www.example.org/booking/1').linkInfo, {
+        provider: 'example.org',
+        host: 'www.example.org',
+        appointmentRef: null,
+        linkType: 'other'
+      });
+    });
+
+    it('does not treat look-alike hosts as the provider', () => {
+      assert.equal(parseLink('https://notwafid.com/appointment/abc/').linkInfo.provider, 'notwafid.com');
+    });
+
+    it('rejects invalid and non-http links', () => {
+      assert.throws(() => parseLink('not a link'), /valid URL/);
+      assert.throws(() => parseLink('ftp://wafid.com/appointment/abc/'), /http or https/);
+    });
+  });
+
+  describe('isDomainAllowed', () => {
+    it('allows every host when the allowlist is empty', () => {
+      assert.equal(isDomainAllowed('example.org', []), true);
+    });
+
+    it('allows listed domains and their subdomains only', () => {
+      assert.equal(isDomainAllowed('wafid.com', ['wafid.com']), true);
+      assert.equal(isDomainAllowed('www.wafid.com', ['wafid.com']), true);
+      assert.equal(isDomainAllowed('notwafid.com', ['wafid.com']), false);
+    });
+  });
+
+  describe('getDuplicateLinkMode', () => {
+    let savedMode;
+
+    beforeEach(() => {
+      savedMode = process.env.DUPLICATE_LINK_MODE;
+    });
+
+    afterEach(() => {
+      if (savedMode === undefined) {
+        delete process.env.DUPLICATE_LINK_MODE;
+      } else {
+        process.env.DUPLICATE_LINK_MODE = savedMode;
+      }
+    });
+
+    it('defaults to "flag" and accepts "reject"', () => {
+      delete process.env.DUPLICATE_LINK_MODE;
+      assert.equal(getDuplicateLinkMode(), 'flag');
+
+      process.env.DUPLICATE_LINK_MODE = 'REJECT';
+      assert.equal(getDuplicateLinkMode(), 'reject');
+
+      process.env.DUPLICATE_LINK_MODE = 'block';
+      assert.equal(getDuplicateLinkMode(), 'flag');
+    });
+  });
+});
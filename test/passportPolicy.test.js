@@ -0,0 +1,192 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const ErrorResponse = require('../utils/errorResponse');
+const {
+  DEFAULT_POLICY,
+  getPolicy,
+  getScope,
+  can,
+  authorizeAction,
+  scopePostFilter
+} = require('../utils/passportPolicy');
+
+const ownerId = new mongoose.Types.ObjectId().toString();
+const otherId = new mongoose.Types.ObjectId().toString();
+
+const admin = { id: new mongoose.Types.ObjectId().toString(), role: 'admin' };
+const user = { id: ownerId, role: 'user' };
+
+describe('passportPolicy', () => {
+  let savedPolicy;
+
+  beforeEach(() => {
+    savedPolicy = process.env.PASSPORT_POLICY;
+    delete process.env.PASSPORT_POLICY;
+  });
+
+  afterEach(() => {
+    if (savedPolicy === undefined) {
+      delete process.env.PASSPORT_POLICY;
+    } else {
+      process.env.PASSPORT_POLICY = savedPolicy;
+    }
+  });
+
+  describe('default rules', () => {
+    it('uses DEFAULT_POLICY when PASSPORT_POLICY is not set', () => {
+      assert.deepEqual(getPolicy(), DEFAULT_POLICY);
+    });
+
+    it('lets admins act on every post', () => {
+      ['read', 'update', 'delete', 'overrideFormat'].forEach(action => {
+        assert.equal(can(admin, action, otherId), true, action);
+      });
+    });
+
+    it('lets users act on their own posts only', () => {
+      ['read', 'update', 'delete'].forEach(action => {
+        assert.equal(can(user, action, ownerId), true, action);
+        assert.equal(can(user, action, otherId), false, action);
+      });
+    });
+
+    it('compares populated owners by their _id', () => {
+      assert.equal(can(user, 'update', { _id: new mongoose.Types.ObjectId(ownerId), fullName: 'Owner' }), true);
+      assert.equal(can(user, 'update', { _id: new mongoose.Types.ObjectId(otherId), fullName: 'Other' }), false);
+    });
+
+    it('allows "own" actions without a target, such as create', () => {
+      assert.equal(can(user, 'create'), true);
+      assert.equal(can(admin, 'create'), true);
+    });
+
+    it('never lets users override format rules', () => {
+      assert.equal(getScope(user, 'overrideFormat'), 'none');
+      assert.equal(can(user, 'overrideFormat'), false);
+    });
+
+    it('denies unknown roles and missing users', () => {
+      const auditor = { id: ownerId, role: 'auditor' };
+
+      assert.equal(getScope(auditor, 'read'), 'none');
+      assert.equal(can(auditor, 'read', ownerId), false);
+      assert.equal(can(undefined, 'read', ownerId), false);
+    });
+  });
+
+  describe('authorizeAction', () => {
+    it('returns null when the action is allowed', () => {
+      assert.equal(authorizeAction(user, 'update', ownerId), null);
+    });
+
+    it('returns a 403 ErrorResponse naming the action and target', () => {
+      const error = authorizeAction(user, 'read', otherId, 'passport');
+
+      assert.ok(error instanceof ErrorResponse);
+      assert.equal(error.statusCode, 403);
+      assert.equal(error.message, 'Not authorized to access this passport');
+    });
+  });
+
+  describe('scopePostFilter', () => {
+    it('keeps the filter as is for "any"', () => {
+      const filter = { 'passports.status': 'pending' };
+      assert.equal(scopePostFilter(filter, admin, 'read'), filter);
+    });
+
+    it('limits the filter to the user\'s posts for "own"', () => {
+      const scoped = scopePostFilter({ 'passports.status': 'pending' }, user, 'read');
+
+      assert.equal(scoped['passports.status'], 'pending');
+      assert.ok(scoped.createdBy instanceof mongoose.Types.ObjectId);
+      assert.equal(scoped.createdBy.toString(), ownerId);
+    });
+
+    it('keeps a createdBy condition of the filter next to the own condition', () => {
+      const filter = { createdBy: new mongoose.Types.ObjectId(otherId) };
+      const scoped = scopePostFilter(filter, user, 'read');
+
+      assert.equal(scoped.$and.length, 2);
+      assert.equal(scoped.$and[0], filter);
+      assert.equal(scoped.$and[1].createdBy.toString(), ownerId);
+    });
+
+    it('returns null for "none"', () => {
+      assert.equal(scopePostFilter({}, user, 'overrideFormat'), null);
+      assert.equal(scopePostFilter({}, { id: ownerId, role: 'auditor' }, 'read'), null);
+    });
+  });
+
+  describe('PASSPORT_POLICY overrides', () => {
+    it('changes listed actions and keeps the other defaults', () => {
+      process.env.PASSPORT_POLICY = JSON.stringify({ user: { read: 'any' } });
+
+      assert.equal(can(user, 'read', otherId), true);
+      assert.equal(can(user, 'update', otherId), false);
+      assert.equal(scopePostFilter({}, user, 'read').createdBy, undefined);
+    });
+
+    it('can take actions away from a role', () => {
+      process.env.PASSPORT_POLICY = JSON.stringify({ user: { create: 'none', delete: 'none' } });
+
+      assert.equal(can(user, 'create'), false);
+      assert.equal(authorizeAction(user, 'create').statusCode, 403);
+      assert.equal(can(user, 'delete', ownerId), false);
+      assert.equal(can(user, 'read', ownerId), true);
+    });
+
+    it('ignores roles users cannot have', () => {
+      process.env.PASSPORT_POLICY = JSON.stringify({ auditor: { read: 'any' } });
+      const auditor = { id: ownerId, role: 'auditor' };
+
+      assert.equal(getPolicy().auditor, undefined);
+      assert.equal(can(auditor, 'read', otherId), false);
+    });
+
+    it('does not write "__proto__" roles onto Object.prototype', () => {
+      process.env.PASSPORT_POLICY = '{"__proto__": {"read": "any"}}';
+
+      getPolicy();
+      assert.equal({}.read, undefined);
+      assert.equal(can({ id: ownerId, role: 'toString' }, 'read', otherId), false);
+    });
+
+    it('is read again when the variable changes', () => {
+      process.env.PASSPORT_POLICY = JSON.stringify({ user: { read: 'any' } });
+      assert.equal(can(user, 'read', otherId), true);
+
+      process.env.PASSPORT_POLICY = JSON.stringify({ user: { read: 'own' } });
+      assert.equal(can(user, 'read', otherId), false);
+    });
+  });
+
+  describe('invalid PASSPORT_POLICY', () => {
+    it('throws on invalid JSON instead of falling back to a looser policy', () => {
+      process.env.PASSPORT_POLICY = '{"user": {"read": "any"}';
+
+      assert.throws(() => getPolicy(), /PASSPORT_POLICY is not valid JSON/);
+      assert.throws(() => can(user, 'read', ownerId), /PASSPORT_POLICY is not valid JSON/);
+    });
+
+    it('throws on unknown actions', () => {
+      process.env.PASSPORT_POLICY = JSON.stringify({ user: { publish: 'any' } });
+
+      assert.throws(() => getPolicy(), /unknown action "publish" for role "user"/);
+    });
+
+    it('throws on unknown scopes', () => {
+      process.env.PASSPORT_POLICY = JSON.stringify({ user: { read: 'everyone' } });
+
+      assert.throws(() => getPolicy(), /scope for user\.read must be one of any, own, none/);
+    });
+
+    it('recovers once the variable is fixed', () => {
+      process.env.PASSPORT_POLICY = 'not json';
+      assert.throws(() => getPolicy());
+
+      delete process.env.PASSPORT_POLICY;
+      assert.deepEqual(getPolicy(), DEFAULT_POLICY);
+    });
+  });
+});
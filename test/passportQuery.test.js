@@ -0,0 +1,158 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const ErrorResponse = require('../utils/errorResponse');
+const {
+  escapeRegex,
+  buildPassportConditions,
+  buildPassportSearchConditions,
+  prefixPassportConditions,
+  buildPostFilter,
+  parseSort,
+  parsePagination,
+  buildPagination
+} = require('../utils/passportQuery');
+
+// Run a builder and return the ErrorResponse it throws
+const errorOf = (build) => {
+  try {
+    build();
+  } catch (error) {
+    return error;
+  }
+  return null;
+};
+
+describe('passportQuery', () => {
+  describe('escapeRegex', () => {
+    it('escapes regex characters so input matches literally', () => {
+      assert.equal(new RegExp(escapeRegex('a.b*(c)')).test('a.b*(c)'), true);
+      assert.equal(new RegExp(escapeRegex('a.b')).test('axb'), false);
+    });
+  });
+
+  describe('buildPassportConditions', () => {
+    it('turns date-only from/to into whole days in the request time zone', () => {
+      const { postDate } = buildPassportConditions({ from: '2025-05-01', to: '2025-05-01', tz: 'Asia/Kolkata' });
+
+      assert.equal(postDate.$gte.toISOString(), '2025-04-30T18:30:00.000Z');
+      assert.equal(postDate.$lte.toISOString(), '2025-05-01T18:29:59.999Z');
+    });
+
+    it('resolves a period to a range ending with today', () => {
+      const { postDate } = buildPassportConditions({ period: 'today', tz: 'UTC' });
+
+      assert.equal(postDate.$lt.getTime() - postDate.$gte.getTime(), 24 * 60 * 60 * 1000);
+      assert.ok(postDate.$gte <= new Date() && new Date() < postDate.$lt);
+    });
+
+    it('refuses unknown periods, including inherited property names', () => {
+      ['someday', 'constructor', 'toString', '__proto__'].forEach(period => {
+        const error = errorOf(() => buildPassportConditions({ period }));
+        assert.ok(error instanceof ErrorResponse, period);
+        assert.equal(error.statusCode, 400, period);
+      });
+    });
+
+    it('refuses period together with from/to', () => {
+      assert.equal(errorOf(() => buildPassportConditions({ period: 'today', from: '2025-05-01' })).statusCode, 400);
+    });
+
+    it('refuses dates that cannot be parsed', () => {
+      assert.match(errorOf(() => buildPassportConditions({ from: 'soon' })).message, /from must be a valid date/);
+    });
+
+    it('matches a known country on its code and other text on the name', () => {
+      assert.equal(buildPassportConditions({ issuedCountry: 'india' }).issuedCountryCode, 'IND');
+
+      const { issuedCountry } = buildPassportConditions({ issuedCountry: 'Atlantis' });
+      assert.ok(issuedCountry instanceof RegExp);
+      assert.equal(issuedCountry.flags, 'i');
+    });
+
+    it('takes the first value of repeated parameters', () => {
+      assert.equal(buildPassportConditions({ city: ['Pune', 'Delhi'] }).city.source, 'Pune');
+    });
+
+    it('filters on a missing slip, but not together with slipNo', () => {
+      assert.deepEqual(buildPassportConditions({ missingSlip: 'true' }).slipNo, { $in: [null, ''] });
+      assert.deepEqual(buildPassportConditions({ missingSlip: '0' }).slipNo, { $nin: [null, ''] });
+      assert.equal(errorOf(() => buildPassportConditions({ slipNo: '12', missingSlip: 'true' })).statusCode, 400);
+    });
+
+    it('parses agent and comma-separated tag ids', () => {
+      const agent = new mongoose.Types.ObjectId().toString();
+      const tags = [new mongoose.Types.ObjectId().toString(), new mongoose.Types.ObjectId().toString()];
+      const conditions = buildPassportConditions({ agent, tag: `${tags[0]}, ${tags[1]}` });
+
+      assert.equal(conditions.agentChain.toString(), agent);
+      assert.deepEqual(conditions.tags.$in.map(String), tags);
+      assert.match(errorOf(() => buildPassportConditions({ tag: 'nope' })).message, /tag must be a valid id/);
+    });
+
+    it('filters flagged links', () => {
+      assert.equal(buildPassportConditions({ linkFlagged: 'yes' })['linkInfo.flagged'], true);
+      assert.deepEqual(buildPassportConditions({ linkFlagged: 'false' })['linkInfo.flagged'], { $ne: true });
+    });
+  });
+
+  describe('buildPassportSearchConditions', () => {
+    it('matches q across the search fields', () => {
+      const { $or } = buildPassportSearchConditions({ q: ' A12 ' });
+
+      assert.deepEqual($or.map(condition => Object.keys(condition)[0]), ['passportNumber', 'slipNo', 'city', 'otherDetails', 'link']);
+      assert.equal($or[0].passportNumber.source, 'A12');
+    });
+  });
+
+  describe('prefixPassportConditions', () => {
+    it('prefixes keys, including those inside $or', () => {
+      const prefixed = prefixPassportConditions({ city: 'Pune', $or: [{ slipNo: '1' }] });
+      assert.deepEqual(prefixed, { 'passports.city': 'Pune', $or: [{ 'passports.slipNo': '1' }] });
+    });
+  });
+
+  describe('buildPostFilter', () => {
+    it('puts passport conditions in one $elemMatch next to the owner conditions', () => {
+      const createdBy = new mongoose.Types.ObjectId().toString();
+      const filter = buildPostFilter({ createdBy, status: 'paid' });
+
+      assert.equal(filter.createdBy.toString(), createdBy);
+      assert.deepEqual(Object.keys(filter.passports.$elemMatch), ['status']);
+    });
+
+    it('leaves $elemMatch out without passport conditions', () => {
+      assert.deepEqual(buildPostFilter({}), {});
+    });
+  });
+
+  describe('parseSort', () => {
+    it('maps sort keys to paths and tie-breaks on _id', () => {
+      assert.deepEqual(parseSort('-postDate,createdAt'), { 'passports.postDate': -1, createdAt: 1, _id: -1 });
+      assert.deepEqual(parseSort(undefined), { createdAt: -1, _id: -1 });
+    });
+
+    it('refuses unknown sort keys', () => {
+      assert.equal(errorOf(() => parseSort('passportNumber')).statusCode, 400);
+    });
+  });
+
+  describe('parsePagination', () => {
+    it('clamps page and limit', () => {
+      assert.deepEqual(parsePagination({}), { page: 1, limit: 25, skip: 0 });
+      assert.deepEqual(parsePagination({ page: '3', limit: '10' }), { page: 3, limit: 10, skip: 20 });
+      assert.deepEqual(parsePagination({ page: '-1', limit: '1000' }), { page: 1, limit: 100, skip: 0 });
+    });
+  });
+
+  describe('buildPagination', () => {
+    it('links to the next and previous pages with the other parameters kept', () => {
+      const req = { baseUrl: '/api/v1/passport-posts', path: '/', query: { city: 'Pune', page: '2' } };
+      const pagination = buildPagination(req, { page: 2, limit: 10, total: 35 });
+
+      assert.equal(pagination.totalPages, 4);
+      assert.equal(pagination.next.url, '/api/v1/passport-posts?city=Pune&page=3&limit=10');
+      assert.equal(pagination.prev.page, 1);
+    });
+  });
+});
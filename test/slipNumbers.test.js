@@ -0,0 +1,120 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const {
+  MANUAL_SEQUENCE,
+  getSlipConfig,
+  isAutoSlipMode,
+  formatSlipNo,
+  manualSlipFields,
+  checkSlipFields
+} = require('../utils/slipNumbers');
+
+const SLIP_VARIABLES = ['SLIP_NUMBER_MODE', 'SLIP_SEQUENCE_SCOPE', 'SLIP_PREFIX', 'SLIP_PADDING', 'SLIP_TIMEZONE'];
+
+describe('slipNumbers', () => {
+  let saved;
+
+  beforeEach(() => {
+    saved = {};
+    SLIP_VARIABLES.forEach(name => {
+      saved[name] = process.env[name];
+      delete process.env[name];
+    });
+  });
+
+  afterEach(() => {
+    SLIP_VARIABLES.forEach(name => {
+      if (saved[name] === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = saved[name];
+      }
+    });
+  });
+
+  describe('getSlipConfig', () => {
+    it('defaults to manual slips in the global sequence', () => {
+      const config = getSlipConfig();
+
+      assert.equal(config.mode, 'manual');
+      assert.equal(config.scope, 'global');
+      assert.equal(config.prefix, '');
+      assert.equal(config.padding, 3);
+      assert.equal(isAutoSlipMode(), false);
+    });
+
+    it('reads the environment and falls back on invalid values', () => {
+      process.env.SLIP_NUMBER_MODE = 'AUTO';
+      process.env.SLIP_SEQUENCE_SCOPE = 'operator_daily';
+      process.env.SLIP_PADDING = '5';
+      assert.equal(isAutoSlipMode(), true);
+      assert.equal(getSlipConfig().scope, 'operator_daily');
+      assert.equal(getSlipConfig().padding, 5);
+
+      process.env.SLIP_NUMBER_MODE = 'sometimes';
+      process.env.SLIP_SEQUENCE_SCOPE = 'weekly';
+      process.env.SLIP_PADDING = '0';
+      assert.equal(getSlipConfig().mode, 'manual');
+      assert.equal(getSlipConfig().scope, 'global');
+      assert.equal(getSlipConfig().padding, 3);
+    });
+  });
+
+  describe('formatSlipNo', () => {
+    const config = { prefix: '', padding: 3, timeZone: 'Asia/Kolkata' };
+
+    it('pads the number', () => {
+      assert.equal(formatSlipNo(6, config, new Date()), '006');
+      assert.equal(formatSlipNo(1234, config, new Date()), '1234');
+    });
+
+    it('fills the prefix with the business date of the time zone', () => {
+      // 20:00 UTC on the 17th is already the 18th in India
+      const date = new Date('2025-05-17T20:00:00Z');
+
+      assert.equal(formatSlipNo(6, { ...config, prefix: 'S{YYYY}{MM}{DD}-' }, date), 'S20250518-006');
+      assert.equal(formatSlipNo(6, { ...config, prefix: 'S{DD}-', timeZone: 'UTC' }, date), 'S17-006');
+    });
+  });
+
+  describe('manualSlipFields', () => {
+    it('puts new and changed slips in the manual sequence', () => {
+      assert.deepEqual(manualSlipFields({ slipNo: ' 12 ' }), { slipNo: '12', slipSequence: MANUAL_SEQUENCE });
+      assert.deepEqual(
+        manualSlipFields({ slipNo: '13' }, { slipNo: '12', slipSequence: 'global' }),
+        { slipNo: '13', slipSequence: MANUAL_SEQUENCE }
+      );
+    });
+
+    it('keeps the sequence of an unchanged slip', () => {
+      assert.deepEqual(manualSlipFields({ slipNo: '12' }, { slipNo: '12', slipSequence: 'global' }), { slipNo: '12', slipSequence: 'global' });
+      assert.deepEqual(manualSlipFields({ slipNo: '12' }, { slipNo: '12' }), { slipNo: '12', slipSequence: undefined });
+    });
+
+    it('clears both fields when the slip is removed', () => {
+      assert.deepEqual(manualSlipFields({ slipNo: '' }, { slipNo: '12', slipSequence: MANUAL_SEQUENCE }), { slipNo: undefined, slipSequence: undefined });
+    });
+  });
+
+  describe('checkSlipFields', () => {
+    it('refuses new or changed slips in auto mode', async () => {
+      process.env.SLIP_NUMBER_MODE = 'auto';
+      const _id = new mongoose.Types.ObjectId();
+
+      const { errors } = await checkSlipFields(
+        [{ slipNo: '5' }, { _id, slipNo: '7' }, { _id: new mongoose.Types.ObjectId(), slipNo: '9' }, {}],
+        { existingSlips: { [_id.toString()]: '7' } }
+      );
+
+      assert.deepEqual(errors.map(error => [error.index, error.field]), [[0, 'slipNo'], [2, 'slipNo']]);
+    });
+
+    it('has nothing to check in manual mode when no slip changed', async () => {
+      const _id = new mongoose.Types.ObjectId();
+      const { errors } = await checkSlipFields([{ _id, slipNo: '7' }, {}], { existingSlips: { [_id.toString()]: ' 7' } });
+
+      assert.deepEqual(errors, []);
+    });
+  });
+});
@@ -0,0 +1,144 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const {
+  getVersionCheckMode,
+  toEtag,
+  readExpectedVersion,
+  hasEntryChanged,
+  checkEntryVersion
+} = require('../utils/versioning');
+
+// Minimal stand-in for an Express request
+const request = ({ headers = {}, body = {}, query = {} } = {}) => ({
+  get: name => headers[name],
+  body,
+  query
+});
+
+describe('versioning', () => {
+  let savedMode;
+
+  beforeEach(() => {
+    savedMode = process.env.VERSION_CHECK_MODE;
+    delete process.env.VERSION_CHECK_MODE;
+  });
+
+  afterEach(() => {
+    if (savedMode === undefined) {
+      delete process.env.VERSION_CHECK_MODE;
+    } else {
+      process.env.VERSION_CHECK_MODE = savedMode;
+    }
+  });
+
+  describe('getVersionCheckMode', () => {
+    it('defaults to "optional"', () => {
+      assert.equal(getVersionCheckMode(), 'optional');
+    });
+
+    it('reads VERSION_CHECK_MODE and falls back on unknown values', () => {
+      process.env.VERSION_CHECK_MODE = ' Required ';
+      assert.equal(getVersionCheckMode(), 'required');
+
+      process.env.VERSION_CHECK_MODE = 'strict';
+      assert.equal(getVersionCheckMode(), 'optional');
+    });
+  });
+
+  describe('toEtag', () => {
+    it('quotes the version and counts unversioned entries as 0', () => {
+      assert.equal(toEtag(3), '"3"');
+      assert.equal(toEtag(undefined), '"0"');
+    });
+  });
+
+  describe('readExpectedVersion', () => {
+    it('reports no version when none was sent', () => {
+      assert.deepEqual(readExpectedVersion(request()), { given: false, any: false, version: null });
+    });
+
+    it('reads strong and weak ETags from If-Match', () => {
+      assert.equal(readExpectedVersion(request({ headers: { 'If-Match': '"4"' } })).version, 4);
+      assert.equal(readExpectedVersion(request({ headers: { 'If-Match': 'W/"4"' } })).version, 4);
+    });
+
+    it('accepts "*" for any version', () => {
+      assert.deepEqual(readExpectedVersion(request({ headers: { 'If-Match': '*' } })), { given: true, any: true, version: null });
+    });
+
+    it('prefers If-Match over the body and the body over the query string', () => {
+      assert.equal(readExpectedVersion(request({ headers: { 'If-Match': '"2"' }, body: { version: 5 } })).version, 2);
+      assert.equal(readExpectedVersion(request({ body: { version: 5 }, query: { version: '7' } })).version, 5);
+      assert.equal(readExpectedVersion(request({ query: { version: '7' } })).version, 7);
+    });
+
+    it('gives a null version for values that are not versions', () => {
+      assert.deepEqual(readExpectedVersion(request({ body: { version: 'abc' } })), { given: true, any: false, version: null });
+    });
+  });
+
+  describe('hasEntryChanged', () => {
+    const stored = {
+      _id: new mongoose.Types.ObjectId(),
+      passportNumber: 'A1234567',
+      passportNumberKey: 'A1234567',
+      slipKey: 'manual:12',
+      slipNo: '12',
+      issuedCountry: 'India',
+      issuedCountryCode: 'IND',
+      link: 'https://www.wafid.com/appointment/abc/',
+      linkInfo: { provider: 'wafid', appointmentRef: 'abc' },
+      statusHistory: [{ status: 'new' }],
+      tags: [],
+      version: 3
+    };
+
+    it('ignores server-derived fields the payload does not carry', () => {
+      const payload = {
+        _id: stored._id,
+        passportNumber: 'A1234567',
+        slipNo: '12',
+        issuedCountry: 'India',
+        link: 'https://www.wafid.com/appointment/abc/',
+        otherDetails: ''
+      };
+
+      assert.equal(hasEntryChanged(stored, payload), false);
+    });
+
+    it('reports a change to an editable field', () => {
+      assert.equal(hasEntryChanged(stored, { ...stored, passportNumber: 'A7654321' }), true);
+      assert.equal(hasEntryChanged(stored, { ...stored, otherDetails: 'Urgent' }), true);
+    });
+
+    it('ignores the version itself', () => {
+      assert.equal(hasEntryChanged(stored, { ...stored, version: 4 }), false);
+    });
+  });
+
+  describe('checkEntryVersion', () => {
+    const passport = { _id: new mongoose.Types.ObjectId(), version: 2 };
+    const id = passport._id.toString();
+
+    it('accepts the current version and "*"', () => {
+      assert.equal(checkEntryVersion({ [id]: 2 }, passport), null);
+      assert.equal(checkEntryVersion({ [id]: '2' }, passport), null);
+      assert.equal(checkEntryVersion({ [id]: '*' }, passport), null);
+    });
+
+    it('refuses another version with 409', () => {
+      assert.equal(checkEntryVersion({ [id]: 1 }, passport).status, 409);
+    });
+
+    it('skips entries without a version unless the mode is "required"', () => {
+      assert.equal(checkEntryVersion(undefined, passport), null);
+      assert.equal(checkEntryVersion({}, passport), null);
+
+      process.env.VERSION_CHECK_MODE = 'required';
+      assert.equal(checkEntryVersion(undefined, passport).status, 428);
+      assert.equal(checkEntryVersion({}, passport).status, 428);
+      assert.equal(checkEntryVersion({ [id]: 2 }, passport), null);
+    });
+  });
+});
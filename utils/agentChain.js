@@ -0,0 +1,254 @@
+const mongoose = require('mongoose');
+const Agent = require('../models/agentSchema');
+
+/**
+ * Split a legacy "city/agent/agent" value into the city and the agent names
+ * @param {string} value City text as stored, e.g. "Lucknow/navjyoti/aijaz"
+ * @returns {{ city: string, agentNames: Array<string>, issues: Array<string> }}
+ *   issues lists anything that needs a human to look at the value
+ */
+const splitCityValue = (value) => {
+  const segments = String(value || '').split('/').map(segment => segment.trim().replace(/\s+/g, ' '));
+  const city = segments[0];
+  const agentNames = segments.slice(1).filter(Boolean);
+  const issues = [];
+
+  if (!city) {
+    issues.push('No city before the first "/"');
+  }
+
+  if (segments.slice(1).some(segment => !segment)) {
+    issues.push('Empty agent name between slashes');
+  }
+
+  agentNames
+    .filter(name => /\d/.test(name))
+    .forEach(name => issues.push(`"${name}" contains digits`));
+
+  const keys = agentNames.map(name => Agent.toNameKey(name));
+  if (new Set(keys).size !== keys.length) {
+    issues.push('The same agent appears twice in the chain');
+  }
+
+  return { city, agentNames, issues: [...new Set(issues)] };
+};
+
+/**
+ * Load the agents whose names appear in the given values
+ * @param {Array<string>} names Agent or city names
+ * @returns {Promise<Object>} Matching agents by name key
+ */
+const findAgentsByName = async (names) => {
+  const keys = [...new Set(names.map(name => Agent.toNameKey(name)).filter(Boolean))];
+  const agentsByKey = {};
+  keys.forEach(key => {
+    agentsByKey[key] = [];
+  });
+
+  if (keys.length > 0) {
+    const agents = await Agent.find({ nameKey: { $in: keys } }).select('name nameKey region parent').lean();
+    agents.forEach(agent => agentsByKey[agent.nameKey].push(agent));
+  }
+
+  return agentsByKey;
+};
+
+/**
+ * Work out the agent chain for a "city/agent/agent" value
+ * @param {string} value City text as stored
+ * @param {Object} agentsByKey Result of findAgentsByName
+ * @returns {Object} Split value with agents (matched agent, or null for a name not known yet),
+ *   newNames (agents that would be created) and issues
+ */
+const planCityValue = (value, agentsByKey) => {
+  const split = splitCityValue(value);
+  const issues = [...split.issues];
+  const newNames = [];
+
+  if (split.city && (agentsByKey[Agent.toNameKey(split.city)] || []).length > 0) {
+    issues.push(`City "${split.city}" is also the name of an agent`);
+  }
+
+  const agents = split.agentNames.map(name => {
+    const matches = agentsByKey[Agent.toNameKey(name)] || [];
+
+    if (matches.length > 1) {
+      issues.push(`"${name}" matches ${matches.length} agents`);
+    } else if (matches.length === 0) {
+      newNames.push(name);
+    }
+
+    return matches.length === 1 ? matches[0] : null;
+  });
+
+  return { ...split, agents, newNames, issues };
+};
+
+/**
+ * Find or create an agent by name in one atomic upsert on the unique nameKey, so concurrent
+ * requests naming the same new agent end up with the same agent
+ * @param {string} name Agent name as typed
+ * @param {Object} fields Fields of the agent when it is created (region, createdBy)
+ * @returns {Promise<Object>} The agent as a plain object
+ */
+const upsertAgentByName = async (name, fields) => {
+  const nameKey = Agent.toNameKey(name);
+  // nameKey is copied from the filter into an inserted agent
+  const update = { $setOnInsert: { name: name.trim(), ...fields } };
+  const options = { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true };
+
+  try {
+    return await Agent.findOneAndUpdate({ nameKey }, update, options).lean();
+  } catch (error) {
+    // Two first upserts can race on the unique index; the loser finds the winner's agent
+    if (error.code === 11000) {
+      return Agent.findOne({ nameKey }).lean();
+    }
+    throw error;
+  }
+};
+
+/**
+ * Create the agents a planned value needs and return the ordered chain of ids
+ * New agents are added to agentsByKey so later values reuse them
+ * @param {Object} plan Result of planCityValue without issues
+ * @param {Object} agentsByKey Result of findAgentsByName
+ * @param {string} userId User recorded as creator of new agents
+ * @returns {Promise<Array<ObjectId>>}
+ */
+const createChainAgents = async (plan, agentsByKey, userId) => {
+  const chain = [];
+
+  for (const name of plan.agentNames) {
+    const key = Agent.toNameKey(name);
+
+    if (!agentsByKey[key] || agentsByKey[key].length === 0) {
+      const agent = await upsertAgentByName(name, { region: plan.city, createdBy: userId });
+      agentsByKey[key] = [agent];
+    }
+
+    chain.push(agentsByKey[key][0]._id);
+  }
+
+  return chain;
+};
+
+/**
+ * Resolve the agent chain of submitted passport entries
+ * - agentChain given: every id must be an existing agent and city must not contain "/"
+ * - city given as "city/agent/agent": split it, reusing agents with the same name and creating
+ *   the missing ones; names that match several agents must be sent as agentChain ids instead
+ * - neither, or an unchanged city: an existing entry keeps its current chain, so entries
+ *   not migrated yet can still be edited
+ * @param {Array<Object>} passports Submitted passport entries
+ * @param {Object} options
+ * @param {string} options.userId User recorded as creator of new agents
+ * @param {Object} [options.existingEntries] Stored { city, agentChain, legacyCity } by passport _id
+ * @param {boolean} [options.create] Set to false to only check the entries (dry run); entries
+ *   are then returned unchanged
+ * @returns {Promise<{ passports: Array<Object>, errors: Array<Object>, newAgents: Array<Object> }>}
+ *   newAgents lists the agent names created (or to be created) for each entry index
+ */
+const resolvePassportAgents = async (passports, { userId, existingEntries = {}, create = true }) => {
+  const errors = [];
+
+  // Check all submitted agent ids in one query
+  const submittedIds = passports
+    .filter(passport => passport && Array.isArray(passport.agentChain))
+    .flatMap(passport => passport.agentChain.map(id => String(id)));
+  const knownIds = new Set();
+  const validIds = submittedIds.filter(id => mongoose.Types.ObjectId.isValid(id));
+  if (validIds.length > 0) {
+    const agents = await Agent.find({ _id: { $in: validIds } }).select('_id').lean();
+    agents.forEach(agent => knownIds.add(agent._id.toString()));
+  }
+
+  // Cities to split: new "city/agent" text that is not the stored value of the entry
+  const needsSplit = (passport) => {
+    if (!passport || Array.isArray(passport.agentChain)) return false;
+    if (typeof passport.city !== 'string' || !passport.city.includes('/')) return false;
+
+    const existing = passport._id ? existingEntries[passport._id.toString()] : undefined;
+    return !existing || existing.city !== passport.city;
+  };
+
+  const slashCities = passports.filter(needsSplit).map(passport => passport.city);
+  const agentsByKey = await findAgentsByName(slashCities.flatMap(value => {
+    const { city, agentNames } = splitCityValue(value);
+    return [city, ...agentNames];
+  }));
+
+  const plans = passports.map((passport, index) => {
+    if (!passport) return null;
+
+    if (Array.isArray(passport.agentChain)) {
+      passport.agentChain
+        .map(id => String(id))
+        .filter(id => !knownIds.has(id))
+        .forEach(id => errors.push({ index, field: 'agentChain', message: `Agent not found with id ${id}` }));
+
+      if (typeof passport.city === 'string' && passport.city.includes('/')) {
+        errors.push({ index, field: 'city', message: 'City cannot contain "/" when agentChain is given' });
+      }
+      return null;
+    }
+
+    if (!needsSplit(passport)) {
+      return null;
+    }
+
+    const plan = planCityValue(passport.city, agentsByKey);
+    plan.issues.forEach(issue => {
+      errors.push({ index, field: 'city', message: `${issue}; send agentChain ids instead` });
+    });
+    return plan;
+  });
+
+  const newAgents = plans
+    .map((plan, index) => (plan && plan.newNames.length > 0 ? { index, names: plan.newNames } : null))
+    .filter(Boolean);
+
+  if (errors.length > 0 || !create) {
+    return { passports, errors, newAgents };
+  }
+
+  const resolved = [];
+  for (let index = 0; index < passports.length; index++) {
+    if (!passports[index]) {
+      resolved.push(passports[index]);
+      continue;
+    }
+
+    // legacyCity is only set by the split, never by the client
+    const { legacyCity, ...passport } = passports[index];
+    const existing = passport._id ? existingEntries[passport._id.toString()] : undefined;
+    const plan = plans[index];
+
+    if (plan) {
+      resolved.push({
+        ...passport,
+        city: plan.city,
+        agentChain: await createChainAgents(plan, agentsByKey, userId),
+        legacyCity: passport.city
+      });
+    } else if (existing) {
+      resolved.push({
+        ...passport,
+        agentChain: Array.isArray(passport.agentChain) ? passport.agentChain : existing.agentChain,
+        legacyCity: existing.legacyCity
+      });
+    } else {
+      resolved.push(passport);
+    }
+  }
+
+  return { passports: resolved, errors, newAgents };
+};
+
+module.exports = {
+  splitCityValue,
+  findAgentsByName,
+  planCityValue,
+  createChainAgents,
+  resolvePassportAgents
+};
@@ -0,0 +1,116 @@
+const COUNTRIES = require('../data/countries.json');
+
+/**
+ * Reduce a country value to a comparison key
+ * Case, accents, punctuation and a leading "the" are ignored: " The U.A.E. " -> "u a e"
+ * @param {string} value
+ * @returns {string}
+ */
+const toCountryKey = value => String(value || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/&/g, ' and ')
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim()
+  .replace(/^the /, '');
+
+// Every code, name and alias key mapped to its country
+const COUNTRY_INDEX = new Map();
+
+COUNTRIES.forEach(country => {
+  [country.alpha3, country.alpha2, country.name, ...country.aliases].forEach(value => {
+    const key = toCountryKey(value);
+    const existing = COUNTRY_INDEX.get(key);
+
+    if (existing && existing !== country) {
+      throw new Error(`Country alias "${value}" is used by both ${existing.alpha3} and ${country.alpha3}`);
+    }
+    COUNTRY_INDEX.set(key, country);
+  });
+});
+
+/**
+ * Find a country by ISO alpha-3 or alpha-2 code, name or alias
+ * @param {string} value e.g. "IND", "in", "India" or "Bharat"
+ * @returns {Object|null} { alpha3, alpha2, name, aliases }
+ */
+const findCountry = value => COUNTRY_INDEX.get(toCountryKey(value)) || null;
+
+/**
+ * Search countries for a dropdown
+ * Exact code or name matches come first, then names and aliases starting with the text,
+ * then names and aliases containing it
+ * @param {string} [text] Search text; all countries when empty
+ * @returns {Array<Object>}
+ */
+const searchCountries = (text) => {
+  const key = toCountryKey(text);
+  if (!key) {
+    return COUNTRIES;
+  }
+
+  const exact = findCountry(text);
+
+  return COUNTRIES
+    .map(country => {
+      if (country === exact) return { country, rank: 0 };
+
+      const keys = [country.name, ...country.aliases].map(toCountryKey);
+      if (keys.some(item => item.startsWith(key))) return { country, rank: 1 };
+      if (keys.some(item => item.includes(key))) return { country, rank: 2 };
+      return null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.rank - b.rank || a.country.name.localeCompare(b.country.name))
+    .map(item => item.country);
+};
+
+/**
+ * Normalize the issuedCountry of submitted passport entries to the ISO display name
+ * and set issuedCountryCode to the alpha-3 code
+ * A stored value that was not changed is accepted as is, so entries saved before
+ * normalization can still be edited
+ * @param {Array<Object>} passports Submitted passport entries
+ * @param {Object} [options]
+ * @param {Object} [options.existingCountries] Stored issuedCountry by passport _id
+ * @returns {{ passports: Array<Object>, errors: Array<Object> }}
+ */
+const normalizePassportCountries = (passports, { existingCountries = {} } = {}) => {
+  const errors = [];
+
+  const normalized = passports.map((passport, index) => {
+    if (!passport || !passport.issuedCountry) return passport;
+
+    const country = findCountry(passport.issuedCountry);
+
+    if (country) {
+      return { ...passport, issuedCountry: country.name, issuedCountryCode: country.alpha3 };
+    }
+
+    // The code is only ever derived from a known country
+    const { issuedCountryCode, ...rest } = passport;
+
+    const stored = passport._id && existingCountries[passport._id.toString()];
+    if (stored !== undefined && stored === passport.issuedCountry) {
+      return rest;
+    }
+
+    errors.push({
+      index,
+      field: 'issuedCountry',
+      message: `Unknown country "${passport.issuedCountry}"; use a country name or ISO code from /api/countries`
+    });
+    return rest;
+  });
+
+  return { passports: normalized, errors };
+};
+
+module.exports = {
+  COUNTRIES,
+  toCountryKey,
+  findCountry,
+  searchCountries,
+  normalizePassportCountries
+};
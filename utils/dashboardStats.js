@@ -0,0 +1,212 @@
+const PassportPost = require('../models/passportSchema');
+const Tag = require('../models/tagSchema');
+const { findCountry } = require('./countries');
+const { zonedDayRange, zonedMonthRange } = require('./timezone');
+
+// Dates, statuses and countries live on the passport entries, so the dashboards count entries:
+// posts are narrowed down first, then unwound and matched entry by entry
+const entryStages = match => [
+  { $match: match },
+  { $unwind: '$passports' },
+  { $match: match }
+];
+
+/**
+ * Count passport entries
+ * @param {Object} match Conditions on post fields (createdBy) and "passports." entry fields
+ * @returns {Promise<number>}
+ */
+const countPassportEntries = async (match) => {
+  const [result] = await PassportPost.aggregate([...entryStages(match), { $count: 'count' }]);
+  return result ? result.count : 0;
+};
+
+/**
+ * Count passport entries per local day of postDate, for the last days up to today
+ * @param {Object} match Conditions as for countPassportEntries
+ * @param {Object} options
+ * @param {number} options.days Number of days, today included
+ * @param {string} options.timeZone Time zone the days are counted in
+ * @param {Date} [options.now]
+ * @returns {Promise<{ range: Object, data: Array<{ date: string, count: number }> }>}
+ */
+const countEntriesByDay = async (match, { days, timeZone, now = new Date() }) => {
+  const first = zonedDayRange(now, timeZone, -(days - 1));
+  const today = zonedDayRange(now, timeZone);
+
+  const counts = await PassportPost.aggregate([
+    ...entryStages({
+      ...match,
+      'passports.postDate': { $gte: first.start, $lt: today.end }
+    }),
+    {
+      $group: {
+        _id: { $dateToString: { format: '%Y-%m-%d', date: '$passports.postDate', timezone: timeZone } },
+        count: { $sum: 1 }
+      }
+    }
+  ]);
+
+  const countByDate = {};
+  counts.forEach(item => {
+    countByDate[item._id] = item.count;
+  });
+
+  const data = [];
+  for (let i = days - 1; i >= 0; i--) {
+    const { date } = zonedDayRange(now, timeZone, -i);
+    data.push({ date, count: countByDate[date] || 0 });
+  }
+
+  return {
+    range: { start: first.date, end: today.date, days, timeZone },
+    data
+  };
+};
+
+/**
+ * Count passport entries per local month of postDate, for the last months up to this one
+ * @param {Object} match Conditions as for countPassportEntries
+ * @param {Object} options
+ * @param {number} options.months Number of months, the current one included
+ * @param {string} options.timeZone Time zone the months are counted in
+ * @param {Date} [options.now]
+ * @returns {Promise<Array<{ month: string, count: number }>>}
+ */
+const countEntriesByMonth = async (match, { months, timeZone, now = new Date() }) => {
+  const first = zonedMonthRange(now, timeZone, -(months - 1));
+  const current = zonedMonthRange(now, timeZone);
+
+  const counts = await PassportPost.aggregate([
+    ...entryStages({
+      ...match,
+      'passports.postDate': { $gte: first.start, $lt: current.end }
+    }),
+    {
+      $group: {
+        _id: { $dateToString: { format: '%Y-%m', date: '$passports.postDate', timezone: timeZone } },
+        count: { $sum: 1 }
+      }
+    }
+  ]);
+
+  const countByMonth = {};
+  counts.forEach(item => {
+    countByMonth[item._id] = item.count;
+  });
+
+  const data = [];
+  for (let i = months - 1; i >= 0; i--) {
+    const { month } = zonedMonthRange(now, timeZone, -i);
+    data.push({ month, count: countByMonth[month] || 0 });
+  }
+  return data;
+};
+
+/**
+ * Count passport entries per issued country, most frequent first
+ * Entries are counted under their ISO code, so aliases of a country share one bucket; text saved
+ * before normalization is mapped to its country when recognized and counted as typed otherwise
+ * @param {Object} match Conditions as for countPassportEntries
+ * @param {number} [limit] Number of countries; all when omitted
+ * @returns {Promise<Array<{ country: string, countryCode: string|null, count: number }>>}
+ */
+const countEntriesByCountry = async (match, limit) => {
+  const groups = await PassportPost.aggregate([
+    ...entryStages(match),
+    {
+      $group: {
+        _id: { code: '$passports.issuedCountryCode', name: '$passports.issuedCountry' },
+        count: { $sum: 1 }
+      }
+    }
+  ]);
+
+  const buckets = new Map();
+  groups.forEach(({ _id, count }) => {
+    const country = _id.code ? findCountry(_id.code) : findCountry(_id.name);
+    const key = country ? country.alpha3 : `name:${_id.name}`;
+
+    if (!buckets.has(key)) {
+      buckets.set(key, {
+        country: country ? country.name : _id.name,
+        countryCode: country ? country.alpha3 : null,
+        count: 0
+      });
+    }
+    buckets.get(key).count += count;
+  });
+
+  const data = [...buckets.values()]
+    .sort((a, b) => b.count - a.count || String(a.country).localeCompare(String(b.country)));
+  return limit ? data.slice(0, limit) : data;
+};
+
+/**
+ * Count passport entries per tag, for every tag (unused tags count 0), most used first
+ * @param {Object} match Conditions as for countPassportEntries
+ * @returns {Promise<Array<{ tagId: string, name: string, color: string, count: number }>>}
+ */
+const countEntriesByTag = async (match) => {
+  const [tags, counts] = await Promise.all([
+    Tag.find().select('name color nameKey').lean(),
+    PassportPost.aggregate([
+      ...entryStages(match),
+      { $unwind: '$passports.tags' },
+      {
+        $group: {
+          _id: '$passports.tags',
+          count: { $sum: 1 }
+        }
+      }
+    ])
+  ]);
+
+  const countByTag = {};
+  counts.forEach(item => {
+    countByTag[item._id.toString()] = item.count;
+  });
+
+  return tags
+    .map(tag => ({
+      tagId: tag._id,
+      name: tag.name,
+      color: tag.color,
+      count: countByTag[tag._id.toString()] || 0
+    }))
+    .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+};
+
+/**
+ * Most recent passport entries by postDate, flattened with their post id
+ * @param {Object} match Conditions as for countPassportEntries
+ * @param {number} limit
+ * @returns {Promise<Array<Object>>}
+ */
+const latestEntries = async (match, limit) => {
+  return PassportPost.aggregate([
+    ...entryStages(match),
+    { $sort: { 'passports.postDate': -1, 'passports._id': -1 } },
+    { $limit: limit },
+    {
+      $project: {
+        _id: '$passports._id',
+        postId: '$_id',
+        passportNumber: '$passports.passportNumber',
+        issuedCountry: '$passports.issuedCountry',
+        status: '$passports.status',
+        postDate: '$passports.postDate',
+        createdAt: 1
+      }
+    }
+  ]);
+};
+
+module.exports = {
+  countPassportEntries,
+  countEntriesByDay,
+  countEntriesByMonth,
+  countEntriesByCountry,
+  countEntriesByTag,
+  latestEntries
+};
@@ -0,0 +1,107 @@
+/**
+ * Parser for logs/deleted_passports_YYYY-MM-DD.json files
+ * logDeletedPassport appends pretty-printed JSON objects one after another,
+ * so a file is a stream of top-level objects rather than one JSON document
+ */
+
+/**
+ * Split concatenated JSON objects and parse each of them
+ * @param {string} text File contents
+ * @returns {{ entries: Array<Object>, errors: Array<{ offset: number, message: string }> }}
+ */
+const parseConcatenatedJson = (text) => {
+  const entries = [];
+  const errors = [];
+
+  let depth = 0;
+  let start = -1;
+  let inString = false;
+  let escaped = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inString) {
+      if (escaped) {
+        escaped = false;
+      } else if (char === '\\') {
+        escaped = true;
+      } else if (char === '"') {
+        inString = false;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inString = true;
+    } else if (char === '{') {
+      if (depth === 0) start = i;
+      depth++;
+    } else if (char === '}' && depth > 0) {
+      depth--;
+      if (depth === 0) {
+        const chunk = text.slice(start, i + 1);
+        try {
+          entries.push(JSON.parse(chunk));
+        } catch (error) {
+          errors.push({ offset: start, message: error.message });
+        }
+        start = -1;
+      }
+    }
+  }
+
+  if (depth > 0 && start !== -1) {
+    errors.push({ offset: start, message: 'Unterminated object at end of file' });
+  }
+
+  return { entries, errors };
+};
+
+/**
+ * Flatten log entries into one item per deleted passport
+ * Whole-post entries (from deletePassportPost) keep their post id and creator;
+ * single-passport entries only know who deleted them
+ * @param {Array<Object>} entries Parsed log entries
+ * @param {string} [source] File name the entries came from
+ * @returns {Array<Object>}
+ */
+const flattenLogEntries = (entries, source) => {
+  const items = [];
+
+  entries.forEach(entry => {
+    const data = entry && entry.passportData;
+    if (!data) return;
+
+    const base = {
+      source,
+      deletedAt: entry.deletedAt ? new Date(entry.deletedAt) : null,
+      deletedBy: entry.deletedBy || null
+    };
+
+    if (Array.isArray(data.passports)) {
+      data.passports.forEach(passport => {
+        items.push({
+          ...base,
+          postId: data._id || null,
+          createdBy: data.createdBy && (data.createdBy._id || data.createdBy),
+          passport
+        });
+      });
+    } else if (data.passportNumber) {
+      items.push({
+        ...base,
+        postId: null,
+        createdBy: null,
+        passport: data
+      });
+    }
+  });
+
+  return items;
+};
+
+module.exports = {
+  parseConcatenatedJson,
+  flattenLogEntries
+};
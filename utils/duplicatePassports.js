@@ -0,0 +1,125 @@
+const mongoose = require('mongoose');
+const PassportPost = require('../models/passportSchema');
+const User = require('../models/userSchema');
+
+// Supported values for DUPLICATE_PASSPORT_MODE
+const DUPLICATE_MODES = ['reject', 'warn'];
+
+/**
+ * Get the configured duplicate handling mode
+ * "reject" answers 409 with the conflicting entries, "warn" saves and returns warnings
+ * @returns {string}
+ */
+const getDuplicateMode = () => {
+  const mode = (process.env.DUPLICATE_PASSPORT_MODE || 'reject').trim().toLowerCase();
+  return DUPLICATE_MODES.includes(mode) ? mode : 'reject';
+};
+
+/**
+ * Normalize a passport number for comparison (ignores case and all whitespace)
+ * @param {string} passportNumber
+ * @returns {string}
+ */
+const normalizePassportNumber = (passportNumber) => PassportPost.toPassportNumberKey(passportNumber);
+
+const toObjectIds = (ids = []) =>
+  ids
+    .filter(id => id && mongoose.Types.ObjectId.isValid(id.toString()))
+    .map(id => new mongoose.Types.ObjectId(id.toString()));
+
+/**
+ * Find passport numbers that are repeated within the submitted entries or
+ * already exist in another passport entry
+ * @param {Array<Object>} passports Submitted passport entries
+ * @param {Object} [options]
+ * @param {Array<string>} [options.excludePassportIds] Passport entries to ignore (the ones being updated)
+ * @param {string} [options.excludePostId] Post whose entries are being replaced
+ * @returns {Promise<Array<Object>>} One item per duplicated passport number
+ */
+const findDuplicatePassports = async (passports, { excludePassportIds = [], excludePostId } = {}) => {
+  const submitted = {};
+
+  passports.forEach((passport, index) => {
+    const key = normalizePassportNumber(passport && passport.passportNumber);
+    if (!key) return;
+
+    if (!submitted[key]) {
+      submitted[key] = { passportNumber: passport.passportNumber, indexes: [] };
+    }
+    submitted[key].indexes.push(index);
+  });
+
+  const keys = Object.keys(submitted);
+  if (keys.length === 0) {
+    return [];
+  }
+
+  // Served by the passports.passportNumberKey index; run "npm run migrate:passport-number-keys"
+  // once so entries saved before the key existed are found too
+  const match = {
+    'passports.passportNumberKey': { $in: keys }
+  };
+
+  const excludedIds = toObjectIds(excludePassportIds);
+  if (excludedIds.length > 0) {
+    match['passports._id'] = { $nin: excludedIds };
+  }
+
+  const postMatch = { 'passports.passportNumberKey': { $in: keys } };
+  if (excludePostId && mongoose.Types.ObjectId.isValid(excludePostId.toString())) {
+    postMatch._id = { $ne: new mongoose.Types.ObjectId(excludePostId.toString()) };
+  }
+
+  const existing = await PassportPost.aggregate([
+    { $match: postMatch },
+    { $unwind: '$passports' },
+    { $match: match },
+    {
+      $lookup: {
+        from: User.collection.name,
+        localField: 'createdBy',
+        foreignField: '_id',
+        as: 'createdBy'
+      }
+    },
+    { $unwind: { path: '$createdBy', preserveNullAndEmptyArrays: true } },
+    {
+      $project: {
+        _id: 0,
+        passportId: '$passports._id',
+        postId: '$_id',
+        passportNumber: '$passports.passportNumber',
+        issuedCountry: '$passports.issuedCountry',
+        slipNo: '$passports.slipNo',
+        postDate: '$passports.postDate',
+        createdBy: {
+          _id: '$createdBy._id',
+          fullName: '$createdBy.fullName',
+          email: '$createdBy.email'
+        }
+      }
+    }
+  ]);
+
+  const conflictsByKey = {};
+  existing.forEach(entry => {
+    const key = normalizePassportNumber(entry.passportNumber);
+    (conflictsByKey[key] = conflictsByKey[key] || []).push(entry);
+  });
+
+  return keys
+    .map(key => ({
+      passportNumber: submitted[key].passportNumber,
+      indexes: submitted[key].indexes,
+      repeatedInRequest: submitted[key].indexes.length > 1,
+      conflicts: conflictsByKey[key] || []
+    }))
+    .filter(item => item.repeatedInRequest || item.conflicts.length > 0);
+};
+
+module.exports = {
+  DUPLICATE_MODES,
+  getDuplicateMode,
+  normalizePassportNumber,
+  findDuplicatePassports
+};
@@ -0,0 +1,216 @@
+const { findCountry } = require('./countries');
+
+const TD3_LINE_LENGTH = 44;
+
+// ICAO 9303 issuing state codes that are not ISO 3166 alpha-3 codes
+const ICAO_STATE_CODES = {
+  D: 'DEU',
+  GBD: 'GBR',
+  GBN: 'GBR',
+  GBO: 'GBR',
+  GBP: 'GBR',
+  GBS: 'GBR'
+};
+
+/**
+ * ICAO 9303 check digit: weights 7, 3, 1 over digits, letters (A=10 ... Z=35) and "<" (0)
+ * @param {string} value
+ * @returns {string} Single digit
+ */
+const checkDigit = (value) => {
+  const weights = [7, 3, 1];
+  let total = 0;
+
+  for (let i = 0; i < value.length; i++) {
+    const char = value[i];
+    let number = 0;
+
+    if (char >= '0' && char <= '9') {
+      number = char.charCodeAt(0) - 48;
+    } else if (char >= 'A' && char <= 'Z') {
+      number = char.charCodeAt(0) - 55;
+    }
+
+    total += number * weights[i % 3];
+  }
+
+  return String(total % 10);
+};
+
+/**
+ * Split MRZ text into the two TD3 lines
+ * Accepts line breaks or one 88 character string; spaces and case are ignored
+ * and the "«" often produced by OCR is read as "<"
+ * @param {string} text
+ * @returns {Array<string>|null} Two 44 character lines, or null when the text is not TD3
+ */
+const splitTd3Lines = (text) => {
+  const cleaned = String(text || '')
+    .toUpperCase()
+    .replace(/«/g, '<')
+    .split(/\r?\n/)
+    .map(line => line.replace(/\s+/g, ''))
+    .filter(Boolean);
+
+  const lines = cleaned.length === 1 && cleaned[0].length === TD3_LINE_LENGTH * 2
+    ? [cleaned[0].slice(0, TD3_LINE_LENGTH), cleaned[0].slice(TD3_LINE_LENGTH)]
+    : cleaned;
+
+  if (lines.length !== 2 || lines.some(line => line.length !== TD3_LINE_LENGTH)) {
+    return null;
+  }
+
+  return lines;
+};
+
+// Drop the "<" fillers at the end of a field
+const trimFiller = value => value.replace(/<+$/, '');
+
+// Names use "<<" between surname and given names and "<" between words
+const parseName = (value) => {
+  const [surname, ...rest] = trimFiller(value).split('<<');
+  return {
+    surname: surname.replace(/</g, ' ').trim(),
+    givenNames: rest.join(' ').replace(/</g, ' ').replace(/\s+/g, ' ').trim()
+  };
+};
+
+/**
+ * Read a YYMMDD date
+ * @param {string} value
+ * @param {string} kind "birth" dates are never in the future, "expiry" dates at most 20 years ahead
+ * @returns {string|null} ISO date (YYYY-MM-DD), or null when the date does not exist
+ */
+const parseMrzDate = (value, kind) => {
+  if (!/^\d{6}$/.test(value)) return null;
+
+  const yy = Number(value.slice(0, 2));
+  const month = Number(value.slice(2, 4));
+  const day = Number(value.slice(4, 6));
+  const currentYear = new Date().getUTCFullYear();
+
+  let year = 2000 + yy;
+  if (kind === 'birth' && year > currentYear) year -= 100;
+  if (kind === 'expiry' && year > currentYear + 20) year -= 100;
+
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+
+  return date.toISOString().split('T')[0];
+};
+
+// Map an MRZ state code to a country from the reference list
+const findMrzCountry = (code) => {
+  const trimmed = trimFiller(code);
+  return findCountry(ICAO_STATE_CODES[trimmed] || trimmed);
+};
+
+/**
+ * Parse a TD3 (passport) MRZ and verify its check digits
+ * @param {string} text The two MRZ lines
+ * @returns {{ fields: Object|null, errors: Array<Object>, warnings: Array<Object> }}
+ *   errors have field, message and, for check digits, expected and found
+ */
+const parseTd3 = (text) => {
+  const lines = splitTd3Lines(text);
+
+  if (!lines) {
+    return {
+      fields: null,
+      errors: [{ field: 'mrz', message: `MRZ must be two lines of ${TD3_LINE_LENGTH} characters (passport format TD3)` }],
+      warnings: []
+    };
+  }
+
+  const [line1, line2] = lines;
+  const errors = [];
+  const warnings = [];
+
+  if (!/^[A-Z0-9<]+$/.test(line1 + line2)) {
+    errors.push({ field: 'mrz', message: 'MRZ may only contain A-Z, 0-9 and <' });
+  }
+
+  if (line1[0] !== 'P') {
+    errors.push({ field: 'documentType', message: 'Only passports (MRZ starting with "P") are supported' });
+  }
+
+  // Check digit fields: [field, value, check digit position in line 2]
+  const checks = [
+    ['passportNumber', line2.slice(0, 9), 9],
+    ['dateOfBirth', line2.slice(13, 19), 19],
+    ['expiryDate', line2.slice(21, 27), 27]
+  ];
+
+  // An empty personal number may use "<" instead of 0 as its check digit
+  const personalNumber = line2.slice(28, 42);
+  if (trimFiller(personalNumber) || line2[42] !== '<') {
+    checks.push(['personalNumber', personalNumber, 42]);
+  }
+
+  checks.push(['composite', line2.slice(0, 10) + line2.slice(13, 20) + line2.slice(21, 43), 43]);
+
+  checks.forEach(([field, value, position]) => {
+    const expected = checkDigit(value);
+    const found = line2[position];
+
+    if (found !== expected) {
+      errors.push({
+        field,
+        message: `Check digit for ${field} is ${found}, expected ${expected}`,
+        expected,
+        found,
+        line: 2,
+        position: position + 1
+      });
+    }
+  });
+
+  const issuingCountry = findMrzCountry(line1.slice(2, 5));
+  const nationality = findMrzCountry(line2.slice(10, 13));
+  const dateOfBirth = parseMrzDate(line2.slice(13, 19), 'birth');
+  const expiryDate = parseMrzDate(line2.slice(21, 27), 'expiry');
+  const sex = { M: 'M', F: 'F' }[line2[20]] || 'X';
+
+  if (!issuingCountry) {
+    warnings.push({ field: 'issuedCountry', message: `Issuing state ${trimFiller(line1.slice(2, 5))} is not in the country list` });
+  }
+
+  if (!dateOfBirth) {
+    errors.push({ field: 'dateOfBirth', message: `${line2.slice(13, 19)} is not a valid date` });
+  }
+
+  if (!expiryDate) {
+    errors.push({ field: 'expiryDate', message: `${line2.slice(21, 27)} is not a valid date` });
+  } else if (expiryDate < new Date().toISOString().split('T')[0]) {
+    warnings.push({ field: 'expiryDate', message: `Passport expired on ${expiryDate}` });
+  }
+
+  const name = parseName(line1.slice(5));
+
+  return {
+    fields: {
+      documentCode: trimFiller(line1.slice(0, 2)),
+      issuingState: trimFiller(line1.slice(2, 5)),
+      passportNumber: trimFiller(line2.slice(0, 9)),
+      issuedCountry: issuingCountry ? issuingCountry.name : null,
+      issuedCountryCode: issuingCountry ? issuingCountry.alpha3 : null,
+      surname: name.surname,
+      givenNames: name.givenNames,
+      nationality: nationality ? nationality.name : trimFiller(line2.slice(10, 13)),
+      nationalityCode: nationality ? nationality.alpha3 : null,
+      dateOfBirth,
+      sex,
+      expiryDate,
+      personalNumber: trimFiller(personalNumber) || null
+    },
+    errors,
+    warnings
+  };
+};
+
+module.exports = {
+  checkDigit,
+  splitTd3Lines,
+  parseMrzDate,
+  parseTd3
+};
@@ -0,0 +1,141 @@
+const ExcelJS = require('exceljs');
+
+// Columns of the flattened passport export, in order
+const EXPORT_COLUMNS = [
+  { header: 'Passport Number', key: 'passportNumber', width: 18 },
+  { header: 'Issued Country', key: 'issuedCountry', width: 16 },
+  { header: 'Country Code', key: 'issuedCountryCode', width: 12 },
+  { header: 'City', key: 'city', width: 24 },
+  { header: 'Agents', key: 'agents', width: 30 },
+  { header: 'Slip No', key: 'slipNo', width: 12 },
+  { header: 'Tags', key: 'tags', width: 24 },
+  { header: 'Link', key: 'link', width: 50 },
+  { header: 'Post Date', key: 'postDate', width: 22 },
+  { header: 'Other Details', key: 'otherDetails', width: 30 },
+  { header: 'Status', key: 'status', width: 18 },
+  { header: 'Created By', key: 'createdByName', width: 20 },
+  { header: 'Creator Email', key: 'createdByEmail', width: 28 },
+  { header: 'Passport ID', key: 'passportId', width: 26 },
+  { header: 'Post ID', key: 'postId', width: 26 }
+];
+
+const EXPORT_FORMATS = ['csv', 'xlsx'];
+
+/**
+ * Escape a value for a CSV cell
+ * Values starting with a formula character are prefixed so spreadsheets treat them as text
+ * @param {*} value
+ * @returns {string}
+ */
+const toCsvCell = (value) => {
+  if (value === undefined || value === null) return '';
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  if (/[",\r\n]/.test(text)) {
+    text = `"${text.replace(/"/g, '""')}"`;
+  }
+
+  return text;
+};
+
+// Build one CSV line (with line break) from a flattened passport row
+const toCsvLine = (row) =>
+  `${EXPORT_COLUMNS.map(column => toCsvCell(row[column.key])).join(',')}\r\n`;
+
+// Header line of the CSV export
+const csvHeader = () =>
+  `${EXPORT_COLUMNS.map(column => toCsvCell(column.header)).join(',')}\r\n`;
+
+// Error for an export the client stopped downloading
+const clientGoneError = () => new Error('Client closed the connection during the export');
+
+/**
+ * Wait until the response accepts more data
+ * Rejects when the response closes or fails first, so the export stops and its cursor is closed
+ * @param {Object} res Express response object
+ * @returns {Promise<void>}
+ */
+const waitForDrain = (res) => new Promise((resolve, reject) => {
+  const settle = (error) => {
+    res.off('drain', onDrain);
+    res.off('close', onClose);
+    res.off('error', onError);
+    if (error) {
+      reject(error);
+    } else {
+      resolve();
+    }
+  };
+  const onDrain = () => settle();
+  const onClose = () => settle(clientGoneError());
+  const onError = error => settle(error);
+
+  if (res.destroyed) {
+    settle(clientGoneError());
+    return;
+  }
+
+  res.once('drain', onDrain);
+  res.once('close', onClose);
+  res.once('error', onError);
+});
+
+/**
+ * Write rows from an async iterable to the response in the requested format
+ * @param {Object} res Express response object
+ * @param {AsyncIterable<Object>} rows Flattened passport rows
+ * @param {string} format csv | xlsx
+ * @param {string} filename File name without extension
+ * @throws {Error} When the client disconnects before the export is complete
+ */
+const streamExport = async (res, rows, format, filename) => {
+  if (format === 'xlsx') {
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.xlsx"`);
+
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: false });
+    const worksheet = workbook.addWorksheet('Passports');
+    worksheet.columns = EXPORT_COLUMNS;
+
+    for await (const row of rows) {
+      if (res.destroyed) {
+        throw clientGoneError();
+      }
+      worksheet.addRow(row).commit();
+    }
+
+    worksheet.commit();
+    await workbook.commit();
+    return;
+  }
+
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}.csv"`);
+
+  // BOM so Excel opens the file as UTF-8
+  res.write(`\uFEFF${csvHeader()}`);
+
+  for await (const row of rows) {
+    if (res.destroyed) {
+      throw clientGoneError();
+    }
+    if (!res.write(toCsvLine(row))) {
+      await waitForDrain(res);
+    }
+  }
+
+  res.end();
+};
+
+module.exports = {
+  EXPORT_COLUMNS,
+  EXPORT_FORMATS,
+  toCsvCell,
+  toCsvLine,
+  streamExport
+};
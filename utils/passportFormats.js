@@ -0,0 +1,83 @@
+const PassportFormat = require('../models/passportFormatSchema');
+const PassportPost = require('../models/passportSchema');
+const { COUNTRIES } = require('./countries');
+
+// Display name of a country code for error messages
+const countryName = (code) => {
+  const country = COUNTRIES.find(item => item.alpha3 === code);
+  return country ? country.name : code;
+};
+
+/**
+ * Check a passport number against one country's format rule
+ * The number is matched in its normalized form (upper case, no whitespace), the same form
+ * duplicate checks use, so "ab 1234567" is checked as "AB1234567"
+ * @param {string} passportNumber
+ * @param {Object} rule PassportFormat document
+ * @returns {string|null} Message for the first rule that fails, or null when valid
+ */
+const checkPassportNumberFormat = (passportNumber, rule) => {
+  const value = PassportPost.toPassportNumberKey(passportNumber);
+  const country = countryName(rule.countryCode);
+  const example = rule.example ? ` (e.g. ${rule.example})` : '';
+
+  if (rule.minLength && value.length < rule.minLength) {
+    return rule.minLength === rule.maxLength
+      ? `${country} passport numbers have exactly ${rule.minLength} characters${example}`
+      : `${country} passport numbers have at least ${rule.minLength} characters${example}`;
+  }
+
+  if (rule.maxLength && value.length > rule.maxLength) {
+    return rule.minLength === rule.maxLength
+      ? `${country} passport numbers have exactly ${rule.maxLength} characters${example}`
+      : `${country} passport numbers have at most ${rule.maxLength} characters${example}`;
+  }
+
+  if (rule.allowedCharacters && !new RegExp(`^[${rule.allowedCharacters}]*$`).test(value)) {
+    return `${country} passport numbers may only contain ${rule.allowedCharacters}${example}`;
+  }
+
+  if (rule.pattern && !new RegExp(`^(?:${rule.pattern})$`).test(value)) {
+    return `Passport number does not match the ${country} format${example}`;
+  }
+
+  return null;
+};
+
+/**
+ * Check submitted passport numbers against the rule of their issuing country
+ * Run after normalizePassportCountries so issuedCountryCode is set; countries without a
+ * rule are not checked. A stored number and country that did not change are not re-checked
+ * @param {Array<Object>} passports Submitted passport entries
+ * @param {Object} [options]
+ * @param {Object} [options.existingEntries] Stored { passportNumber, issuedCountryCode } by passport _id
+ * @returns {Promise<{ errors: Array<Object> }>}
+ */
+const checkPassportFormats = async (passports, { existingEntries = {} } = {}) => {
+  const rules = await PassportFormat.getRulesByCountry();
+  const errors = [];
+
+  passports.forEach((passport, index) => {
+    if (!passport || !passport.passportNumber) return;
+
+    const rule = rules[passport.issuedCountryCode];
+    if (!rule) return;
+
+    const stored = passport._id && existingEntries[passport._id.toString()];
+    if (stored && stored.passportNumber === passport.passportNumber && stored.issuedCountryCode === passport.issuedCountryCode) {
+      return;
+    }
+
+    const message = checkPassportNumberFormat(passport.passportNumber, rule);
+    if (message) {
+      errors.push({ index, field: 'passportNumber', message });
+    }
+  });
+
+  return { errors };
+};
+
+module.exports = {
+  checkPassportNumberFormat,
+  checkPassportFormats
+};
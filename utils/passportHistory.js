@@ -0,0 +1,185 @@
+const PassportRevision = require('../models/passportRevisionSchema');
+
+// Passport fields whose changes are recorded in the history
+const TRACKED_FIELDS = [
+  'passportNumber',
+  'link',
+  'city',
+  'agentChain',
+  'legacyCity',
+  'slipNo',
+  'issuedCountry',
+  'postDate',
+  'otherDetails',
+  'tags'
+];
+
+const toPlain = (passport) =>
+  (passport && typeof passport.toObject === 'function' ? passport.toObject() : passport || {});
+
+// Normalize a value so equal values compare equal (dates, ObjectIds, arrays, empty strings)
+const comparable = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return value.length > 0 ? value.map(String).join(',') : null;
+  return String(value);
+};
+
+/**
+ * Compare two versions of a passport entry field by field
+ * @param {Object} before Passport before the change (empty for a new entry)
+ * @param {Object} after Passport after the change (empty for a removed entry)
+ * @returns {Array<{ field: string, before: *, after: * }>}
+ */
+const diffPassport = (before, after) => {
+  const previous = toPlain(before);
+  const next = toPlain(after);
+
+  return TRACKED_FIELDS
+    .filter(field => comparable(previous[field]) !== comparable(next[field]))
+    .map(field => ({
+      field,
+      before: previous[field] === undefined ? null : previous[field],
+      after: next[field] === undefined ? null : next[field]
+    }));
+};
+
+/**
+ * Save revisions without failing the request that triggered them
+ * @param {Array<Object>} revisions PassportRevision documents to insert
+ */
+const saveRevisions = async (revisions) => {
+  if (revisions.length === 0) return;
+
+  try {
+    await PassportRevision.insertMany(revisions);
+  } catch (error) {
+    console.error('Error recording passport history:', error);
+  }
+};
+
+/**
+ * Record one revision per passport for a single action
+ * @param {Object} post Post the passports belong to
+ * @param {Array<Object>} passports Passport entries affected
+ * @param {string} action create | delete | restore
+ * @param {string} userId User making the change
+ */
+const recordPassportAction = async (post, passports, action, userId) => {
+  const owner = post.createdBy._id || post.createdBy;
+
+  await saveRevisions(passports.map(passport => ({
+    passportId: passport._id,
+    postId: post._id,
+    owner,
+    action,
+    changes: action === 'create' ? diffPassport({}, passport) : [],
+    changedBy: userId
+  })));
+};
+
+/**
+ * Record that passports moved from one post to another
+ * The revision is filed under the new post and its owner, so access checks follow the entry
+ * @param {Object} fromPost Post the passports were taken from
+ * @param {Object} toPost Post the passports were moved to
+ * @param {Array<Object>} passports Passport entries moved
+ * @param {string} userId User making the change
+ */
+const recordPassportMove = async (fromPost, toPost, passports, userId) => {
+  const owner = toPost.createdBy._id || toPost.createdBy;
+
+  await saveRevisions(passports.map(passport => ({
+    passportId: passport._id,
+    postId: toPost._id,
+    owner,
+    action: 'move',
+    changes: [{ field: 'postId', before: fromPost._id, after: toPost._id }],
+    changedBy: userId
+  })));
+};
+
+/**
+ * Record revisions for every passport that changed between two versions of a post
+ * New entries are recorded as "create", missing entries as "delete"
+ * @param {Object} post Post after the change
+ * @param {Array<Object>} beforePassports Passport entries before the change
+ * @param {Array<Object>} afterPassports Passport entries after the change
+ * @param {string} userId User making the change
+ */
+const recordPostChanges = async (post, beforePassports, afterPassports, userId) => {
+  const owner = post.createdBy._id || post.createdBy;
+  const beforeById = new Map(beforePassports.map(p => [p._id.toString(), toPlain(p)]));
+  const afterIds = new Set();
+  const revisions = [];
+
+  afterPassports.forEach(passport => {
+    const id = passport._id.toString();
+    afterIds.add(id);
+
+    const previous = beforeById.get(id);
+    const changes = diffPassport(previous || {}, passport);
+
+    if (!previous || changes.length > 0) {
+      revisions.push({
+        passportId: passport._id,
+        postId: post._id,
+        owner,
+        action: previous ? 'update' : 'create',
+        changes,
+        changedBy: userId
+      });
+    }
+  });
+
+  beforeById.forEach((passport, id) => {
+    if (!afterIds.has(id)) {
+      revisions.push({
+        passportId: passport._id,
+        postId: post._id,
+        owner,
+        action: 'delete',
+        changes: [],
+        changedBy: userId
+      });
+    }
+  });
+
+  await saveRevisions(revisions);
+};
+
+/**
+ * Work out the field values a passport had right after a given revision by
+ * undoing every newer revision on top of the current values
+ * @param {Object} current Current passport entry
+ * @param {Array<Object>} newerRevisions Revisions made after the target, newest first
+ * @returns {Object} Tracked field values as of the target revision
+ */
+const valuesAsOfRevision = (current, newerRevisions) => {
+  const plain = toPlain(current);
+  const values = {};
+
+  TRACKED_FIELDS.forEach(field => {
+    values[field] = plain[field] === undefined ? null : plain[field];
+  });
+
+  newerRevisions.forEach(revision => {
+    revision.changes.forEach(change => {
+      if (TRACKED_FIELDS.includes(change.field)) {
+        values[change.field] = change.before;
+      }
+    });
+  });
+
+  return values;
+};
+
+module.exports = {
+  TRACKED_FIELDS,
+  diffPassport,
+  saveRevisions,
+  recordPassportAction,
+  recordPassportMove,
+  recordPostChanges,
+  valuesAsOfRevision
+};
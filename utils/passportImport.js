@@ -0,0 +1,121 @@
+const path = require('path');
+const { Readable } = require('stream');
+const ExcelJS = require('exceljs');
+const ErrorResponse = require('./errorResponse');
+
+const MAX_IMPORT_ROWS = 1000;
+
+// Normalized header names accepted for each passport field
+// Export headers ("Passport Number", "Slip No", ...) are included so exports can be re-imported
+const COLUMN_ALIASES = {
+  passportNumber: ['passportnumber', 'passportno', 'passport'],
+  issuedCountry: ['issuedcountry', 'country'],
+  city: ['city'],
+  slipNo: ['slipno', 'slipnumber', 'slip'],
+  link: ['link', 'url'],
+  otherDetails: ['otherdetails', 'details', 'notes']
+};
+
+const REQUIRED_COLUMNS = ['passportNumber', 'link', 'issuedCountry'];
+
+const normalizeHeader = header => String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Read a cell as trimmed text, undoing the formula guard added by the export
+const cellText = (cell) => {
+  const value = cell.value;
+
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+
+  return String(cell.text || '').trim().replace(/^'(?=[=+\-@])/, '');
+};
+
+const loadWorksheet = async (file) => {
+  const extension = path.extname(file.originalname || '').toLowerCase();
+  const workbook = new ExcelJS.Workbook();
+
+  try {
+    if (extension === '.xlsx') {
+      await workbook.xlsx.load(file.buffer);
+      return workbook.worksheets[0];
+    }
+
+    // Keep every CSV value as text so slip numbers like "006" are not turned into numbers
+    return await workbook.csv.read(Readable.from([file.buffer]), { map: value => value });
+  } catch (error) {
+    throw new ErrorResponse(`Could not read uploaded file: ${error.message}`, 400);
+  }
+};
+
+/**
+ * Read an uploaded CSV/XLSX file into passport entries
+ * The first row holds the column headers; empty rows are skipped
+ * @param {Object} file multer file (memory storage)
+ * @returns {Promise<{ columns: Object, ignoredColumns: Array<string>, rows: Array<{ row: number, passport: Object }> }>}
+ */
+const readPassportSpreadsheet = async (file) => {
+  const worksheet = await loadWorksheet(file);
+
+  if (!worksheet || worksheet.rowCount < 2) {
+    throw new ErrorResponse('Uploaded file has no data rows', 400);
+  }
+
+  // Map column numbers to passport fields using the header row
+  const columns = {};
+  const ignoredColumns = [];
+
+  worksheet.getRow(1).eachCell((cell, columnNumber) => {
+    const header = cellText(cell);
+    const normalized = normalizeHeader(header);
+    const field = Object.keys(COLUMN_ALIASES).find(key => COLUMN_ALIASES[key].includes(normalized));
+
+    if (field && !Object.values(columns).includes(field)) {
+      columns[columnNumber] = field;
+    } else if (header) {
+      ignoredColumns.push(header);
+    }
+  });
+
+  const missing = REQUIRED_COLUMNS.filter(field => !Object.values(columns).includes(field));
+  if (missing.length > 0) {
+    throw new ErrorResponse(`Missing required columns: ${missing.join(', ')}`, 400);
+  }
+
+  const rows = [];
+
+  worksheet.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) return;
+
+    const passport = {};
+    Object.entries(columns).forEach(([columnNumber, field]) => {
+      const text = cellText(row.getCell(Number(columnNumber)));
+      if (text) {
+        passport[field] = text;
+      }
+    });
+
+    if (Object.keys(passport).length > 0) {
+      rows.push({ row: rowNumber, passport });
+    }
+  });
+
+  if (rows.length === 0) {
+    throw new ErrorResponse('Uploaded file has no data rows', 400);
+  }
+
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw new ErrorResponse(`Uploaded file has ${rows.length} rows, the maximum is ${MAX_IMPORT_ROWS}`, 400);
+  }
+
+  return {
+    columns: Object.values(columns),
+    ignoredColumns,
+    rows
+  };
+};
+
+module.exports = {
+  MAX_IMPORT_ROWS,
+  COLUMN_ALIASES,
+  readPassportSpreadsheet
+};
@@ -0,0 +1,255 @@
+const mongoose = require('mongoose');
+const PassportPost = require('../models/passportSchema');
+const LinkDomain = require('../models/linkDomainSchema');
+
+// Supported values for DUPLICATE_LINK_MODE
+const DUPLICATE_LINK_MODES = ['reject', 'flag'];
+
+// Known appointment providers and how their links are laid out
+// wafid.com: /appointment/<reference>/ or /appointment/<reference>/pay/
+const LINK_PROVIDERS = [
+  {
+    provider: 'wafid',
+    domains: ['wafid.com'],
+    pattern: /^\/appointment\/([A-Za-z0-9_-]+)(?:\/([A-Za-z-]+))?\/?$/
+  }
+];
+
+// Query parameters dropped during normalization
+const TRACKING_PARAMS = /^(utm_[a-z]+|fbclid|gclid)$/i;
+
+/**
+ * Get the configured duplicate appointment reference mode
+ * "reject" answers 409, "flag" saves the link and marks it for review
+ * @returns {string}
+ */
+const getDuplicateLinkMode = () => {
+  const mode = (process.env.DUPLICATE_LINK_MODE || 'flag').trim().toLowerCase();
+  return DUPLICATE_LINK_MODES.includes(mode) ? mode : 'flag';
+};
+
+// Check whether a host is a domain or a subdomain of it
+const hostMatches = (host, domain) => host === domain || host.endsWith(`.${domain}`);
+
+/**
+ * Normalize a link and split it into structured parts
+ * @param {string} link Link as submitted
+ * @returns {{ link: string, linkInfo: Object }}
+ * @throws {Error} When the link is not a valid http(s) URL
+ */
+const parseLink = (link) => {
+  let url;
+  try {
+    url = new URL(String(link).trim());
+  } catch (error) {
+    throw new Error('Must provide a valid URL');
+  }
+
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw new Error('Link must start with http or https');
+  }
+
+  // URL already lowercases scheme and host and drops default ports
+  url.hash = '';
+  url.pathname = url.pathname.replace(/\/{2,}/g, '/');
+  [...url.searchParams.keys()]
+    .filter(key => TRACKING_PARAMS.test(key))
+    .forEach(key => url.searchParams.delete(key));
+
+  const host = url.hostname;
+  const linkInfo = {
+    provider: host.replace(/^www\./, ''),
+    host,
+    appointmentRef: null,
+    linkType: 'other'
+  };
+
+  const provider = LINK_PROVIDERS.find(item => item.domains.some(domain => hostMatches(host, domain)));
+
+  if (provider) {
+    linkInfo.provider = provider.provider;
+
+    const match = provider.pattern.exec(url.pathname);
+    if (match) {
+      linkInfo.appointmentRef = match[1];
+      linkInfo.linkType = match[2] ? match[2].toLowerCase() : 'appointment';
+
+      // Canonical form always ends with a slash
+      if (!url.pathname.endsWith('/')) {
+        url.pathname = `${url.pathname}/`;
+      }
+    }
+  }
+
+  return { link: url.toString(), linkInfo };
+};
+
+// Normalize a stored link for comparison, keeping it as is when it cannot be parsed
+const normalizeStoredLink = (link) => {
+  try {
+    return parseLink(link).link;
+  } catch (error) {
+    return link;
+  }
+};
+
+/**
+ * Check a host against the admin allowlist
+ * An empty allowlist allows every domain
+ * @param {string} host
+ * @param {Array<string>} allowedDomains
+ * @returns {boolean}
+ */
+const isDomainAllowed = (host, allowedDomains) =>
+  allowedDomains.length === 0 || allowedDomains.some(domain => hostMatches(host, domain));
+
+/**
+ * Find appointment references that repeat within the entries or are already
+ * attached to another passport
+ * @param {Array<Object>} passports Entries with linkInfo set by parseLink
+ * @param {Object} [options]
+ * @param {Array<string>} [options.excludePassportIds] Passport entries to ignore (the ones being updated)
+ * @param {string} [options.excludePostId] Post whose entries are being replaced
+ * @returns {Promise<Array<Object>>} One item per repeated reference
+ */
+const findDuplicateAppointmentRefs = async (passports, { excludePassportIds = [], excludePostId } = {}) => {
+  const submitted = {};
+
+  passports.forEach((passport, index) => {
+    const linkInfo = passport && passport.linkInfo;
+    if (!linkInfo || !linkInfo.appointmentRef) return;
+
+    // References are only unique within a provider
+    const key = `${linkInfo.provider}:${linkInfo.appointmentRef}`;
+    if (!submitted[key]) {
+      submitted[key] = { provider: linkInfo.provider, appointmentRef: linkInfo.appointmentRef, indexes: [] };
+    }
+    submitted[key].indexes.push(index);
+  });
+
+  const keys = Object.keys(submitted);
+  if (keys.length === 0) {
+    return [];
+  }
+
+  // Served by the passports.linkInfo.appointmentRef index; run "npm run migrate:link-info"
+  // once so entries saved before linkInfo existed are found too
+  const refsByProvider = {};
+  keys.forEach(key => {
+    const { provider, appointmentRef } = submitted[key];
+    (refsByProvider[provider] = refsByProvider[provider] || []).push(appointmentRef);
+  });
+  const refConditions = Object.keys(refsByProvider).map(provider => ({
+    'passports.linkInfo.provider': provider,
+    'passports.linkInfo.appointmentRef': { $in: refsByProvider[provider] }
+  }));
+
+  const postMatch = { $or: refConditions };
+  if (excludePostId && mongoose.Types.ObjectId.isValid(excludePostId.toString())) {
+    postMatch._id = { $ne: new mongoose.Types.ObjectId(excludePostId.toString()) };
+  }
+
+  const match = { $or: refConditions };
+  const excludedIds = excludePassportIds
+    .filter(id => id && mongoose.Types.ObjectId.isValid(id.toString()))
+    .map(id => new mongoose.Types.ObjectId(id.toString()));
+  if (excludedIds.length > 0) {
+    match['passports._id'] = { $nin: excludedIds };
+  }
+
+  const existing = await PassportPost.aggregate([
+    { $match: postMatch },
+    { $unwind: '$passports' },
+    { $match: match },
+    {
+      $project: {
+        _id: 0,
+        passportId: '$passports._id',
+        postId: '$_id',
+        passportNumber: '$passports.passportNumber',
+        link: '$passports.link',
+        provider: '$passports.linkInfo.provider',
+        appointmentRef: '$passports.linkInfo.appointmentRef',
+        createdBy: 1
+      }
+    }
+  ]);
+
+  const conflictsByKey = {};
+  existing.forEach(({ provider, appointmentRef, ...entry }) => {
+    const key = `${provider}:${appointmentRef}`;
+    (conflictsByKey[key] = conflictsByKey[key] || []).push(entry);
+  });
+
+  return keys
+    .map(key => ({
+      appointmentRef: submitted[key].appointmentRef,
+      indexes: submitted[key].indexes,
+      repeatedInRequest: submitted[key].indexes.length > 1,
+      conflicts: conflictsByKey[key] || []
+    }))
+    .filter(item => item.repeatedInRequest || item.conflicts.length > 0);
+};
+
+/**
+ * Normalize and check the links of submitted passport entries
+ * Links that did not change keep working even if their domain was removed from the allowlist
+ * @param {Array<Object>} passports Submitted passport entries
+ * @param {Object} [options]
+ * @param {Object} [options.existingLinks] Stored link by passport _id
+ * @param {Array<string>} [options.excludePassportIds] Passport entries to ignore in the reference check
+ * @param {string} [options.excludePostId] Post whose entries are being replaced
+ * @returns {Promise<{ passports: Array<Object>, errors: Array<Object>, duplicates: Array<Object> }>}
+ */
+const checkPassportLinks = async (passports, { existingLinks = {}, excludePassportIds = [], excludePostId } = {}) => {
+  const allowedDomains = await LinkDomain.getAllowedDomains();
+  const errors = [];
+
+  const prepared = passports.map((passport, index) => {
+    if (!passport || !passport.link) return passport;
+
+    let parsed;
+    try {
+      parsed = parseLink(passport.link);
+    } catch (error) {
+      errors.push({ index, field: 'link', message: error.message });
+      return passport;
+    }
+
+    const storedLink = passport._id && existingLinks[passport._id.toString()];
+    const unchanged = Boolean(storedLink) && normalizeStoredLink(storedLink) === parsed.link;
+
+    if (!unchanged && !isDomainAllowed(parsed.linkInfo.host, allowedDomains)) {
+      errors.push({ index, field: 'link', message: `Links to ${parsed.linkInfo.host} are not allowed` });
+    }
+
+    return { ...passport, link: parsed.link, linkInfo: parsed.linkInfo };
+  });
+
+  const duplicates = await findDuplicateAppointmentRefs(prepared, { excludePassportIds, excludePostId });
+
+  // Flag every entry whose reference is used elsewhere; repeats within the request after the first
+  duplicates.forEach(duplicate => {
+    duplicate.indexes.forEach((index, position) => {
+      if (duplicate.conflicts.length === 0 && position === 0) return;
+
+      prepared[index].linkInfo = {
+        ...prepared[index].linkInfo,
+        flagged: true,
+        flagReason: 'Appointment reference is already attached to another passport'
+      };
+    });
+  });
+
+  return { passports: prepared, errors, duplicates };
+};
+
+module.exports = {
+  DUPLICATE_LINK_MODES,
+  LINK_PROVIDERS,
+  getDuplicateLinkMode,
+  parseLink,
+  isDomainAllowed,
+  findDuplicateAppointmentRefs,
+  checkPassportLinks
+};
@@ -0,0 +1,154 @@
+const mongoose = require('mongoose');
+const ErrorResponse = require('./errorResponse');
+const User = require('../models/userSchema');
+
+// Actions on passport posts and the passports inside them
+const POLICY_ACTIONS = ['read', 'create', 'update', 'delete', 'overrideFormat'];
+
+// any: every post, own: only posts the user created, none: not allowed
+const POLICY_SCOPES = ['any', 'own', 'none'];
+
+// Roles a user can have; PASSPORT_POLICY entries for other roles are ignored
+const POLICY_ROLES = User.schema.path('role').enumValues;
+
+// Who may do what, by user role
+const DEFAULT_POLICY = {
+  admin: { read: 'any', create: 'own', update: 'any', delete: 'any', overrideFormat: 'any' },
+  user: { read: 'own', create: 'own', update: 'own', delete: 'own', overrideFormat: 'none' }
+};
+
+// Verbs used in "Not authorized to ..." messages
+const ACTION_VERBS = {
+  read: 'access',
+  create: 'create',
+  update: 'update',
+  delete: 'delete',
+  overrideFormat: 'override the format rules of'
+};
+
+let cachedSource;
+let cachedPolicy;
+
+/**
+ * Get the policy: DEFAULT_POLICY with the PASSPORT_POLICY environment variable merged in
+ * PASSPORT_POLICY is JSON by role, e.g. {"user":{"read":"any","delete":"none"}}
+ * Roles and actions not listed keep their defaults; roles users cannot have are ignored
+ * @returns {Object}
+ * @throws {Error} When PASSPORT_POLICY is not valid, so a broken policy never loosens access
+ */
+const getPolicy = () => {
+  const source = process.env.PASSPORT_POLICY || '';
+  if (cachedPolicy && source === cachedSource) {
+    return cachedPolicy;
+  }
+
+  let overrides = {};
+  if (source.trim()) {
+    try {
+      overrides = JSON.parse(source);
+    } catch (error) {
+      throw new Error(`PASSPORT_POLICY is not valid JSON: ${error.message}`);
+    }
+  }
+
+  const policy = {};
+  Object.keys(DEFAULT_POLICY).forEach(role => {
+    policy[role] = { ...DEFAULT_POLICY[role] };
+  });
+
+  Object.entries(overrides).forEach(([role, rules]) => {
+    if (!POLICY_ROLES.includes(role)) {
+      console.warn(`PASSPORT_POLICY: ignoring unknown role "${role}"`);
+      return;
+    }
+    policy[role] = policy[role] || {};
+
+    Object.entries(rules || {}).forEach(([action, scope]) => {
+      if (!POLICY_ACTIONS.includes(action)) {
+        throw new Error(`PASSPORT_POLICY: unknown action "${action}" for role "${role}"`);
+      }
+      if (!POLICY_SCOPES.includes(scope)) {
+        throw new Error(`PASSPORT_POLICY: scope for ${role}.${action} must be one of ${POLICY_SCOPES.join(', ')}`);
+      }
+      policy[role][action] = scope;
+    });
+  });
+
+  cachedSource = source;
+  cachedPolicy = policy;
+  return policy;
+};
+
+/**
+ * Scope a user has for an action
+ * @param {Object} user req.user
+ * @param {string} action One of POLICY_ACTIONS
+ * @returns {string} any | own | none
+ */
+const getScope = (user, action) => {
+  const rules = user && getPolicy()[user.role];
+  return (rules && rules[action]) || 'none';
+};
+
+// Id of the user owning a post, whether createdBy is populated or not
+const ownerIdOf = owner => String(owner && owner._id ? owner._id : owner);
+
+/**
+ * Check whether a user may perform an action
+ * @param {Object} user req.user
+ * @param {string} action One of POLICY_ACTIONS
+ * @param {*} [owner] Owner of the post (createdBy, populated or not); omit for actions
+ *   without a target, which are allowed unless the scope is "none"
+ * @returns {boolean}
+ */
+const can = (user, action, owner) => {
+  const scope = getScope(user, action);
+
+  if (scope === 'any') return true;
+  if (scope === 'none') return false;
+  return owner === undefined || ownerIdOf(owner) === String(user.id);
+};
+
+/**
+ * Same as can, as an ErrorResponse to pass to next()
+ * @param {Object} user req.user
+ * @param {string} action One of POLICY_ACTIONS
+ * @param {*} [owner] Owner of the post
+ * @param {string} [noun] What is being accessed, for the message
+ * @returns {ErrorResponse|null} 403 when not allowed
+ */
+const authorizeAction = (user, action, owner, noun = 'post') => {
+  if (can(user, action, owner)) {
+    return null;
+  }
+  return new ErrorResponse(`Not authorized to ${ACTION_VERBS[action]} this ${noun}`, 403);
+};
+
+/**
+ * Restrict a PassportPost filter to the posts a user may act on
+ * Works for find() and for aggregate $match stages
+ * @param {Object} filter Mongo filter on posts
+ * @param {Object} user req.user
+ * @param {string} action One of POLICY_ACTIONS
+ * @returns {Object|null} The scoped filter, or null when the user may not act on any post
+ */
+const scopePostFilter = (filter, user, action) => {
+  const scope = getScope(user, action);
+
+  if (scope === 'any') return filter;
+  if (scope === 'none') return null;
+
+  const own = { createdBy: new mongoose.Types.ObjectId(String(user.id)) };
+  return filter.createdBy ? { $and: [filter, own] } : { ...filter, ...own };
+};
+
+module.exports = {
+  POLICY_ACTIONS,
+  POLICY_SCOPES,
+  DEFAULT_POLICY,
+  getPolicy,
+  getScope,
+  can,
+  authorizeAction,
+  scopePostFilter
+};
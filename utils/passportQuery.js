@@ -0,0 +1,365 @@
+const mongoose = require('mongoose');
+const ErrorResponse = require('./errorResponse');
+const { parseStatusFilter } = require('./passportStatus');
+const { findCountry } = require('./countries');
+const { resolveTimeZone, zonedParts, zonedTimeToUtc, zonedDayRange, zonedMonthRange } = require('./timezone');
+
+const DEFAULT_LIMIT = 25;
+const MAX_LIMIT = 100;
+
+// Query-string sort keys mapped to the document paths they sort on
+const SORT_FIELDS = {
+  createdAt: 'createdAt',
+  updatedAt: 'updatedAt',
+  postDate: 'passports.postDate'
+};
+
+// Query parameters that filter or sort passports, shared by the list, search and export
+// endpoints (and stored by saved searches)
+const FILTER_PARAMS = [
+  'q', 'passportNumber', 'from', 'to', 'period', 'tz', 'issuedCountry', 'city', 'agent',
+  'slipNo', 'missingSlip', 'status', 'tag', 'linkFlagged', 'createdBy', 'updatedBy', 'sort'
+];
+
+// Start and end (exclusive) of a local day, counted from today
+const dayStart = (now, timeZone, offsetDays = 0) => zonedDayRange(now, timeZone, offsetDays).start;
+const dayEnd = (now, timeZone, offsetDays = 0) => zonedDayRange(now, timeZone, offsetDays).end;
+
+// Rolling date ranges for the "period" parameter, resolved in the request time zone when
+// the query runs, so a saved "this_week" keeps meaning the current week
+const PERIODS = {
+  today: (now, timeZone) => [dayStart(now, timeZone), dayEnd(now, timeZone)],
+  yesterday: (now, timeZone) => [dayStart(now, timeZone, -1), dayEnd(now, timeZone, -1)],
+  this_week: (now, timeZone) => {
+    // Weeks start on Monday
+    const { year, month, day } = zonedParts(now, timeZone);
+    const daysSinceMonday = (new Date(Date.UTC(year, month - 1, day)).getUTCDay() + 6) % 7;
+    return [dayStart(now, timeZone, -daysSinceMonday), dayEnd(now, timeZone)];
+  },
+  last_7_days: (now, timeZone) => [dayStart(now, timeZone, -6), dayEnd(now, timeZone)],
+  this_month: (now, timeZone) => [zonedMonthRange(now, timeZone).start, dayEnd(now, timeZone)],
+  last_30_days: (now, timeZone) => [dayStart(now, timeZone, -29), dayEnd(now, timeZone)]
+};
+
+// Whether a yes/no query value is "yes"
+const isTruthy = value => ['true', '1', 'yes'].includes(String(value).toLowerCase());
+
+// Take the first value when a query parameter is repeated (?city=a&city=b)
+const single = value => (Array.isArray(value) ? value[0] : value);
+
+// Escape user input before using it inside a regular expression
+const escapeRegex = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Case-insensitive "contains" match for free-text passport fields
+const containsRegex = value => new RegExp(escapeRegex(String(value).trim()), 'i');
+
+/**
+ * Parse a date query parameter
+ * Date-only values are days in the given time zone: a lower bound starts at midnight there
+ * and an upper bound includes the whole day
+ * @param {string} value Raw query value
+ * @param {string} name Parameter name used in the error message
+ * @param {string} timeZone Time zone of date-only values
+ * @param {boolean} endOfDay Whether a date-only value should include the whole day
+ * @returns {Date}
+ */
+const parseDateParam = (value, name, timeZone, endOfDay = false) => {
+  const date = new Date(value);
+
+  if (Number.isNaN(date.getTime())) {
+    throw new ErrorResponse(`${name} must be a valid date`, 400);
+  }
+
+  const dateOnly = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  if (dateOnly) {
+    const [, year, month, day] = dateOnly.map(Number);
+    return endOfDay
+      ? new Date(zonedTimeToUtc(timeZone, year, month, day + 1).getTime() - 1)
+      : zonedTimeToUtc(timeZone, year, month, day);
+  }
+
+  return date;
+};
+
+/**
+ * Parse an id query parameter
+ * @param {string} value Raw query value
+ * @param {string} name Parameter name used in the error message
+ * @returns {mongoose.Types.ObjectId}
+ */
+const parseObjectIdParam = (value, name) => {
+  if (!mongoose.Types.ObjectId.isValid(value)) {
+    throw new ErrorResponse(`${name} must be a valid id`, 400);
+  }
+
+  return new mongoose.Types.ObjectId(value);
+};
+
+/**
+ * Build the per-passport conditions shared by the list, search and export endpoints
+ * Keys are relative to a single passport entry so they can be used in $elemMatch
+ * or, prefixed with "passports.", after an $unwind
+ * @param {Object} query Express request query
+ * @returns {Object}
+ */
+const buildPassportConditions = (query) => {
+  const conditions = {};
+
+  const from = single(query.from);
+  const to = single(query.to);
+  const period = single(query.period);
+
+  if (period) {
+    if (!Object.prototype.hasOwnProperty.call(PERIODS, period)) {
+      throw new ErrorResponse(`period must be one of: ${Object.keys(PERIODS).join(', ')}`, 400);
+    }
+    if (from || to) {
+      throw new ErrorResponse('Use either period or from/to, not both', 400);
+    }
+
+    const [start, end] = PERIODS[period](new Date(), resolveTimeZone(query));
+    conditions.postDate = { $gte: start, $lt: end };
+  } else if (from || to) {
+    const timeZone = resolveTimeZone(query);
+    conditions.postDate = {};
+    if (from) conditions.postDate.$gte = parseDateParam(from, 'from', timeZone);
+    if (to) conditions.postDate.$lte = parseDateParam(to, 'to', timeZone, true);
+  }
+
+  // A recognized country matches on its ISO code, anything else on the text
+  const issuedCountry = single(query.issuedCountry);
+  if (issuedCountry) {
+    const country = findCountry(issuedCountry);
+    if (country) {
+      conditions.issuedCountryCode = country.alpha3;
+    } else {
+      conditions.issuedCountry = containsRegex(issuedCountry);
+    }
+  }
+
+  ['city', 'slipNo'].forEach(field => {
+    const value = single(query[field]);
+    if (value) {
+      conditions[field] = containsRegex(value);
+    }
+  });
+
+  // Entries with or without a slip number
+  const missingSlip = single(query.missingSlip);
+  if (missingSlip !== undefined && missingSlip !== '') {
+    if (conditions.slipNo) {
+      throw new ErrorResponse('Use either slipNo or missingSlip, not both', 400);
+    }
+    conditions.slipNo = isTruthy(missingSlip) ? { $in: [null, ''] } : { $nin: [null, ''] };
+  }
+
+  const status = parseStatusFilter(query.status);
+  if (status) {
+    conditions.status = status;
+  }
+
+  // Entries referred by an agent anywhere in their agent chain
+  const agent = single(query.agent);
+  if (agent) {
+    conditions.agentChain = parseObjectIdParam(agent, 'agent');
+  }
+
+  // Entries carrying any of the comma-separated tag ids
+  const tag = query.tag;
+  if (tag) {
+    const tagIds = [].concat(tag)
+      .join(',')
+      .split(',')
+      .map(id => id.trim())
+      .filter(Boolean);
+
+    if (tagIds.length > 0) {
+      conditions.tags = { $in: tagIds.map(id => parseObjectIdParam(id, 'tag')) };
+    }
+  }
+
+  // Entries whose appointment link is attached to another passport
+  const linkFlagged = single(query.linkFlagged);
+  if (linkFlagged !== undefined) {
+    conditions['linkInfo.flagged'] = isTruthy(linkFlagged)
+      ? true
+      : { $ne: true };
+  }
+
+  return conditions;
+};
+
+// Free-text fields matched by the "q" search parameter
+const SEARCH_FIELDS = ['passportNumber', 'slipNo', 'city', 'otherDetails', 'link'];
+
+/**
+ * Build per-passport conditions for the flat search endpoint
+ * Adds a partial passportNumber match and a "q" match across SEARCH_FIELDS
+ * on top of the list filters
+ * @param {Object} query Express request query
+ * @returns {Object}
+ */
+const buildPassportSearchConditions = (query) => {
+  const conditions = buildPassportConditions(query);
+
+  const passportNumber = single(query.passportNumber);
+  if (passportNumber) {
+    conditions.passportNumber = containsRegex(passportNumber);
+  }
+
+  const q = single(query.q);
+  if (q && String(q).trim()) {
+    const regex = containsRegex(q);
+    conditions.$or = SEARCH_FIELDS.map(field => ({ [field]: regex }));
+  }
+
+  return conditions;
+};
+
+/**
+ * Prefix passport-relative conditions with "passports." for use after $unwind
+ * @param {Object} conditions Conditions from buildPassportConditions
+ * @returns {Object}
+ */
+const prefixPassportConditions = (conditions) => {
+  const prefixed = {};
+
+  Object.entries(conditions).forEach(([key, value]) => {
+    if (key === '$or' || key === '$and') {
+      prefixed[key] = value.map(prefixPassportConditions);
+    } else {
+      prefixed[`passports.${key}`] = value;
+    }
+  });
+
+  return prefixed;
+};
+
+/**
+ * Build the post-level ownership conditions (createdBy / updatedBy)
+ * @param {Object} query Express request query
+ * @returns {Object}
+ */
+const buildOwnerConditions = (query) => {
+  const conditions = {};
+
+  ['createdBy', 'updatedBy'].forEach(field => {
+    const value = single(query[field]);
+    if (value) {
+      conditions[field] = parseObjectIdParam(value, field);
+    }
+  });
+
+  return conditions;
+};
+
+/**
+ * Build a PassportPost filter from list query parameters
+ * A post matches when at least one of its passports matches every passport condition
+ * @param {Object} query Express request query
+ * @returns {Object} Mongo filter
+ */
+const buildPostFilter = (query) => {
+  const filter = buildOwnerConditions(query);
+  const passportConditions = buildPassportConditions(query);
+
+  if (Object.keys(passportConditions).length > 0) {
+    filter.passports = { $elemMatch: passportConditions };
+  }
+
+  return filter;
+};
+
+/**
+ * Parse a comma-separated sort parameter such as "-postDate,createdAt"
+ * @param {string} value Raw query value
+ * @param {string} defaultSort Sort used when none is supplied
+ * @returns {Object} Mongoose sort object
+ */
+const parseSort = (value, defaultSort = '-createdAt') => {
+  const sort = {};
+
+  String(single(value) || defaultSort).split(',').forEach(part => {
+    const key = part.trim();
+    if (!key) return;
+
+    const direction = key.startsWith('-') ? -1 : 1;
+    const field = SORT_FIELDS[key.replace(/^[-+]/, '')];
+
+    if (!field) {
+      throw new ErrorResponse(
+        `Cannot sort by ${key}. Allowed fields: ${Object.keys(SORT_FIELDS).join(', ')}`,
+        400
+      );
+    }
+
+    sort[field] = direction;
+  });
+
+  // Tie-break on _id so pages stay stable
+  if (!sort._id) {
+    sort._id = -1;
+  }
+
+  return sort;
+};
+
+/**
+ * Parse page and limit query parameters
+ * @param {Object} query Express request query
+ * @returns {{ page: number, limit: number, skip: number }}
+ */
+const parsePagination = (query) => {
+  const page = Math.max(parseInt(single(query.page), 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(single(query.limit), 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+/**
+ * Build the pagination block of a list response, including next/prev links
+ * @param {Object} req Express request object
+ * @param {{ page: number, limit: number, total: number }} options
+ * @returns {Object}
+ */
+const buildPagination = (req, { page, limit, total }) => {
+  const totalPages = Math.ceil(total / limit);
+
+  const linkTo = (targetPage) => {
+    const params = new URLSearchParams();
+    Object.entries(req.query).forEach(([key, value]) => {
+      [].concat(value).forEach(item => params.append(key, item));
+    });
+    params.set('page', targetPage);
+    params.set('limit', limit);
+    return `${req.baseUrl}${req.path === '/' ? '' : req.path}?${params.toString()}`;
+  };
+
+  const pagination = { page, limit, total, totalPages };
+
+  if (page < totalPages) {
+    pagination.next = { page: page + 1, limit, url: linkTo(page + 1) };
+  }
+
+  if (page > 1) {
+    pagination.prev = { page: page - 1, limit, url: linkTo(page - 1) };
+  }
+
+  return pagination;
+};
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  FILTER_PARAMS,
+  escapeRegex,
+  containsRegex,
+  buildPassportConditions,
+  buildPassportSearchConditions,
+  prefixPassportConditions,
+  buildOwnerConditions,
+  buildPostFilter,
+  parseSort,
+  parsePagination,
+  buildPagination
+};
@@ -0,0 +1,83 @@
+const ErrorResponse = require('./errorResponse');
+
+// Processing stages of a passport entry, in workflow order
+const PASSPORT_STATUSES = [
+  'new',
+  'link_sent',
+  'paid',
+  'appointment_booked',
+  'medical_done',
+  'fit',
+  'unfit'
+];
+
+const DEFAULT_STATUS = 'new';
+
+// Allowed moves from each status; one step back is allowed to correct mistakes
+const STATUS_TRANSITIONS = {
+  new: ['link_sent'],
+  link_sent: ['paid', 'new'],
+  paid: ['appointment_booked', 'link_sent'],
+  appointment_booked: ['medical_done', 'paid'],
+  medical_done: ['fit', 'unfit', 'appointment_booked'],
+  fit: ['medical_done'],
+  unfit: ['medical_done']
+};
+
+/**
+ * Check whether a passport may move from one status to another
+ * @param {string} from Current status (missing means "new")
+ * @param {string} to Requested status
+ * @returns {boolean}
+ */
+const canTransition = (from, to) =>
+  (STATUS_TRANSITIONS[from || DEFAULT_STATUS] || []).includes(to);
+
+/**
+ * Parse a comma-separated status filter such as "paid,appointment_booked"
+ * @param {string|Array<string>} value Raw query value
+ * @returns {Object|undefined} Condition for the status field, undefined when no filter is given
+ */
+const parseStatusFilter = (value) => {
+  if (!value) return undefined;
+
+  const statuses = [].concat(value)
+    .join(',')
+    .split(',')
+    .map(status => status.trim())
+    .filter(Boolean);
+
+  if (statuses.length === 0) return undefined;
+
+  const invalid = statuses.filter(status => !PASSPORT_STATUSES.includes(status));
+  if (invalid.length > 0) {
+    throw new ErrorResponse(
+      `Invalid status: ${invalid.join(', ')}. Allowed: ${PASSPORT_STATUSES.join(', ')}`,
+      400
+    );
+  }
+
+  // Entries saved before statuses existed have no status and count as "new"
+  return statuses.includes(DEFAULT_STATUS)
+    ? { $in: [...statuses, null] }
+    : { $in: statuses };
+};
+
+/**
+ * Build a post-level match for the optional ?status= filter of the dashboards
+ * @param {Object} query Express request query
+ * @returns {Object} Empty when no status filter is given
+ */
+const buildStatusMatch = (query) => {
+  const status = parseStatusFilter(query.status);
+  return status ? { 'passports.status': status } : {};
+};
+
+module.exports = {
+  PASSPORT_STATUSES,
+  DEFAULT_STATUS,
+  STATUS_TRANSITIONS,
+  canTransition,
+  parseStatusFilter,
+  buildStatusMatch
+};
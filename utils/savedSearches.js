@@ -0,0 +1,87 @@
+const ErrorResponse = require('./errorResponse');
+const {
+  FILTER_PARAMS,
+  buildPassportSearchConditions,
+  buildOwnerConditions,
+  parseSort
+} = require('./passportQuery');
+
+// Request parameters that replace saved ones they cannot be combined with
+const REPLACES = {
+  from: ['period'],
+  to: ['period'],
+  period: ['from', 'to'],
+  slipNo: ['missingSlip'],
+  missingSlip: ['slipNo']
+};
+
+const isScalar = value => ['string', 'number', 'boolean'].includes(typeof value);
+
+/**
+ * Check and normalize the filters of a saved search
+ * Values are kept as query-string values; they are validated by building the query once
+ * @param {Object} filters e.g. { period: 'this_week', issuedCountry: 'India' }
+ * @returns {Object} Filters with string values and empty values removed
+ * @throws {ErrorResponse} 400 for unknown parameters or values the endpoints would reject
+ */
+const normalizeSearchFilters = (filters) => {
+  if (!filters || typeof filters !== 'object' || Array.isArray(filters)) {
+    throw new ErrorResponse('filters must be an object of passport query parameters', 400);
+  }
+
+  const unknown = Object.keys(filters).filter(key => !FILTER_PARAMS.includes(key));
+  if (unknown.length > 0) {
+    throw new ErrorResponse(
+      `Unknown filter(s): ${unknown.join(', ')}. Allowed: ${FILTER_PARAMS.join(', ')}`,
+      400
+    );
+  }
+
+  const normalized = {};
+
+  Object.entries(filters).forEach(([key, value]) => {
+    if (value === null || value === undefined) return;
+
+    if (Array.isArray(value) && value.every(isScalar)) {
+      const values = value.map(String).filter(item => item.trim() !== '');
+      if (values.length > 0) normalized[key] = values;
+    } else if (isScalar(value)) {
+      if (String(value).trim() !== '') normalized[key] = String(value);
+    } else {
+      throw new ErrorResponse(`Filter ${key} must be a text value`, 400);
+    }
+  });
+
+  // Throws the same 400 errors the passport endpoints would
+  buildPassportSearchConditions(normalized);
+  buildOwnerConditions(normalized);
+  if (normalized.sort) {
+    parseSort(normalized.sort);
+  }
+
+  return normalized;
+};
+
+/**
+ * Combine the filters of a saved search with the parameters of a request
+ * Parameters given in the request win over the saved ones
+ * @param {Object} filters Saved filters
+ * @param {Object} query Request query without the savedSearch parameter
+ * @returns {Object}
+ */
+const mergeSearchFilters = (filters, query) => {
+  const merged = { ...filters };
+
+  Object.keys(query).forEach(key => {
+    (REPLACES[key] || []).forEach(replaced => {
+      delete merged[replaced];
+    });
+  });
+
+  return { ...merged, ...query };
+};
+
+module.exports = {
+  normalizeSearchFilters,
+  mergeSearchFilters
+};
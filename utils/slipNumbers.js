@@ -0,0 +1,305 @@
+const mongoose = require('mongoose');
+const PassportPost = require('../models/passportSchema');
+const Counter = require('../models/counterSchema');
+const { getBusinessTimeZone } = require('./timezone');
+const { escapeRegex } = require('./passportQuery');
+
+// Supported values for SLIP_SEQUENCE_SCOPE
+const SLIP_SCOPES = ['global', 'daily', 'operator', 'operator_daily'];
+
+// Sequence recorded for slip numbers typed in manual mode
+const MANUAL_SEQUENCE = 'manual';
+
+/**
+ * Read the slip number settings from the environment
+ *   SLIP_NUMBER_MODE     "manual" (free text, the default) or "auto" (server assigns slipNo)
+ *   SLIP_SEQUENCE_SCOPE  global | daily | operator | operator_daily
+ *   SLIP_PREFIX          Text before the number; {YYYY}, {MM} and {DD} are replaced with the business date
+ *   SLIP_PADDING         Minimum digits of the number, zero padded (default 3, e.g. "006")
+ *   SLIP_TIMEZONE        Time zone of the business day used by daily sequences (default BUSINESS_TIMEZONE)
+ * @returns {Object}
+ */
+const getSlipConfig = () => {
+  const scope = (process.env.SLIP_SEQUENCE_SCOPE || 'global').trim().toLowerCase();
+  const padding = parseInt(process.env.SLIP_PADDING, 10);
+
+  return {
+    mode: (process.env.SLIP_NUMBER_MODE || 'manual').trim().toLowerCase() === 'auto' ? 'auto' : 'manual',
+    scope: SLIP_SCOPES.includes(scope) ? scope : 'global',
+    prefix: process.env.SLIP_PREFIX || '',
+    padding: Number.isNaN(padding) || padding < 1 ? 3 : padding,
+    timeZone: process.env.SLIP_TIMEZONE || getBusinessTimeZone()
+  };
+};
+
+// Whether slip numbers are assigned by the server
+const isAutoSlipMode = () => getSlipConfig().mode === 'auto';
+
+// Business date parts (YYYY, MM, DD) of a moment in the configured time zone
+const businessDateParts = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-CA', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).formatToParts(date);
+
+  const get = type => parts.find(part => part.type === type).value;
+  return { YYYY: get('year'), MM: get('month'), DD: get('day') };
+};
+
+/**
+ * Name of the sequence a new slip belongs to, e.g. "global", "daily:2025-05-18",
+ * "operator:<userId>" or "operator_daily:<userId>:2025-05-18"
+ * @param {Object} config Slip config
+ * @param {string} userId Operator creating the passports
+ * @param {Date} date Moment of creation
+ * @returns {string}
+ */
+const sequenceName = (config, userId, date) => {
+  const { YYYY, MM, DD } = businessDateParts(date, config.timeZone);
+  const day = `${YYYY}-${MM}-${DD}`;
+
+  switch (config.scope) {
+    case 'daily':
+      return `daily:${day}`;
+    case 'operator':
+      return `operator:${userId}`;
+    case 'operator_daily':
+      return `operator_daily:${userId}:${day}`;
+    default:
+      return 'global';
+  }
+};
+
+// Format a sequence number with the configured prefix and padding
+const formatSlipNo = (number, config, date) => {
+  const parts = businessDateParts(date, config.timeZone);
+  const prefix = config.prefix.replace(/\{(YYYY|MM|DD)\}/g, (match, token) => parts[token]);
+  return `${prefix}${String(number).padStart(config.padding, '0')}`;
+};
+
+/**
+ * Allocate unique slip numbers for new passport entries
+ * Numbers come from an atomic counter, so concurrent requests never receive the same one;
+ * numbers already taken in the sequence (e.g. typed by hand before auto mode) are skipped
+ * @param {number} count Number of slips needed
+ * @param {string} userId Operator creating the passports
+ * @param {Date} [date] Moment of creation
+ * @returns {Promise<Array<{ slipNo: string, slipSequence: string }>>}
+ */
+const allocateSlipNumbers = async (count, userId, date = new Date()) => {
+  if (count <= 0) return [];
+
+  const config = getSlipConfig();
+  const slipSequence = sequenceName(config, userId, date);
+  const slips = [];
+
+  while (slips.length < count) {
+    const needed = count - slips.length;
+    const first = await Counter.allocate(`slip:${slipSequence}`, needed);
+    const candidates = Array.from({ length: needed }, (_, i) => formatSlipNo(first + i, config, date));
+
+    // Hand-typed slips (legacy ones have no sequence) only count against the global one;
+    // anchored prefixes of the legacy keys still use the slipKey index
+    const keys = candidates.map(slipNo => `${slipSequence}:${slipNo}`);
+    if (slipSequence === 'global') {
+      candidates.forEach(slipNo => {
+        keys.push(`${MANUAL_SEQUENCE}:${slipNo}`, new RegExp(`^legacy:${escapeRegex(slipNo)}:`));
+      });
+    }
+
+    const taken = await PassportPost.aggregate([
+      { $match: { 'passports.slipKey': { $in: keys } } },
+      { $unwind: '$passports' },
+      { $match: { 'passports.slipKey': { $in: keys } } },
+      { $group: { _id: '$passports.slipNo' } }
+    ]);
+    const takenSet = new Set(taken.map(item => item._id));
+
+    candidates
+      .filter(slipNo => !takenSet.has(slipNo))
+      .forEach(slipNo => slips.push({ slipNo, slipSequence }));
+  }
+
+  return slips;
+};
+
+// Trimmed slip number of an entry, '' when it has none
+const slipText = slipNo => (slipNo === undefined || slipNo === null ? '' : String(slipNo).trim());
+
+/**
+ * Slip fields to store for a hand-typed slip (manual mode)
+ * New and changed slips get the "manual" sequence, which puts them under the unique slip index;
+ * an unchanged slip keeps the sequence it has (none for slips typed before sequences existed)
+ * @param {Object} passport Submitted passport entry
+ * @param {Object} [existing] Stored entry with slipNo and slipSequence
+ * @returns {{ slipNo: string, slipSequence: string }}
+ */
+const manualSlipFields = (passport, existing = {}) => {
+  const slipNo = slipText(passport.slipNo);
+  if (!slipNo) {
+    return { slipNo: undefined, slipSequence: undefined };
+  }
+  return {
+    slipNo,
+    slipSequence: slipNo === slipText(existing.slipNo) ? existing.slipSequence : MANUAL_SEQUENCE
+  };
+};
+
+/**
+ * Check the slip numbers sent with passport entries
+ * In auto mode a slipNo that is new or differs from the stored one is an error, since the server
+ * assigns slips. In manual mode a new or changed slip may not repeat within the entries or be
+ * used by another entry's hand-typed slip
+ * @param {Array<Object>} passports Submitted passport entries
+ * @param {Object} [options]
+ * @param {Object} [options.existingSlips] Stored slipNo by passport _id
+ * @returns {Promise<{ passports: Array<Object>, errors: Array<Object> }>}
+ */
+const checkSlipFields = async (passports, { existingSlips = {} } = {}) => {
+  const errors = [];
+
+  // Entries whose slip is new or changed
+  const typed = [];
+  passports.forEach((passport, index) => {
+    const slipNo = slipText(passport && passport.slipNo);
+    const stored = passport && passport._id ? slipText(existingSlips[passport._id.toString()]) : '';
+
+    if (slipNo && slipNo !== stored) {
+      typed.push({ index, slipNo, passportId: passport._id });
+    }
+  });
+
+  if (isAutoSlipMode()) {
+    typed.forEach(({ index }) => {
+      errors.push({ index, field: 'slipNo', message: 'Slip numbers are assigned by the server; leave slipNo out' });
+    });
+    return { passports, errors };
+  }
+
+  if (typed.length === 0) {
+    return { passports, errors };
+  }
+
+  const keys = typed.map(item => `${MANUAL_SEQUENCE}:${item.slipNo}`);
+  const ownIds = new Set(typed.filter(item => item.passportId).map(item => item.passportId.toString()));
+
+  const existing = await PassportPost.aggregate([
+    { $match: { 'passports.slipKey': { $in: keys } } },
+    { $unwind: '$passports' },
+    { $match: { 'passports.slipKey': { $in: keys } } },
+    { $project: { _id: 0, passportId: '$passports._id', slipNo: '$passports.slipNo' } }
+  ]);
+  const taken = new Set(existing
+    .filter(entry => !ownIds.has(entry.passportId.toString()))
+    .map(entry => slipText(entry.slipNo)));
+
+  const seen = new Set();
+  typed.forEach(({ index, slipNo }) => {
+    if (taken.has(slipNo)) {
+      errors.push({ index, field: 'slipNo', message: `Slip number ${slipNo} is already used` });
+    } else if (seen.has(slipNo)) {
+      errors.push({ index, field: 'slipNo', message: `Slip number ${slipNo} is repeated in this request` });
+    }
+    seen.add(slipNo);
+  });
+
+  return { passports, errors };
+};
+
+/**
+ * Report duplicated slip numbers and gaps in the numeric part of each sequence
+ * Entries saved before auto numbering are reported under the "legacy" sequence
+ * @param {Object} [options]
+ * @param {string} [options.createdBy] Limit the report to one operator's posts
+ * @param {number} [options.maxGaps] Maximum missing numbers listed per sequence
+ * @returns {Promise<Object>}
+ */
+const buildSlipReport = async ({ createdBy, maxGaps = 200 } = {}) => {
+  const match = { 'passports.slipNo': { $nin: [null, ''] } };
+  if (createdBy) {
+    match.createdBy = new mongoose.Types.ObjectId(createdBy);
+  }
+
+  const rows = await PassportPost.aggregate([
+    { $match: match },
+    { $unwind: '$passports' },
+    { $match: { 'passports.slipNo': { $nin: [null, ''] } } },
+    {
+      $group: {
+        _id: {
+          sequence: { $ifNull: ['$passports.slipSequence', 'legacy'] },
+          slipNo: '$passports.slipNo'
+        },
+        count: { $sum: 1 },
+        passports: {
+          $push: {
+            passportId: '$passports._id',
+            postId: '$_id',
+            passportNumber: '$passports.passportNumber',
+            createdBy: '$createdBy'
+          }
+        }
+      }
+    }
+  ]).allowDiskUse(true);
+
+  const sequences = {};
+
+  rows.forEach(row => {
+    const name = row._id.sequence;
+    if (!sequences[name]) {
+      sequences[name] = { sequence: name, slips: 0, duplicates: [], numbers: [] };
+    }
+
+    const sequence = sequences[name];
+    sequence.slips += row.count;
+
+    if (row.count > 1) {
+      sequence.duplicates.push({ slipNo: row._id.slipNo, count: row.count, passports: row.passports });
+    }
+
+    // Numeric part is the trailing digits, after any prefix
+    const digits = /(\d+)$/.exec(row._id.slipNo);
+    if (digits) {
+      sequence.numbers.push(parseInt(digits[1], 10));
+    }
+  });
+
+  return Object.values(sequences).map(sequence => {
+    const numbers = [...new Set(sequence.numbers)].sort((a, b) => a - b);
+    const gaps = [];
+    let missing = 0;
+
+    for (let i = 1; i < numbers.length; i++) {
+      for (let n = numbers[i - 1] + 1; n < numbers[i]; n++) {
+        missing++;
+        if (gaps.length < maxGaps) gaps.push(n);
+      }
+    }
+
+    return {
+      sequence: sequence.sequence,
+      slips: sequence.slips,
+      min: numbers.length > 0 ? numbers[0] : null,
+      max: numbers.length > 0 ? numbers[numbers.length - 1] : null,
+      duplicateCount: sequence.duplicates.length,
+      duplicates: sequence.duplicates,
+      missingCount: missing,
+      gaps
+    };
+  }).sort((a, b) => a.sequence.localeCompare(b.sequence));
+};
+
+module.exports = {
+  SLIP_SCOPES,
+  MANUAL_SEQUENCE,
+  getSlipConfig,
+  isAutoSlipMode,
+  formatSlipNo,
+  allocateSlipNumbers,
+  manualSlipFields,
+  checkSlipFields,
+  buildSlipReport
+};
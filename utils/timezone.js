@@ -0,0 +1,154 @@
+const ErrorResponse = require('./errorResponse');
+
+const DEFAULT_TIMEZONE = 'Asia/Kolkata';
+
+/**
+ * Check an IANA time zone name such as "Asia/Kolkata" or "UTC"
+ * @param {string} timeZone
+ * @returns {boolean}
+ */
+const isValidTimeZone = (timeZone) => {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Time zone of the business day (BUSINESS_TIMEZONE, default Asia/Kolkata)
+ * Dates are always stored in UTC; this zone only decides where a day or month starts
+ * @returns {string}
+ */
+const getBusinessTimeZone = () => {
+  const timeZone = (process.env.BUSINESS_TIMEZONE || '').trim();
+  return isValidTimeZone(timeZone) ? timeZone : DEFAULT_TIMEZONE;
+};
+
+/**
+ * Time zone for a request: the optional "tz" query parameter, else the business time zone
+ * @param {Object} query Express request query
+ * @returns {string}
+ * @throws {ErrorResponse} 400 when tz is not a known time zone
+ */
+const resolveTimeZone = (query = {}) => {
+  const tz = Array.isArray(query.tz) ? query.tz[0] : query.tz;
+
+  if (tz === undefined || tz === '') {
+    return getBusinessTimeZone();
+  }
+  if (!isValidTimeZone(tz)) {
+    throw new ErrorResponse(`tz must be an IANA time zone such as Asia/Kolkata or UTC, got "${tz}"`, 400);
+  }
+  return tz;
+};
+
+/**
+ * Wall-clock parts of a moment in a time zone
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {{ year: number, month: number, day: number, hour: number, minute: number, second: number }}
+ */
+const zonedParts = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date);
+
+  const get = type => Number(parts.find(part => part.type === type).value);
+  return {
+    year: get('year'),
+    month: get('month'),
+    day: get('day'),
+    hour: get('hour'),
+    minute: get('minute'),
+    second: get('second')
+  };
+};
+
+// Minutes the time zone is ahead of UTC at a moment
+const offsetMinutes = (date, timeZone) => {
+  const parts = zonedParts(date, timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+};
+
+/**
+ * The UTC moment of a wall-clock time in a time zone
+ * Out-of-range parts roll over as with Date.UTC (day 0 is the last day of the previous month)
+ * @param {string} timeZone
+ * @param {number} year
+ * @param {number} month 1-12
+ * @param {number} [day]
+ * @param {number} [hour]
+ * @param {number} [minute]
+ * @returns {Date}
+ */
+const zonedTimeToUtc = (timeZone, year, month, day = 1, hour = 0, minute = 0) => {
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+
+  // Two passes settle the offset around daylight saving changes
+  let utc = wallClock - offsetMinutes(new Date(wallClock), timeZone) * 60000;
+  utc = wallClock - offsetMinutes(new Date(utc), timeZone) * 60000;
+  return new Date(utc);
+};
+
+/**
+ * Local calendar date of a moment, as YYYY-MM-DD
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {string}
+ */
+const formatZonedDate = (date, timeZone) => {
+  const { year, month, day } = zonedParts(date, timeZone);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+/**
+ * Start and end (exclusive) of the local day a moment falls in, shifted by a number of days
+ * @param {Date} date
+ * @param {string} timeZone
+ * @param {number} [offsetDays] e.g. -1 for the day before
+ * @returns {{ start: Date, end: Date, date: string }} date is the local YYYY-MM-DD
+ */
+const zonedDayRange = (date, timeZone, offsetDays = 0) => {
+  const { year, month, day } = zonedParts(date, timeZone);
+  const start = zonedTimeToUtc(timeZone, year, month, day + offsetDays);
+  const end = zonedTimeToUtc(timeZone, year, month, day + offsetDays + 1);
+  return { start, end, date: formatZonedDate(start, timeZone) };
+};
+
+/**
+ * Start and end (exclusive) of the local month a moment falls in, shifted by a number of months
+ * @param {Date} date
+ * @param {string} timeZone
+ * @param {number} [offsetMonths] e.g. -5 for five months back
+ * @returns {{ start: Date, end: Date, month: string }} month is the local YYYY-MM
+ */
+const zonedMonthRange = (date, timeZone, offsetMonths = 0) => {
+  const { year, month } = zonedParts(date, timeZone);
+  const start = zonedTimeToUtc(timeZone, year, month + offsetMonths, 1);
+  const end = zonedTimeToUtc(timeZone, year, month + offsetMonths + 1, 1);
+  return { start, end, month: formatZonedDate(start, timeZone).substring(0, 7) };
+};
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimeZone,
+  getBusinessTimeZone,
+  resolveTimeZone,
+  zonedParts,
+  zonedTimeToUtc,
+  formatZonedDate,
+  zonedDayRange,
+  zonedMonthRange
+};
@@ -0,0 +1,127 @@
+// Supported values for VERSION_CHECK_MODE
+const VERSION_CHECK_MODES = ['required', 'optional'];
+
+/**
+ * Get the configured version check mode
+ * "required" refuses edits that do not say which version they are based on (428),
+ * "optional" (the default) only checks the version when the client sends one
+ * @returns {string}
+ */
+const getVersionCheckMode = () => {
+  const mode = (process.env.VERSION_CHECK_MODE || 'optional').trim().toLowerCase();
+  return VERSION_CHECK_MODES.includes(mode) ? mode : 'optional';
+};
+
+/**
+ * ETag header value for a version
+ * @param {number} [version] Entries saved before versioning count as version 0
+ * @returns {string} e.g. "3"
+ */
+const toEtag = version => `"${version || 0}"`;
+
+/**
+ * Read the version a change is based on
+ * The If-Match header wins over a "version" field in the body or query string;
+ * If-Match accepts the ETag as sent ("3" or W/"3") and "*" for any version
+ * @param {Object} req Express request
+ * @returns {{ given: boolean, any: boolean, version: number|null }} version is null when
+ *   the value given is not a version number
+ */
+const readExpectedVersion = (req) => {
+  const header = req.get('If-Match');
+  const body = req.body || {};
+  const raw = header !== undefined
+    ? header
+    : [body.version, req.query.version].find(value => value !== undefined && value !== '');
+
+  if (raw === undefined || raw === null) {
+    return { given: false, any: false, version: null };
+  }
+
+  const value = String(raw).trim();
+  if (value === '*') {
+    return { given: true, any: true, version: null };
+  }
+
+  const match = value.match(/^(?:W\/)?"?(\d+)"?$/);
+  return { given: true, any: false, version: match ? Number(match[1]) : null };
+};
+
+// Stable JSON: object keys sorted so equal entries compare equal whatever the key order
+const stableStringify = value => JSON.stringify(value, (key, item) => {
+  if (!item || typeof item !== 'object' || Array.isArray(item)) return item;
+  return Object.keys(item).sort().reduce((sorted, name) => {
+    sorted[name] = item[name];
+    return sorted;
+  }, {});
+});
+
+// Entry fields a client edits; the rest are kept or derived by the server (keys, linkInfo,
+// status history...) and would make an unchanged entry look changed
+const EDITABLE_FIELDS = [
+  'passportNumber',
+  'link',
+  'city',
+  'agentChain',
+  'slipNo',
+  'issuedCountry',
+  'postDate',
+  'otherDetails',
+  'holder'
+];
+
+const toPlain = passport =>
+  (passport && typeof passport.toObject === 'function' ? passport.toObject() : passport || {});
+
+// Editable fields of an entry, with empty values left out so a missing field equals an empty one
+const editableFields = passport => {
+  const plain = toPlain(passport);
+  return EDITABLE_FIELDS.reduce((fields, name) => {
+    const value = plain[name];
+    if (value !== undefined && value !== null && value !== '' && !(Array.isArray(value) && value.length === 0)) {
+      fields[name] = value;
+    }
+    return fields;
+  }, {});
+};
+
+/**
+ * Check whether a client-editable field of a passport entry changed
+ * @param {Object} before Entry before the change
+ * @param {Object} after Entry after the change
+ * @returns {boolean}
+ */
+const hasEntryChanged = (before, after) =>
+  stableStringify(editableFields(before)) !== stableStringify(editableFields(after));
+
+/**
+ * Check an entry against the { passportId: version } map of bulk, tag and move requests
+ * Follows VERSION_CHECK_MODE like the single-entry routes: in "required" mode an entry missing
+ * from the map is refused (428), otherwise only the entries listed are checked. "*" accepts any version
+ * @param {Object} [versions]
+ * @param {Object} passport
+ * @returns {{ status: number, message: string }|null} Why the entry may not be changed, null when it may
+ */
+const checkEntryVersion = (versions, passport) => {
+  const expected = versions ? versions[passport._id.toString()] : undefined;
+
+  if (expected === undefined || expected === null || expected === '') {
+    return getVersionCheckMode() === 'required'
+      ? { status: 428, message: 'Send the passport version in "versions"' }
+      : null;
+  }
+
+  if (String(expected).trim() === '*' || Number(expected) === (passport.version || 0)) {
+    return null;
+  }
+  return { status: 409, message: 'Passport was changed by someone else' };
+};
+
+module.exports = {
+  VERSION_CHECK_MODES,
+  getVersionCheckMode,
+  toEtag,
+  readExpectedVersion,
+  hasEntryChanged,
+  checkEntryVersion
+};